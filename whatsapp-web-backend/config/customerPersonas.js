@@ -0,0 +1,142 @@
+
+// CUSTOMER PERSONAS - config/customerPersonas.js
+
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Scripted customers that reply to what agents send (see services/personaSimulator.js)
+ * - name / wa_id: the customer's WhatsApp profile name and number
+ * - typingDelay: [min, max] milliseconds before a reply arrives
+ * - rules: checked in order; the first whose keywords (any, case-insensitive)
+ *   or regex pattern matches the agent's text picks one of its replies
+ * - fallback: lines used when no rule matches
+ * - opener: optional first message, sent on startup if the chat is empty
+ */
+const DEFAULT_PERSONAS = [
+    {
+        name: 'Ravi Kumar',
+        wa_id: '919937320320',
+        typingDelay: [2000, 6000],
+        rules: [
+            { pattern: '^(hi|hello|hey)\\b', flags: 'i', replies: ['Hello!', 'Hi there 👋'] },
+            { keywords: ['price', 'cost', 'quote', 'how much'], replies: ['Is there a discount for small businesses?', 'That works for my budget. What are the next steps?'] },
+            { keywords: ['demo', 'call', 'meeting'], replies: ['Tomorrow afternoon works for me.', 'Can we do Friday instead?'] }
+        ],
+        fallback: ['Okay, got it.', 'Could you explain that a bit more?', 'Thanks! Let me think about it.']
+    },
+    {
+        name: 'Neha Joshi',
+        wa_id: '929967673820',
+        typingDelay: [3000, 9000],
+        rules: [
+            { keywords: ['nameplate', 'wall art', 'decor'], replies: ['Nameplates please! Do you have anything in brass?', 'Wall art, something for a living room.'] },
+            { keywords: ['price', 'cost', '₹'], replies: ['Hmm, a bit over my budget. Any offers running?', 'Okay, that sounds fair.'] },
+            { pattern: '\\b(ship|deliver|delivery)\\w*', flags: 'i', replies: ['I\'m in Pune - how long would delivery take?'] },
+            { keywords: ['thank'], replies: ['Thank you! 😊'] }
+        ],
+        fallback: ['Sure', 'Can you send some photos?', 'Let me check and get back to you.']
+    },
+    {
+        name: 'Arjun Mehta',
+        wa_id: '919812345670',
+        typingDelay: [1000, 4000],
+        opener: 'Hi, my order #4821 hasn\'t arrived yet. Can you check?',
+        rules: [
+            { pattern: '\\b(track|tracking|status)\\b', flags: 'i', replies: ['The tracking page has said "in transit" for 5 days.'] },
+            { keywords: ['refund', 'cancel'], replies: ['Yes, please refund it to my card.', 'How long does a refund take?'] },
+            { keywords: ['sorry', 'apolog'], replies: ['Okay. I just need it before the weekend.'] }
+        ],
+        fallback: ['Any update?', 'Okay', 'Please hurry, it\'s a gift.']
+    }
+];
+
+// Typing delay for personas that don't set a valid one (ms)
+const DEFAULT_TYPING_DELAY = [2000, 5000];
+
+let personas = null;
+
+/**
+ * Turn a value into a list of non-empty strings (a single string becomes a list of one)
+ */
+function toStringList(value) {
+    const list = Array.isArray(value) ? value : [value];
+    return list.filter(item => typeof item === 'string' && item.trim());
+}
+
+/**
+ * Fill in a persona's missing or malformed fields, so hand-written files
+ * can't break the simulator. Returns null without a wa_id
+ */
+function normalizePersona(persona) {
+    const waId = persona?.wa_id ? String(persona.wa_id) : null;
+    if (!waId) return null;
+
+    const delay = Array.isArray(persona.typingDelay) ? persona.typingDelay : [persona.typingDelay, persona.typingDelay];
+    const [min, max] = delay.map(Number);
+    const typingDelay = Number.isFinite(min) && Number.isFinite(max) && min >= 0 && max >= min
+        ? [min, max]
+        : DEFAULT_TYPING_DELAY;
+
+    const rules = (Array.isArray(persona.rules) ? persona.rules : [])
+        .filter(rule => rule && typeof rule === 'object')
+        .map(rule => ({
+            keywords: toStringList(rule.keywords),
+            pattern: typeof rule.pattern === 'string' ? rule.pattern : undefined,
+            flags: typeof rule.flags === 'string' ? rule.flags : undefined,
+            replies: toStringList(rule.replies)
+        }));
+
+    return {
+        name: typeof persona.name === 'string' && persona.name.trim() ? persona.name.trim() : waId,
+        wa_id: waId,
+        typingDelay,
+        rules,
+        fallback: toStringList(persona.fallback),
+        opener: typeof persona.opener === 'string' && persona.opener.trim() ? persona.opener : undefined
+    };
+}
+
+/**
+ * Get every persona
+ * CUSTOMER_PERSONAS_FILE can point at a JSON array of personas (same
+ * shape as DEFAULT_PERSONAS) to use instead of the built-in ones. Read once;
+ * every persona goes through normalizePersona.
+ */
+function getPersonas() {
+    if (personas) return personas;
+
+    personas = DEFAULT_PERSONAS.map(normalizePersona);
+    const file = process.env.CUSTOMER_PERSONAS_FILE;
+    if (!file) return personas;
+
+    try {
+        const loaded = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+        if (Array.isArray(loaded)) {
+            personas = loaded.map(normalizePersona).filter(Boolean);
+            if (personas.length < loaded.length) {
+                console.error(`Skipped ${loaded.length - personas.length} customer persona(s) without a wa_id`);
+            }
+        } else {
+            console.error('Error loading customer personas: expected an array');
+        }
+    } catch (error) {
+        console.error('Error loading customer personas:', error.message);
+    }
+
+    return personas;
+}
+
+/**
+ * Find the persona playing a customer, or null
+ */
+function findPersona(waId) {
+    return getPersonas().find(persona => persona.wa_id === waId) || null;
+}
+
+module.exports = {
+    DEFAULT_PERSONAS,
+    getPersonas,
+    findPersona
+};
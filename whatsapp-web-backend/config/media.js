@@ -0,0 +1,124 @@
+
+// MEDIA CONFIGURATION - config/media.js
+
+
+const MB = 1024 * 1024;
+
+/**
+ * Accepted upload types and size limits per message type
+ * Mirrors the WhatsApp Cloud API media limits
+ */
+const MEDIA_LIMITS = {
+    image: {
+        maxBytes: 5 * MB,
+        mimeTypes: ['image/jpeg', 'image/png', 'image/webp']
+    },
+    video: {
+        maxBytes: 16 * MB,
+        mimeTypes: ['video/mp4', 'video/3gpp']
+    },
+    audio: {
+        maxBytes: 16 * MB,
+        mimeTypes: ['audio/aac', 'audio/mp4', 'audio/mpeg', 'audio/amr', 'audio/ogg', 'audio/webm']
+    },
+    document: {
+        maxBytes: 100 * MB,
+        mimeTypes: [
+            'application/pdf',
+            'text/plain',
+            'text/csv',
+            'application/msword',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.ms-excel',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ms-powerpoint',
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            'application/zip'
+        ]
+    }
+};
+
+const MEDIA_TYPES = Object.keys(MEDIA_LIMITS);
+
+// Largest accepted file of any type - the upload parser's hard cap
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MEDIA_LIMITS).map(limit => limit.maxBytes));
+
+// Bytes read from the start of an upload to check its content (see matchesContent)
+const SNIFF_BYTES = 512;
+
+/**
+ * Check whether a file starts with the given bytes (or latin1 string) at an offset
+ */
+function hasBytes(head, bytes, offset = 0) {
+    const expected = Buffer.from(bytes, typeof bytes === 'string' ? 'latin1' : undefined);
+    return head.subarray(offset, offset + expected.length).equals(expected);
+}
+
+// MP4 and 3GPP (audio or video) are ISO media files with an ftyp box first
+const isIsoMedia = head => hasBytes(head, 'ftyp', 4);
+// Word, Excel and PowerPoint 97-2003 files are OLE compound files
+const isOleFile = head => hasBytes(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+// Office Open XML files are zip archives
+const isZip = head => hasBytes(head, 'PK\x03\x04') || hasBytes(head, 'PK\x05\x06');
+// MP3 and AAC streams may start with an ID3 tag, then frames starting with a sync word
+const isMpegAudio = head => hasBytes(head, 'ID3') || (head[0] === 0xFF && (head[1] & 0xE0) === 0xE0);
+// Text has no NUL bytes
+const isText = head => !head.includes(0);
+
+/**
+ * How to recognise each accepted mime type from a file's first bytes
+ * Uploads whose content doesn't match their mime type are rejected
+ */
+const CONTENT_CHECKS = {
+    'image/jpeg': head => hasBytes(head, [0xFF, 0xD8, 0xFF]),
+    'image/png': head => hasBytes(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    'image/webp': head => hasBytes(head, 'RIFF') && hasBytes(head, 'WEBP', 8),
+    'video/mp4': isIsoMedia,
+    'video/3gpp': isIsoMedia,
+    'audio/aac': isMpegAudio,
+    'audio/mp4': isIsoMedia,
+    'audio/mpeg': isMpegAudio,
+    'audio/amr': head => hasBytes(head, '#!AMR'),
+    'audio/ogg': head => hasBytes(head, 'OggS'),
+    'audio/webm': head => hasBytes(head, [0x1A, 0x45, 0xDF, 0xA3]),
+    'application/pdf': head => hasBytes(head, '%PDF-'),
+    'text/plain': isText,
+    'text/csv': isText,
+    'application/msword': isOleFile,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': isZip,
+    'application/vnd.ms-excel': isOleFile,
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': isZip,
+    'application/vnd.ms-powerpoint': isOleFile,
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': isZip,
+    'application/zip': isZip
+};
+
+/**
+ * Check a file's first bytes (up to SNIFF_BYTES) match its claimed mime type
+ */
+function matchesContent(mimeType, head) {
+    const check = CONTENT_CHECKS[mimeType];
+    return Boolean(check && head.length > 0 && check(head));
+}
+
+/**
+ * Work out the message type for an uploaded file
+ * Uses the requested type if given, otherwise the first type accepting the mime type.
+ * Anything can be sent as a document if its mime type is on the document list.
+ */
+function resolveMediaType(mimeType, requestedType) {
+    if (requestedType) {
+        return MEDIA_LIMITS[requestedType]?.mimeTypes.includes(mimeType) ? requestedType : null;
+    }
+
+    return MEDIA_TYPES.find(type => MEDIA_LIMITS[type].mimeTypes.includes(mimeType)) || null;
+}
+
+module.exports = {
+    MEDIA_LIMITS,
+    MEDIA_TYPES,
+    MAX_UPLOAD_BYTES,
+    SNIFF_BYTES,
+    resolveMediaType,
+    matchesContent
+};
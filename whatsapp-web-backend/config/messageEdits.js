@@ -0,0 +1,49 @@
+
+// MESSAGE EDIT LIMITS - config/messageEdits.js
+
+
+// Agents can edit a message for 15 minutes and delete it for 60 hours after sending (as in WhatsApp)
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const DELETE_WINDOW_MS = 60 * 60 * 60 * 1000;
+
+// Longest text message the Cloud API accepts
+const MAX_TEXT_LENGTH = 4096;
+
+// Message types whose text can be edited (media edits change the caption)
+const EDITABLE_TYPES = ['text', 'image', 'video', 'document'];
+
+/**
+ * Whether a message's type (and content) can be edited at all
+ */
+function isEditableType(message) {
+    return EDITABLE_TYPES.includes(message.messageType)
+        && (message.messageType === 'text' || Boolean(message.media));
+}
+
+/**
+ * Until when (ms) an agent may edit this message, or null if never
+ * Sent to clients with every message (Message `editableUntil`)
+ */
+function getEditableUntil(message) {
+    if (!message.isOutgoing || message.deletedAt || !isEditableType(message)) return null;
+    return message.timestamp + EDIT_WINDOW_MS;
+}
+
+/**
+ * Until when (ms) an agent may delete this message, or null if never
+ * Sent to clients with every message (Message `deletableUntil`)
+ */
+function getDeletableUntil(message) {
+    if (!message.isOutgoing || message.deletedAt) return null;
+    return message.timestamp + DELETE_WINDOW_MS;
+}
+
+module.exports = {
+    EDIT_WINDOW_MS,
+    DELETE_WINDOW_MS,
+    MAX_TEXT_LENGTH,
+    EDITABLE_TYPES,
+    isEditableType,
+    getEditableUntil,
+    getDeletableUntil
+};
@@ -0,0 +1,119 @@
+
+// RECIPIENT PROFILES - config/recipientProfiles.js
+
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * How a simulated recipient's phone behaves (see services/recipientSimulator.js)
+ * Delays are [min, max] in milliseconds; rates are chances from 0 to 1.
+ * - deliveredDelay: sending -> delivered
+ * - readDelay: delivered -> read
+ * - failureRate: delivery fails instead (status 'failed')
+ * - readRate: a delivered message gets read at all
+ */
+const DEFAULT_PROFILE = {
+    deliveredDelay: [1000, 3000],
+    readDelay: [3000, 15000],
+    failureRate: 0.05,
+    readRate: 0.9
+};
+
+/**
+ * Named profiles contacts can be given instead of spelling out every field
+ */
+const PROFILE_PRESETS = {
+    default: DEFAULT_PROFILE,
+    // Phone in hand - every tick within a couple of seconds
+    instant: {
+        deliveredDelay: [300, 800],
+        readDelay: [500, 2000],
+        failureRate: 0,
+        readRate: 1
+    },
+    // Patchy signal and a busy person
+    slow: {
+        deliveredDelay: [10000, 30000],
+        readDelay: [30000, 120000],
+        failureRate: 0.1,
+        readRate: 0.7
+    },
+    // Read receipts turned off - stays on two grey ticks
+    no_read_receipts: {
+        deliveredDelay: [1000, 3000],
+        readDelay: [0, 0],
+        failureRate: 0,
+        readRate: 0
+    },
+    // Not on WhatsApp (or blocked us) - every message fails
+    unreachable: {
+        deliveredDelay: [1000, 3000],
+        readDelay: [0, 0],
+        failureRate: 1,
+        readRate: 0
+    }
+};
+
+// Error sent with simulated failures - the Cloud API's generic undeliverable error
+const SIMULATED_FAILURE = {
+    code: 131026,
+    title: 'Message undeliverable',
+    message: 'Message undeliverable',
+    error_data: {
+        details: 'Simulated failure from the recipient simulator'
+    }
+};
+
+let contactProfiles = null;
+
+/**
+ * Load per-contact profiles from RECIPIENT_PROFILES_FILE (read once)
+ * The file maps wa_id to a preset name or a partial profile, e.g.
+ * { "919937320320": "slow", "15550100": { "failureRate": 0.5 } }.
+ * A "default" key changes the profile for everyone else.
+ */
+function loadContactProfiles() {
+    if (contactProfiles) return contactProfiles;
+
+    contactProfiles = {};
+    const file = process.env.RECIPIENT_PROFILES_FILE;
+    if (!file) return contactProfiles;
+
+    try {
+        contactProfiles = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8')) || {};
+    } catch (error) {
+        console.error('Error loading recipient profiles:', error.message);
+    }
+
+    return contactProfiles;
+}
+
+/**
+ * Resolve a preset name or partial profile to a full profile
+ * Unknown presets fall back to the default profile
+ */
+function resolveProfile(profile, base = DEFAULT_PROFILE) {
+    if (typeof profile === 'string') {
+        return PROFILE_PRESETS[profile] || base;
+    }
+
+    return { ...base, ...(profile || {}) };
+}
+
+/**
+ * Get the simulated recipient profile for a customer
+ */
+function getRecipientProfile(waId) {
+    const profiles = loadContactProfiles();
+    const base = resolveProfile(profiles.default);
+
+    return profiles[waId] ? resolveProfile(profiles[waId], base) : base;
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    PROFILE_PRESETS,
+    SIMULATED_FAILURE,
+    getRecipientProfile
+};
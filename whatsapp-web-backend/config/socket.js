@@ -0,0 +1,39 @@
+
+// SOCKET.IO SETUP - config/socket.js
+
+const { Server } = require('socket.io');
+
+let io = null;
+
+/**
+ * Attach a socket.io server to the HTTP server
+ * Uses the same origin as the REST API CORS settings
+ */
+function initSocket(httpServer) {
+    io = new Server(httpServer, {
+        cors: {
+            origin: process.env.FRONTEND_URI
+        }
+    });
+
+    io.on('connection', (socket) => {
+        console.log('Socket connected:', socket.id);
+
+        socket.on('disconnect', (reason) => {
+            console.log('Socket disconnected:', socket.id, reason);
+        });
+    });
+
+    return io;
+}
+
+/**
+ * Broadcast an event to every connected client
+ * No-op when sockets aren't running (webhook CLI, serverless)
+ */
+function emitToClients(event, payload) {
+    if (!io) return;
+    io.emit(event, payload);
+}
+
+module.exports = { initSocket, emitToClients };
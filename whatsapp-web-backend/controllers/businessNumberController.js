@@ -0,0 +1,174 @@
+
+// BUSINESS NUMBER CONTROLLER - controllers/businessNumberController.js
+
+
+const BusinessNumber = require('../models/BusinessNumber');
+const { listBusinessNumbers, findBusinessNumber } = require('../services/businessNumberService');
+
+const DISPLAY_NAME_LENGTH = 100;
+
+/**
+ * Check the optional displayName/isDefault fields, returning an error message if invalid
+ */
+function validateNumberFields({ displayName, isDefault }) {
+    if (displayName !== undefined && typeof displayName !== 'string') {
+        return 'displayName must be a string';
+    }
+    if (typeof displayName === 'string' && displayName.trim().length > DISPLAY_NAME_LENGTH) {
+        return `displayName must be ${DISPLAY_NAME_LENGTH} characters or fewer`;
+    }
+    if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+        return 'isDefault must be true or false';
+    }
+    return null;
+}
+
+/**
+ * Make one number the default, clearing the flag everywhere else
+ */
+async function setDefaultNumber(phoneNumberId) {
+    await BusinessNumber.updateMany(
+        { phoneNumberId: { $ne: phoneNumberId }, isDefault: true },
+        { $set: { isDefault: false } }
+    );
+}
+
+/**
+ * List business numbers, default first
+ */
+const listNumbers = async (req, res) => {
+    try {
+        const numbers = await listBusinessNumbers();
+
+        res.json({
+            success: true,
+            numbers
+        });
+
+    } catch (error) {
+        console.error('Error listing business numbers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list business numbers'
+        });
+    }
+};
+
+/**
+ * Register a business number
+ * Numbers are also added automatically by the first webhook that mentions them.
+ * Body: { phoneNumberId, displayPhoneNumber?, displayName?, isDefault? }
+ */
+const createNumber = async (req, res) => {
+    try {
+        const { phoneNumberId, displayPhoneNumber, displayName, isDefault } = req.body || {};
+
+        if (typeof phoneNumberId !== 'string' || !/^\d+$/.test(phoneNumberId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'phoneNumberId is required (digits only)'
+            });
+        }
+        if (displayPhoneNumber !== undefined && typeof displayPhoneNumber !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'displayPhoneNumber must be a string'
+            });
+        }
+
+        const fieldError = validateNumberFields({ displayName, isDefault });
+        if (fieldError) {
+            return res.status(400).json({
+                success: false,
+                error: fieldError
+            });
+        }
+
+        const number = await new BusinessNumber({
+            phoneNumberId,
+            displayPhoneNumber,
+            displayName: displayName?.trim() || undefined,
+            isDefault: isDefault === true
+        }).save();
+
+        if (number.isDefault) {
+            await setDefaultNumber(phoneNumberId);
+        }
+
+        console.log(`Business number registered: ${phoneNumberId}`);
+
+        res.status(201).json({
+            success: true,
+            number: await findBusinessNumber(phoneNumberId)
+        });
+
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                error: 'This business number is already registered'
+            });
+        }
+
+        console.error('Error registering business number:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to register business number'
+        });
+    }
+};
+
+/**
+ * Rename a business number or make it the default
+ * Body: { displayName?, isDefault? }
+ */
+const updateNumber = async (req, res) => {
+    try {
+        const { phoneNumberId } = req.params;
+        const { displayName, isDefault } = req.body || {};
+
+        const fieldError = validateNumberFields({ displayName, isDefault });
+        if (fieldError) {
+            return res.status(400).json({
+                success: false,
+                error: fieldError
+            });
+        }
+
+        const number = await BusinessNumber.findOne({ phoneNumberId });
+        if (!number) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business number not found'
+            });
+        }
+
+        if (displayName !== undefined) number.displayName = displayName.trim() || undefined;
+        if (isDefault !== undefined) number.isDefault = isDefault;
+        await number.save();
+
+        if (isDefault === true) {
+            await setDefaultNumber(phoneNumberId);
+        }
+
+        console.log(`Business number updated: ${phoneNumberId}`);
+
+        res.json({
+            success: true,
+            number: await findBusinessNumber(phoneNumberId)
+        });
+
+    } catch (error) {
+        console.error('Error updating business number:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update business number'
+        });
+    }
+};
+
+module.exports = {
+    listNumbers,
+    createNumber,
+    updateNumber
+};
@@ -0,0 +1,180 @@
+
+// CONTACT CONTROLLER - controllers/contactController.js
+
+
+const Contact = require('../models/Contact');
+const { notifyContactUpdated } = require('../services/realtime');
+const { parseLimit } = require('../utils/pagination');
+
+// Limits for agent-editable fields (same as the schema)
+const DISPLAY_NAME_LENGTH = 100;
+const NOTES_LENGTH = 2000;
+
+/**
+ * Public shape of a contact
+ */
+function formatContact(contact) {
+    return {
+        wa_id: contact.wa_id,
+        name: contact.name,
+        profileName: contact.profileName || null,
+        profileNameHistory: contact.profileNameHistory || [],
+        displayName: contact.displayName || null,
+        notes: contact.notes || '',
+        createdAt: contact.createdAt,
+        updatedAt: contact.updatedAt
+    };
+}
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * List contacts, most recently updated first
+ * Optional ?search matches wa_id, profile name or display name
+ */
+const listContacts = async (req, res) => {
+    try {
+        const limit = parseLimit(req.query.limit);
+        const filter = {};
+
+        if (typeof req.query.search === 'string' && req.query.search.trim()) {
+            const pattern = new RegExp(escapeRegExp(req.query.search.trim()), 'i');
+            filter.$or = [
+                { wa_id: pattern },
+                { profileName: pattern },
+                { displayName: pattern }
+            ];
+        }
+
+        const contacts = await Contact.find(filter)
+            .sort({ updatedAt: -1 })
+            .limit(limit);
+
+        res.json({
+            success: true,
+            contacts: contacts.map(formatContact)
+        });
+
+    } catch (error) {
+        console.error('Error listing contacts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list contacts'
+        });
+    }
+};
+
+/**
+ * Get a single contact by wa_id
+ */
+const getContact = async (req, res) => {
+    try {
+        const contact = await Contact.findOne({ wa_id: req.params.waId });
+
+        if (!contact) {
+            return res.status(404).json({
+                success: false,
+                error: 'Contact not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            contact: formatContact(contact)
+        });
+
+    } catch (error) {
+        console.error('Error getting contact:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get contact'
+        });
+    }
+};
+
+/**
+ * Update a contact's display name and/or notes
+ * Body: { displayName?, notes? } - empty or null clears a field.
+ * Creates the contact if we haven't had a webhook for them yet.
+ */
+const updateContact = async (req, res) => {
+    try {
+        const { waId } = req.params;
+        const { displayName, notes } = req.body || {};
+        const $set = {};
+        const $unset = {};
+
+        if (displayName === undefined && notes === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Nothing to update: send displayName and/or notes'
+            });
+        }
+
+        for (const [field, value, maxLength] of [
+            ['displayName', displayName, DISPLAY_NAME_LENGTH],
+            ['notes', notes, NOTES_LENGTH]
+        ]) {
+            if (value === undefined) continue;
+
+            if (value !== null && typeof value !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a string`
+                });
+            }
+
+            const trimmed = field === 'displayName' ? (value || '').trim() : (value || '');
+            if (trimmed.length > maxLength) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be ${maxLength} characters or fewer`
+                });
+            }
+
+            if (trimmed) {
+                $set[field] = trimmed;
+            } else {
+                $unset[field] = '';
+            }
+        }
+
+        const update = {};
+        if (Object.keys($set).length) update.$set = $set;
+        if (Object.keys($unset).length) update.$unset = $unset;
+
+        const contact = await Contact.findOneAndUpdate(
+            { wa_id: waId },
+            update,
+            { upsert: true, new: true, runValidators: true }
+        );
+
+        console.log(`Contact updated: ${waId} (${contact.name})`);
+
+        // Sidebar and chat header show the new name (on every business number)
+        await notifyContactUpdated(waId);
+
+        res.json({
+            success: true,
+            contact: formatContact(contact)
+        });
+
+    } catch (error) {
+        console.error('Error updating contact:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update contact'
+        });
+    }
+};
+
+module.exports = {
+    listContacts,
+    getContact,
+    updateContact
+};
@@ -0,0 +1,132 @@
+
+// CONVERSATION STATE CONTROLLER - controllers/conversationStateController.js
+
+
+const Message = require('../models/Message');
+const { numberScope } = require('../services/businessNumberService');
+const { buildConversationSummary } = require('../services/conversationService');
+const { notifyConversationUpdated } = require('../services/realtime');
+const {
+    MAX_PINNED,
+    MUTE_ALWAYS,
+    getConversationState,
+    countPinned,
+    countArchived,
+    updateConversationState: saveConversationState
+} = require('../services/conversationStateService');
+
+// Flags that are switched on and off with true/false
+const BOOLEAN_FIELDS = ['favourite', 'pinned', 'archived'];
+
+/**
+ * Check a state update body
+ * mutedUntil is a future time in milliseconds, "always", or null to unmute.
+ * Returns { changes } or { error }
+ */
+function parseStateChanges(body) {
+    const changes = {};
+
+    for (const field of BOOLEAN_FIELDS) {
+        if (body[field] === undefined) continue;
+
+        if (typeof body[field] !== 'boolean') {
+            return { error: `${field} must be true or false` };
+        }
+        changes[field] = body[field];
+    }
+
+    if (body.mutedUntil !== undefined) {
+        const { mutedUntil } = body;
+
+        if (mutedUntil === null) {
+            changes.mutedUntil = null;
+        } else if (mutedUntil === 'always') {
+            changes.mutedUntil = MUTE_ALWAYS;
+        } else if (Number.isInteger(mutedUntil) && mutedUntil > Date.now()) {
+            changes.mutedUntil = mutedUntil;
+        } else {
+            return { error: 'mutedUntil must be a future time in milliseconds, "always", or null to unmute' };
+        }
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { error: 'Nothing to update: send favourite, pinned, archived and/or mutedUntil' };
+    }
+
+    if (changes.pinned && changes.archived) {
+        return { error: 'A conversation cannot be pinned and archived at once' };
+    }
+
+    return { changes };
+}
+
+/**
+ * Update a conversation's state on the business number (req.businessNumber)
+ * Body: { favourite?, pinned?, archived?, mutedUntil? }
+ * Archiving also unpins; archived chats can't be pinned until unarchived.
+ * Responds with the new state, the conversation summary and the number's archivedCount
+ */
+const updateConversationState = async (req, res) => {
+    try {
+        const { waId } = req.params;
+        const number = req.businessNumber;
+        const { changes, error } = parseStateChanges(req.body || {});
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const exists = await Message.exists({ ...numberScope(number), wa_id: waId });
+        if (!exists) {
+            return res.status(404).json({
+                success: false,
+                error: 'Conversation not found'
+            });
+        }
+
+        if (changes.pinned) {
+            const current = await getConversationState(number, waId);
+
+            if (current.archived && changes.archived !== false) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Archived conversations cannot be pinned'
+                });
+            }
+
+            if (!current.pinned && await countPinned(number) >= MAX_PINNED) {
+                return res.status(409).json({
+                    success: false,
+                    error: `You can only pin up to ${MAX_PINNED} chats`
+                });
+            }
+        }
+
+        const state = await saveConversationState(number, waId, changes);
+        console.log(`Conversation state updated: ${waId}`, changes);
+
+        // Other open clients move the chat too
+        await notifyConversationUpdated(waId, number.phoneNumberId);
+
+        res.json({
+            success: true,
+            state,
+            conversation: await buildConversationSummary(waId, number),
+            archivedCount: await countArchived(number)
+        });
+
+    } catch (error) {
+        console.error('Error updating conversation state:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update conversation state'
+        });
+    }
+};
+
+module.exports = {
+    updateConversationState
+};
@@ -0,0 +1,296 @@
+
+// MEDIA CONTROLLER - controllers/mediaController.js
+
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const multer = require('multer');
+
+const Media = require('../models/Media');
+const { getMediaStorage } = require('../storage');
+const { MEDIA_LIMITS, MAX_UPLOAD_BYTES, SNIFF_BYTES, resolveMediaType, matchesContent } = require('../config/media');
+
+// Uploads are written to temporary files, then copied to the storage backend
+const tempStorage = multer.diskStorage({});
+
+/**
+ * Error that ends an upload with an HTTP status (see parseUpload)
+ */
+function uploadError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Stream that checks an upload on its way to disk
+ * Fails as soon as the file is over its media type's size limit or its first
+ * bytes don't match its mime type, and hashes it as it goes (sha256).
+ */
+function createUploadCheck(mimeType, mediaType) {
+    const { maxBytes } = MEDIA_LIMITS[mediaType];
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let head = Buffer.alloc(0);
+    let sniffed = false;
+
+    const sniff = () => {
+        sniffed = true;
+        return matchesContent(mimeType, head)
+            ? null
+            : uploadError(415, `File content doesn't match its type (${mimeType})`);
+    };
+
+    const check = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxBytes) {
+                return callback(uploadError(413, `${mediaType} files must be ${Math.round(maxBytes / (1024 * 1024))} MB or smaller`));
+            }
+
+            hash.update(chunk);
+            if (!sniffed) {
+                head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+                if (head.length === SNIFF_BYTES) return callback(sniff(), chunk);
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            callback(sniffed ? null : sniff());
+        }
+    });
+
+    check.digest = () => hash.digest('hex');
+    return check;
+}
+
+/**
+ * Multer storage engine for uploads
+ * Rejects unsupported mime types before reading the file, then writes it to
+ * a temporary file through createUploadCheck. Adds `sha256` to req.file.
+ */
+const uploadStorage = {
+    _handleFile(req, file, cb) {
+        // Each mime type belongs to one media type, which sets the size limit
+        const mediaType = resolveMediaType(file.mimetype);
+        if (!mediaType) {
+            return cb(uploadError(415, `Unsupported file type: ${file.mimetype}`));
+        }
+
+        const check = createUploadCheck(file.mimetype, mediaType);
+        let checkError = null;
+        check.on('error', error => { checkError = error; });
+        const checkedFile = Object.create(file, {
+            stream: { value: pipeline(file.stream, check, () => {}) }
+        });
+
+        tempStorage._handleFile(req, checkedFile, (error, info) => {
+            if (error) {
+                // A failed write leaves its partial file behind
+                if (checkedFile.path) fs.rm(checkedFile.path, { force: true }, () => {});
+                // Report why the check stopped the file, not how the write noticed
+                return cb(checkError || error);
+            }
+            cb(null, { ...info, sha256: check.digest() });
+        });
+    },
+
+    _removeFile(req, file, cb) {
+        tempStorage._removeFile(req, file, cb);
+    }
+};
+
+// Hard cap for any file - per-type limits are checked while streaming
+const upload = multer({
+    storage: uploadStorage,
+    // Browsers send UTF-8 filenames without saying so
+    defParamCharset: 'utf8',
+    limits: {
+        fileSize: MAX_UPLOAD_BYTES,
+        files: 1
+    }
+}).single('file');
+
+/**
+ * Parse the multipart upload
+ * Turns multer and upload check errors into the API's JSON error format
+ */
+const parseUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                error: `File is too large (max ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB)`
+            });
+        }
+
+        res.status(400).json({
+            success: false,
+            error: `Upload failed: ${error.message}`
+        });
+    });
+};
+
+/**
+ * Upload a media file
+ * Validates the requested type, stores the file and returns a media reference
+ * that can be sent with POST /api/conversations/:waId/messages.
+ * Size and content were already checked by parseUpload.
+ */
+const uploadMedia = async (req, res) => {
+    const file = req.file;
+
+    try {
+        const requestedType = req.body?.type;
+
+        if (!file) {
+            return res.status(400).json({
+                success: false,
+                error: 'No file uploaded (expected multipart field "file")'
+            });
+        }
+
+        if (requestedType && !MEDIA_LIMITS[requestedType]) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid media type: ${requestedType}`
+            });
+        }
+
+        const mediaType = resolveMediaType(file.mimetype, requestedType);
+        if (!mediaType) {
+            return res.status(415).json({
+                success: false,
+                error: `Unsupported file type: ${file.mimetype}`
+            });
+        }
+
+        const storage = getMediaStorage();
+        const mediaId = 'media_' + crypto.randomBytes(12).toString('hex');
+        const storageKey = mediaId + path.extname(file.originalname || '').toLowerCase();
+
+        await storage.save(storageKey, fs.createReadStream(file.path));
+
+        const media = await new Media({
+            mediaId,
+            mediaType,
+            mimeType: file.mimetype,
+            size: file.size,
+            sha256: file.sha256,
+            filename: file.originalname || '',
+            storage: storage.name,
+            storageKey
+        }).save();
+
+        console.log(`Media uploaded: ${mediaId} (${mediaType}, ${file.size} bytes)`);
+
+        res.json({
+            success: true,
+            media: formatMediaReference(media)
+        });
+
+    } catch (error) {
+        console.error('Error uploading media:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to upload media'
+        });
+    } finally {
+        // The temporary copy is never needed after the request
+        if (file?.path) {
+            await fs.promises.rm(file.path, { force: true });
+        }
+    }
+};
+
+/**
+ * Serve a stored media file
+ */
+const getMedia = async (req, res) => {
+    try {
+        const media = await Media.findOne({ mediaId: req.params.mediaId });
+
+        if (!media) {
+            return res.status(404).json({
+                success: false,
+                error: 'Media not found'
+            });
+        }
+
+        const stream = await getMediaStorage().createReadStream(media.storageKey);
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                error: 'Media file is missing from storage'
+            });
+        }
+
+        res.set({
+            'Content-Type': media.mimeType,
+            'Content-Length': media.size,
+            'Content-Disposition': `inline; ${formatFilenameParams(media.filename || media.mediaId)}`,
+            // Browsers must use our Content-Type, not guess one from the content
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, max-age=86400'
+        });
+
+        stream.on('error', (error) => {
+            console.error('Error streaming media:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+
+    } catch (error) {
+        console.error('Error getting media:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get media'
+        });
+    }
+};
+
+/**
+ * Content-Disposition filename parameters (RFC 6266)
+ * An ASCII fallback for old clients, plus the UTF-8 name for everyone else
+ */
+function formatFilenameParams(filename) {
+    const fallback = filename.replace(/[^\x20-\x7E]|["\\]/g, '_');
+    const encoded = encodeURIComponent(filename)
+        .replace(/['()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+
+    return `filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Public description of a stored media file
+ * Also the shape stored on messages (see Message.media)
+ */
+function formatMediaReference(media) {
+    return {
+        id: media.mediaId,
+        type: media.mediaType,
+        mimeType: media.mimeType,
+        size: media.size,
+        sha256: media.sha256,
+        filename: media.filename,
+        url: `/api/media/${media.mediaId}`
+    };
+}
+
+module.exports = {
+    parseUpload,
+    uploadMedia,
+    getMedia,
+    formatMediaReference
+};
@@ -3,34 +3,72 @@
 
 
 const Message = require('../models/Message');
+const Media = require('../models/Media');
+const Template = require('../models/Template');
+const { MEDIA_TYPES } = require('../config/media');
+const { formatMediaReference } = require('./mediaController');
+const { getSignatureStats } = require('../middleware/verifyWebhookSignature');
+const { listConversations } = require('../services/conversationService');
+const { notifyMessageSaved, notifyConversationUpdated } = require('../services/realtime');
+const { simulateRecipient } = require('../services/recipientSimulator');
+const { replyAsPersona } = require('../services/personaSimulator');
+const { normalizeInteractive } = require('../utils/interactive');
+const { buildMessageContext } = require('../services/messageContextService');
+const { getContactDisplayName } = require('../services/contactService');
+const { numberScope } = require('../services/businessNumberService');
+const { CONVERSATION_FILTERS, countArchived } = require('../services/conversationStateService');
+const { SERVICE_WINDOW_CLOSED, getServiceWindow } = require('../services/serviceWindowService');
+const { countPlaceholders, renderTemplateText, getComponentParams } = require('../utils/templates');
+const { parseLimit, encodeCursor, decodeCursor, olderThan, newerThan } = require('../utils/pagination');
 
 /**
- * Get all conversations
- * Returns list of people who have sent messages, grouped by wa_id
+ * Get conversations
+ * Returns summaries of people who have sent messages to the business number
+ * (req.businessNumber), pinned first, then latest first.
+ * ?filter=unread|favourites|archived narrows the list (default 'all', which
+ * leaves out archived chats); archivedCount is always included.
+ * Cursor paginated: pass ?before=<nextCursor> for the next page
  */
 const getConversations = async (req, res) => {
     try {
-        // Find all unique wa_ids from incoming messages
-        const senderIds = await Message.distinct('wa_id', {
-            isOutgoing: false
-        });
+        const limit = parseLimit(req.query.limit);
+        const filter = req.query.filter || 'all';
+        let before = null;
         
-        const conversations = [];
+        if (!Object.hasOwn(CONVERSATION_FILTERS, filter)) {
+            return res.status(400).json({
+                success: false,
+                error: `filter must be one of: ${Object.keys(CONVERSATION_FILTERS).join(', ')}`
+            });
+        }
         
-        // Get conversation details for each wa_id
-        for (const waId of senderIds) {
-            const conversationData = await buildConversationSummary(waId);
-            if (conversationData) {
-                conversations.push(conversationData);
+        if (req.query.before) {
+            before = decodeCursor(req.query.before);
+            if (!before) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid cursor'
+                });
             }
         }
         
-        // Sort conversations by latest message time
-        conversations.sort((a, b) => b.lastMessageTime - a.lastMessageTime);
+        const [{ conversations, hasMore }, archivedCount] = await Promise.all([
+            listConversations({
+                number: req.businessNumber,
+                limit,
+                before,
+                filter
+            }),
+            countArchived(req.businessNumber)
+        ]);
+        const last = conversations[conversations.length - 1];
         
         res.json({ 
             success: true,
-            conversations 
+            conversations,
+            archivedCount,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(last.lastMessageTime, last.wa_id) : null
         });
         
     } catch (error) {
@@ -43,49 +81,25 @@ const getConversations = async (req, res) => {
 };
 
 /**
- * Helper function to build conversation summary
- * Gets latest message and contact info for a wa_id
+ * Sort position of a message, for cursors and olderThan/newerThan
  */
-async function buildConversationSummary(waId) {
-    try {
-        // Get the most recent message in this conversation
-        const lastMessage = await Message.findOne({
-            $or: [
-                { wa_id: waId },
-                { toNumber: waId }
-            ]
-        }).sort({ timestamp: -1 });
-        
-        // Get contact info from incoming messages
-        const contactInfo = await Message.findOne({
-            wa_id: waId,
-            isOutgoing: false
-        });
-        
-        if (!lastMessage) return null;
-        
-        return {
-            wa_id: waId,
-            phoneNumber: contactInfo?.fromNumber || waId,
-            contactName: contactInfo?.contactName || 'Unknown',
-            lastMessage: lastMessage.text || 'No message',
-            lastMessageTime: lastMessage.timestamp,
-            isLastOutgoing: lastMessage.isOutgoing
-        };
-        
-    } catch (error) {
-        console.error('Error building conversation summary:', error);
-        return null;
-    }
+function messagePosition(message) {
+    return { timestamp: message.timestamp, id: message.messageId };
 }
 
 /**
- * Get all messages for a specific conversation
- * Returns messages sorted chronologically (oldest first)
+ * Get messages for a specific conversation
+ * Cursor paginated, newest page first: pass ?before=<nextCursor> to get older ones
+ * and ?after=<newerCursor> to get newer ones. ?around=<messageId> returns a page
+ * centred on that message (e.g. a search hit).
+ * Each page is returned sorted chronologically (oldest first), with
+ * hasMore/nextCursor for older messages and hasNewer/newerCursor for newer ones
  */
 const getMessages = async (req, res) => {
     try {
         const { waId } = req.params;
+        const { before, after, around } = req.query;
+        const limit = parseLimit(req.query.limit);
         
         // Validate input
         if (!waId) {
@@ -95,17 +109,86 @@ const getMessages = async (req, res) => {
             });
         }
         
-        // Find all messages in this conversation
-        const messages = await Message.find({
-            $or: [
-                { wa_id: waId },
-                { toNumber: waId }
-            ]
-        }).sort({ timestamp: 1 });
+        if ([before, after, around].filter(Boolean).length > 1) {
+            return res.status(400).json({
+                success: false,
+                error: 'Use only one of before, after or around'
+            });
+        }
+        
+        const scope = numberScope(req.businessNumber);
+        const conversation = { ...scope, wa_id: waId };
+        
+        // Fetch one extra message in each direction to know whether there are more
+        const fetchOlder = (position, count) => Message.find(position ? { $and: [conversation, olderThan(position)] } : conversation)
+            .sort({ timestamp: -1, messageId: -1 })
+            .limit(count + 1);
+        const fetchNewer = (position, count) => Message.find({ $and: [conversation, newerThan(position)] })
+            .sort({ timestamp: 1, messageId: 1 })
+            .limit(count + 1);
+        
+        let messages;
+        let hasMore;
+        let hasNewer;
+        
+        if (around) {
+            const target = await Message.findOne({ ...conversation, messageId: around });
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Message not found in this conversation'
+                });
+            }
+            
+            // Split the page either side of the target
+            const olderCount = Math.floor((limit - 1) / 2);
+            const newerCount = limit - 1 - olderCount;
+            const [older, newer] = await Promise.all([
+                fetchOlder(messagePosition(target), olderCount),
+                fetchNewer(messagePosition(target), newerCount)
+            ]);
+            
+            messages = [...older.slice(0, olderCount).reverse(), target, ...newer.slice(0, newerCount)];
+            hasMore = older.length > olderCount;
+            hasNewer = newer.length > newerCount;
+            
+        } else {
+            const cursor = before || after;
+            const position = cursor ? decodeCursor(cursor) : null;
+            if (cursor && !position) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid cursor'
+                });
+            }
+            
+            if (after) {
+                const page = await fetchNewer(position, limit);
+                messages = page.slice(0, limit);
+                hasNewer = page.length > limit;
+                // The cursor itself is an older message
+                hasMore = true;
+            } else {
+                const page = await fetchOlder(position, limit);
+                messages = page.slice(0, limit).reverse();
+                hasMore = page.length > limit;
+                // Only pages before a cursor have anything newer
+                hasNewer = Boolean(before);
+            }
+        }
+        
+        const first = messages[0];
+        const last = messages[messages.length - 1];
+        const serviceWindow = await getServiceWindow(waId, scope);
         
         res.json({ 
             success: true,
-            messages 
+            messages,
+            serviceWindow,
+            hasMore: hasMore && Boolean(first),
+            nextCursor: hasMore && first ? encodeCursor(first.timestamp, first.messageId) : null,
+            hasNewer: hasNewer && Boolean(last),
+            newerCursor: hasNewer && last ? encodeCursor(last.timestamp, last.messageId) : null
         });
         
     } catch (error) {
@@ -119,15 +202,20 @@ const getMessages = async (req, res) => {
 
 /**
  * Send a new message
- * Creates and saves an outgoing message to database
+ * Creates and saves an outgoing message to database.
+ * Body: { text } for text, or { type: 'image'|'video'|'audio'|'document', media: { id }, caption }
+ * with a media reference from POST /api/media, or { type: 'template', template: { name, language: { code }, components } }.
+ * Add context: { message_id } to reply to (quote) an earlier message in this conversation.
+ * Anything but a template is rejected with SERVICE_WINDOW_CLOSED more than
+ * 24 hours after the customer's last message.
  */
 const sendMessage = async (req, res) => {
     try {
         const { waId } = req.params;
-        const { text, contactName } = req.body;
+        const { contactName } = req.body;
         
         // Validate required inputs
-        const validation = validateMessageInput(text, waId);
+        const validation = validateMessageInput(req.body, waId);
         if (!validation.isValid) {
             return res.status(400).json({
                 success: false,
@@ -135,19 +223,62 @@ const sendMessage = async (req, res) => {
             });
         }
         
-        // Get business phone number from environment
-        const businessPhone = process.env.BUSINESS_PHONE_NUMBER || '+1234567890';
+        // Free-form messages need an open customer service window
+        if ((req.body.type || 'text') !== 'template') {
+            const serviceWindow = await getServiceWindow(waId, numberScope(req.businessNumber));
+            if (!serviceWindow.isOpen) {
+                return res.status(403).json({
+                    success: false,
+                    code: SERVICE_WINDOW_CLOSED,
+                    error: 'The 24-hour customer service window is closed. Send a template message to reopen the conversation.',
+                    serviceWindow
+                });
+            }
+        }
+        
+        // Resolve the message content (looks up uploaded media)
+        const { content, error: contentError } = await buildOutgoingContent(req.body);
+        if (contentError) {
+            return res.status(400).json({
+                success: false,
+                error: contentError
+            });
+        }
+        
+        // Quote the message being replied to - only from this conversation
+        const quotedMessageId = req.body.context?.message_id;
+        if (quotedMessageId) {
+            const context = await buildMessageContext(quotedMessageId, {
+                ...numberScope(req.businessNumber),
+                wa_id: waId
+            });
+            if (!context) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Quoted message not found in this conversation: ${quotedMessageId}`
+                });
+            }
+            content.context = context;
+        }
         
         // Get contact name from existing conversation
         const contactNameToUse = await getContactName(waId, contactName);
         
         // Create new message object
-        const messageData = createOutgoingMessage(waId, text, businessPhone, contactNameToUse);
+        const messageData = createOutgoingMessage(waId, content, req.businessNumber);
         
         // Save message to database
         const savedMessage = await new Message(messageData).save();
         
-        console.log(` Message saved: ${savedMessage.messageId} to ${contactNameToUse} (${waId})`);
+        console.log(` Message saved: ${savedMessage.messageId} to ${contactNameToUse} (${waId}) from ${req.businessNumber.displayName}`);
+        
+        // Push to connected clients
+        await notifyMessageSaved(savedMessage);
+        
+        // Delivery and read receipts from a simulated phone (RECIPIENT_SIMULATOR=true)
+        simulateRecipient(savedMessage);
+        // Scripted customers answer back (CUSTOMER_PERSONAS=true)
+        replyAsPersona(savedMessage);
         
         res.json({ 
             success: true, 
@@ -180,51 +311,220 @@ const sendMessage = async (req, res) => {
 };
 
 /**
- * Validate message input data
+ * Mark a conversation as read
+ * Moves every unread incoming message to 'read' and clears the unread count
  */
-function validateMessageInput(text, waId) {
-    if (!text || !text.trim()) {
-        return { isValid: false, error: 'Message text is required' };
+const markConversationRead = async (req, res) => {
+    try {
+        const { waId } = req.params;
+        
+        if (!waId) {
+            return res.status(400).json({
+                success: false,
+                error: 'wa_id is required'
+            });
+        }
+        
+        const result = await Message.updateMany(
+            { ...numberScope(req.businessNumber), wa_id: waId, isOutgoing: false, status: 'received' },
+            { $set: { status: 'read' } }
+        );
+        
+        // Only bother other clients when something actually changed
+        if (result.modifiedCount > 0) {
+            console.log(`Marked ${result.modifiedCount} message(s) as read for ${waId}`);
+            await notifyConversationUpdated(waId, req.businessNumber.phoneNumberId);
+        }
+        
+        res.json({
+            success: true,
+            updated: result.modifiedCount,
+            unreadCount: 0
+        });
+        
+    } catch (error) {
+        console.error('Error marking conversation as read:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to mark conversation as read'
+        });
     }
+};
+
+/**
+ * Validate message input data
+ */
+function validateMessageInput(body, waId) {
+    const type = body.type || 'text';
     
     if (!waId) {
         return { isValid: false, error: 'wa_id is required' };
     }
     
-    return { isValid: true };
+    if (type === 'text') {
+        if (typeof body.text !== 'string' || !body.text.trim()) {
+            return { isValid: false, error: 'Message text is required' };
+        }
+        return { isValid: true };
+    }
+    
+    if (MEDIA_TYPES.includes(type)) {
+        if (!body.media?.id) {
+            return { isValid: false, error: `media.id is required for ${type} messages` };
+        }
+        if (type === 'audio' && body.caption) {
+            return { isValid: false, error: 'Audio messages cannot have a caption' };
+        }
+        return { isValid: true };
+    }
+    
+    if (type === 'template') {
+        if (!body.template?.name) {
+            return { isValid: false, error: 'template.name is required for template messages' };
+        }
+        return { isValid: true };
+    }
+    
+    // Button/list payload is checked in detail by normalizeInteractive
+    if (type === 'interactive') {
+        if (!body.interactive || typeof body.interactive !== 'object') {
+            return { isValid: false, error: 'interactive is required for interactive messages' };
+        }
+        return { isValid: true };
+    }
+    
+    return { isValid: false, error: `Unsupported message type: ${type}` };
+}
+
+/**
+ * Build the content fields (messageType, text, media, interactive, template) for an outgoing message
+ * Returns { content } or { error }
+ */
+async function buildOutgoingContent(body) {
+    const type = body.type || 'text';
+    
+    if (type === 'text') {
+        return {
+            content: { messageType: 'text', text: body.text.trim() }
+        };
+    }
+    
+    if (type === 'template') {
+        return buildTemplateContent(body.template);
+    }
+    
+    if (type === 'interactive') {
+        const { interactive, error } = normalizeInteractive(body.interactive);
+        if (error) {
+            return { error };
+        }
+        
+        return {
+            content: { messageType: 'interactive', text: interactive.body, interactive }
+        };
+    }
+    
+    // Media message - must reference a file uploaded through POST /api/media
+    const media = await Media.findOne({ mediaId: body.media.id });
+    if (!media) {
+        return { error: `Media not found: ${body.media.id}` };
+    }
+    
+    if (media.mediaType !== type) {
+        return { error: `Media ${media.mediaId} was uploaded as ${media.mediaType}, not ${type}` };
+    }
+    
+    const caption = typeof body.caption === 'string' ? body.caption.trim() : '';
+    const { id, mimeType, sha256, filename, url } = formatMediaReference(media);
+    
+    return {
+        content: {
+            messageType: type,
+            text: caption,
+            media: { id, mimeType, sha256, filename, caption: caption || undefined, url }
+        }
+    };
 }
 
 /**
- * Get contact name from existing messages or use provided name
+ * Render a template send into message content
+ * Payload follows the Cloud API shape:
+ * { name, language: { code }, components: [{ type: 'body', parameters: [{ type: 'text', text }] }] }
+ * Returns { content } or { error }
+ */
+async function buildTemplateContent(payload) {
+    const language = payload.language?.code || payload.language || 'en_US';
+    const template = await Template.findOne({ name: payload.name, language });
+    
+    if (!template) {
+        return { error: `Template not found: ${payload.name} (${language})` };
+    }
+    
+    if (template.status !== 'APPROVED') {
+        return { error: `Template ${template.name} is ${template.status.toLowerCase()}, not approved` };
+    }
+    
+    const params = {
+        header: getComponentParams(payload.components, 'header'),
+        body: getComponentParams(payload.components, 'body')
+    };
+    
+    for (const part of ['header', 'body']) {
+        const expected = countPlaceholders(template[part]);
+        if (params[part].length !== expected) {
+            return { error: `Template ${template.name} needs ${expected} ${part} parameter(s), got ${params[part].length}` };
+        }
+    }
+    
+    return {
+        content: {
+            messageType: 'template',
+            text: renderTemplateText(template.body, params.body),
+            template: {
+                name: template.name,
+                language: template.language,
+                category: template.category,
+                header: renderTemplateText(template.header, params.header),
+                footer: template.footer,
+                buttons: template.buttons,
+                params
+            }
+        }
+    };
+}
+
+/**
+ * Get contact name from the contacts collection or use provided name
  */
 async function getContactName(waId, providedName) {
     try {
-        const existingMessage = await Message.findOne({ 
-            wa_id: waId,
-            isOutgoing: false 
-        });
+        const savedName = await getContactDisplayName(waId);
         
-        return existingMessage?.contactName || providedName || 'Unknown';
+        return savedName || providedName || 'Unknown';
     } catch (error) {
         return providedName || 'Unknown';
     }
 }
 
 /**
- * Create outgoing message object
+ * Create outgoing message object, sent from a business number
  */
-function createOutgoingMessage(waId, text, businessPhone, contactName) {
+function createOutgoingMessage(waId, content, number) {
+    const timestamp = Date.now();
+    
     return {
         messageId: 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-        wa_id: 'business',
-        text: text.trim(),
-        messageType: 'text',
-        fromNumber: businessPhone,
+        // Conversation key is the customer, in both directions
+        wa_id: waId,
+        phoneNumberId: number.phoneNumberId || undefined,
+        ...content,
+        fromNumber: number.displayPhoneNumber,
         toNumber: waId,
         contactName: 'You',
-        timestamp: Date.now(),
+        timestamp: timestamp,
         isOutgoing: true,
-        status: 'sent'
+        status: 'sent',
+        statusHistory: [{ status: 'sent', timestamp }]
     };
 }
 
@@ -235,15 +535,14 @@ const getHealth = async (req, res) => {
     try {
         // Get database statistics
         const totalMessages = await Message.countDocuments();
-        const uniqueConversations = await Message.distinct('wa_id', {
-            isOutgoing: false
-        });
+        const uniqueConversations = await Message.distinct('wa_id');
         
         res.json({ 
             success: true,
             status: 'OK',
             totalMessages,
             totalConversations: uniqueConversations.length,
+            webhookSignatures: getSignatureStats(),
             timestamp: new Date().toISOString(),
             uptime: process.uptime()
         });
@@ -262,6 +561,7 @@ module.exports = {
     getConversations,
     getMessages,
     sendMessage,
+    markConversationRead,
     getHealth
 };
 
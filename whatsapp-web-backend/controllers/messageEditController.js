@@ -0,0 +1,163 @@
+
+// MESSAGE EDIT CONTROLLER - controllers/messageEditController.js
+
+
+const Message = require('../models/Message');
+const { notifyMessageUpdated } = require('../services/realtime');
+const { MAX_TEXT_LENGTH } = require('../config/messageEdits');
+const { applyEdit, applyRevoke, checkAgentChange } = require('../services/messageEditService');
+
+/**
+ * Edit a message the business sent
+ * Body: { text } - replaces the text (or a media message's caption).
+ * Allowed within 15 minutes of sending; the old text is kept in editHistory.
+ */
+const editMessage = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+        
+        if (!text) {
+            return res.status(400).json({
+                success: false,
+                error: 'Message text is required'
+            });
+        }
+        
+        if (text.length > MAX_TEXT_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Message text must be ${MAX_TEXT_LENGTH} characters or fewer`
+            });
+        }
+        
+        const message = await Message.findOne({ messageId });
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found'
+            });
+        }
+        
+        const rejected = checkAgentChange(message, 'edit');
+        if (rejected) {
+            return res.status(rejected.status).json({
+                success: false,
+                error: rejected.error
+            });
+        }
+        
+        if (text === message.text) {
+            return res.json({
+                success: true,
+                message
+            });
+        }
+        
+        const updated = await applyEdit({ messageId, text });
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                error: 'This message was deleted'
+            });
+        }
+        
+        console.log(`Message edited: ${messageId}`);
+        await notifyMessageUpdated(updated);
+        
+        res.json({
+            success: true,
+            message: updated
+        });
+        
+    } catch (error) {
+        console.error('Error editing message:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to edit message'
+        });
+    }
+};
+
+/**
+ * Delete a message the business sent, for everyone
+ * Allowed within 60 hours of sending. The message stays as a
+ * "This message was deleted" placeholder; its content is kept in editHistory.
+ */
+const deleteMessage = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        
+        const message = await Message.findOne({ messageId });
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found'
+            });
+        }
+        
+        const rejected = checkAgentChange(message, 'delete');
+        if (rejected) {
+            return res.status(rejected.status).json({
+                success: false,
+                error: rejected.error
+            });
+        }
+        
+        const updated = await applyRevoke({ messageId });
+        
+        console.log(`Message deleted: ${messageId}`);
+        await notifyMessageUpdated(updated);
+        
+        res.json({
+            success: true,
+            message: updated
+        });
+        
+    } catch (error) {
+        console.error('Error deleting message:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete message'
+        });
+    }
+};
+
+/**
+ * Get a message's earlier versions (edits and deletion), oldest first
+ */
+const getMessageHistory = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        
+        const message = await Message.findOne({ messageId }).select('+editHistory');
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            messageId,
+            text: message.text,
+            editedAt: message.editedAt || null,
+            deletedAt: message.deletedAt || null,
+            editHistory: message.editHistory || []
+        });
+        
+    } catch (error) {
+        console.error('Error getting message history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get message history'
+        });
+    }
+};
+
+module.exports = {
+    editMessage,
+    deleteMessage,
+    getMessageHistory
+};
@@ -0,0 +1,68 @@
+
+// REACTION CONTROLLER - controllers/reactionController.js
+
+
+const Message = require('../models/Message');
+const { BUSINESS_REACTOR, applyReaction } = require('../services/reactionService');
+const { notifyMessageReaction } = require('../services/realtime');
+
+// Longest accepted emoji (ZWJ sequences and skin tones span several code units)
+const MAX_EMOJI_LENGTH = 16;
+
+/**
+ * React to a message as the business
+ * Body: { emoji } - an empty emoji removes our reaction
+ * Deleted messages can't be reacted to (409)
+ */
+const reactToMessage = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const emoji = req.body?.emoji ?? '';
+        
+        if (typeof emoji !== 'string' || emoji.length > MAX_EMOJI_LENGTH || /\s/.test(emoji)) {
+            return res.status(400).json({
+                success: false,
+                error: 'emoji must be a single emoji, or empty to remove the reaction'
+            });
+        }
+        
+        const existing = await Message.findOne({ messageId });
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found'
+            });
+        }
+        
+        // Null also when it was deleted in the meantime
+        const message = existing.deletedAt
+            ? null
+            : await applyReaction({ messageId, from: BUSINESS_REACTOR, emoji });
+        
+        if (!message) {
+            return res.status(409).json({
+                success: false,
+                error: 'This message was deleted'
+            });
+        }
+        
+        console.log(`Reaction ${emoji || 'removed'} on ${messageId}`);
+        await notifyMessageReaction(message);
+        
+        res.json({
+            success: true,
+            message
+        });
+        
+    } catch (error) {
+        console.error('Error reacting to message:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to react to message'
+        });
+    }
+};
+
+module.exports = {
+    reactToMessage
+};
@@ -0,0 +1,81 @@
+
+// REPORT CONTROLLER - controllers/reportController.js
+
+
+const { getConversationSessionReport } = require('../services/conversationSessionService');
+const { numberScope } = require('../services/businessNumberService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Report range when none is given
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight (milliseconds), or null
+ */
+function parseDay(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    
+    const time = Date.parse(`${value}T00:00:00Z`);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Conversation report
+ * Conversations by category, origin and day (UTC), with how many were billable,
+ * for one business number.
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, defaults to the last 30 days)
+ */
+const getConversationReport = async (req, res) => {
+    try {
+        const { from: fromParam, to: toParam } = req.query;
+        
+        const today = parseDay(new Date().toISOString().slice(0, 10));
+        const to = toParam ? parseDay(toParam) : today;
+        const from = fromParam ? parseDay(fromParam) : to - (DEFAULT_RANGE_DAYS - 1) * DAY_MS;
+        
+        if (from === null || to === null) {
+            return res.status(400).json({
+                success: false,
+                error: 'from and to must be dates in YYYY-MM-DD format'
+            });
+        }
+        
+        if (from > to) {
+            return res.status(400).json({
+                success: false,
+                error: 'from must not be after to'
+            });
+        }
+        
+        // `to` is inclusive, so query up to the start of the next day
+        const report = await getConversationSessionReport({
+            from,
+            to: to + DAY_MS,
+            scope: numberScope(req.businessNumber)
+        });
+        
+        res.json({
+            success: true,
+            phoneNumberId: req.businessNumber.phoneNumberId,
+            range: {
+                from: new Date(from).toISOString().slice(0, 10),
+                to: new Date(to).toISOString().slice(0, 10)
+            },
+            ...report
+        });
+        
+    } catch (error) {
+        console.error('Error building conversation report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build conversation report'
+        });
+    }
+};
+
+module.exports = {
+    getConversationReport
+};
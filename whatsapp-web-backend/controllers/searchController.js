@@ -0,0 +1,121 @@
+
+// SEARCH CONTROLLER - controllers/searchController.js
+
+
+const Message = require('../models/Message');
+const Contact = require('../models/Contact');
+const { numberScope } = require('../services/businessNumberService');
+const { MAX_QUERY_LENGTH, parseSearchTerms, buildSnippet } = require('../utils/search');
+const { parseLimit, encodeCursor, decodeCursor, olderThan } = require('../utils/pagination');
+
+// Results per page when no ?limit is given
+const DEFAULT_SEARCH_LIMIT = 20;
+
+/**
+ * Names to show for the conversations in a page of results
+ * Saved contact names first, then the name on an incoming hit, then the number
+ */
+async function resolveConversationNames(hits) {
+    const waIds = [...new Set(hits.map(hit => hit.wa_id))];
+    const contacts = await Contact.find({ wa_id: { $in: waIds } });
+    const names = new Map(contacts.map(contact => [contact.wa_id, contact.name]));
+
+    for (const hit of hits) {
+        if (!names.has(hit.wa_id) && !hit.isOutgoing && hit.contactName) {
+            names.set(hit.wa_id, hit.contactName);
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Search message text
+ * Across every conversation on the business number, or one with ?waId.
+ * Newest matches first, cursor paginated like the message list:
+ * pass ?before=<nextCursor> for the next page.
+ * Query: ?q=<words or "a phrase">&waId=&limit=&before=
+ */
+const searchMessages = async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const { waId, before } = req.query;
+        const limit = parseLimit(req.query.limit, DEFAULT_SEARCH_LIMIT);
+
+        if (!query) {
+            return res.status(400).json({
+                success: false,
+                error: 'q is required'
+            });
+        }
+
+        if (query.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `q must be ${MAX_QUERY_LENGTH} characters or fewer`
+            });
+        }
+
+        const filter = {
+            ...numberScope(req.businessNumber),
+            $text: { $search: query }
+        };
+
+        if (typeof waId === 'string' && waId) {
+            filter.wa_id = waId;
+        }
+
+        // Only matches older than the cursor position
+        if (before) {
+            const position = decodeCursor(before);
+            if (!position) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid cursor'
+                });
+            }
+            Object.assign(filter, olderThan(position));
+        }
+
+        // Fetch one extra match to know whether there are more
+        const page = await Message.find(filter)
+            .sort({ timestamp: -1, messageId: -1 })
+            .limit(limit + 1)
+            .select('messageId wa_id phoneNumberId text messageType isOutgoing contactName timestamp');
+
+        const hits = page.slice(0, limit);
+        const hasMore = page.length > limit;
+        const terms = parseSearchTerms(query);
+        const names = await resolveConversationNames(hits);
+        const last = hits[hits.length - 1];
+
+        res.json({
+            success: true,
+            query,
+            terms,
+            results: hits.map(hit => ({
+                messageId: hit.messageId,
+                wa_id: hit.wa_id,
+                phoneNumberId: req.businessNumber.phoneNumberId,
+                contactName: names.get(hit.wa_id) || hit.wa_id,
+                snippet: buildSnippet(hit.text, terms),
+                messageType: hit.messageType,
+                isOutgoing: hit.isOutgoing,
+                timestamp: hit.timestamp
+            })),
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(last.timestamp, last.messageId) : null
+        });
+
+    } catch (error) {
+        console.error('Error searching messages:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search messages'
+        });
+    }
+};
+
+module.exports = {
+    searchMessages
+};
@@ -0,0 +1,242 @@
+
+// TEMPLATE CONTROLLER - controllers/templateController.js
+
+
+const mongoose = require('mongoose');
+const Template = require('../models/Template');
+const { countPlaceholders, validateTemplateContent } = require('../utils/templates');
+
+// Fields clients may set on a template
+const EDITABLE_FIELDS = ['name', 'language', 'category', 'status', 'header', 'body', 'footer', 'buttons'];
+
+/**
+ * Public shape of a template, with the number of parameters each part needs
+ */
+function formatTemplate(template) {
+    return {
+        id: template._id,
+        name: template.name,
+        language: template.language,
+        category: template.category,
+        status: template.status,
+        header: template.header,
+        body: template.body,
+        footer: template.footer,
+        buttons: template.buttons,
+        headerParams: countPlaceholders(template.header),
+        bodyParams: countPlaceholders(template.body),
+        createdAt: template.createdAt,
+        updatedAt: template.updatedAt
+    };
+}
+
+/**
+ * Copy the editable fields present in a request body
+ */
+function pickTemplateFields(body = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+        return fields;
+    }, {});
+}
+
+/**
+ * Find a template by ID, or null (also for malformed IDs)
+ */
+async function findTemplate(templateId) {
+    if (!mongoose.isValidObjectId(templateId)) return null;
+    return Template.findById(templateId);
+}
+
+/**
+ * Turn a save error into an API error response
+ */
+function sendSaveError(res, error, action) {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            error: `Validation failed: ${Object.values(error.errors).map(e => e.message).join(', ')}`
+        });
+    }
+
+    if (error.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            error: 'A template with this name and language already exists'
+        });
+    }
+
+    console.error(`Error ${action} template:`, error);
+    res.status(500).json({
+        success: false,
+        error: `Failed to ${action === 'creating' ? 'create' : 'update'} template`
+    });
+}
+
+/**
+ * List templates
+ * Optional filters: ?name, ?language, ?category, ?status
+ */
+const listTemplates = async (req, res) => {
+    try {
+        const filter = {};
+        for (const field of ['name', 'language', 'category', 'status']) {
+            if (typeof req.query[field] === 'string' && req.query[field]) {
+                filter[field] = req.query[field];
+            }
+        }
+
+        const templates = await Template.find(filter).sort({ name: 1, language: 1 });
+
+        res.json({
+            success: true,
+            templates: templates.map(formatTemplate)
+        });
+
+    } catch (error) {
+        console.error('Error listing templates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list templates'
+        });
+    }
+};
+
+/**
+ * Get a single template
+ */
+const getTemplate = async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.templateId);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            template: formatTemplate(template)
+        });
+
+    } catch (error) {
+        console.error('Error getting template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get template'
+        });
+    }
+};
+
+/**
+ * Create a template
+ * Body: { name, language, category, header?, body, footer?, buttons? }
+ */
+const createTemplate = async (req, res) => {
+    try {
+        const fields = pickTemplateFields(req.body);
+
+        const contentError = validateTemplateContent(fields);
+        if (contentError) {
+            return res.status(400).json({
+                success: false,
+                error: contentError
+            });
+        }
+
+        const template = await new Template(fields).save();
+
+        console.log(`Template created: ${template.name} (${template.language})`);
+
+        res.status(201).json({
+            success: true,
+            template: formatTemplate(template)
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'creating');
+    }
+};
+
+/**
+ * Update a template
+ * Only the fields present in the body are changed
+ */
+const updateTemplate = async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.templateId);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        // Check the values as sent - setting them first would cast e.g. numbers to strings
+        const fields = pickTemplateFields(req.body);
+        const contentError = validateTemplateContent({ ...template.toObject(), ...fields });
+        if (contentError) {
+            return res.status(400).json({
+                success: false,
+                error: contentError
+            });
+        }
+
+        template.set(fields);
+
+        await template.save();
+
+        console.log(`Template updated: ${template.name} (${template.language})`);
+
+        res.json({
+            success: true,
+            template: formatTemplate(template)
+        });
+
+    } catch (error) {
+        sendSaveError(res, error, 'updating');
+    }
+};
+
+/**
+ * Delete a template
+ * Messages already sent from it keep their rendered copy
+ */
+const deleteTemplate = async (req, res) => {
+    try {
+        const template = await findTemplate(req.params.templateId);
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found'
+            });
+        }
+
+        await template.deleteOne();
+
+        console.log(`Template deleted: ${template.name} (${template.language})`);
+
+        res.json({
+            success: true
+        });
+
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete template'
+        });
+    }
+};
+
+module.exports = {
+    listTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate
+};
@@ -0,0 +1,75 @@
+
+// WEBHOOK CONTROLLER - controllers/webhookController.js
+
+
+const { processWebhookPayload } = require('../process-webhooks');
+
+/**
+ * Verify webhook subscription
+ * Answers Meta's hub.mode / hub.verify_token / hub.challenge handshake
+ */
+const verifyWebhook = (req, res) => {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+
+    const verifyToken = process.env.WEBHOOK_VERIFY_TOKEN;
+
+    if (!verifyToken) {
+        console.error('Webhook verification attempted but WEBHOOK_VERIFY_TOKEN is not set');
+        return res.status(500).json({
+            success: false,
+            error: 'Webhook verify token is not configured'
+        });
+    }
+
+    if (mode === 'subscribe' && token === verifyToken) {
+        console.log('Webhook verified successfully');
+        // Meta expects the challenge echoed back as plain text
+        return res.status(200).type('text/plain').send(challenge);
+    }
+
+    console.log('Webhook verification failed: mode or token mismatch');
+    res.status(403).json({
+        success: false,
+        error: 'Webhook verification failed'
+    });
+};
+
+/**
+ * Receive webhook notification
+ * Runs the payload through the same pipeline as process-webhooks.js.
+ * Anything that couldn't be stored answers 500, so Meta redelivers it
+ * (messages already saved are skipped as duplicates the second time)
+ */
+const receiveWebhook = async (req, res) => {
+    try {
+        const result = await processWebhookPayload(req.body);
+
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid webhook payload: expected entry[].changes[].value'
+            });
+        }
+
+        console.log(`Webhook processed: ${result.messages} message(s), ${result.statuses} status update(s)`);
+
+        res.json({
+            success: true,
+            processed: result
+        });
+
+    } catch (error) {
+        console.error('Error processing webhook:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to process webhook'
+        });
+    }
+};
+
+module.exports = {
+    verifyWebhook,
+    receiveWebhook
+};
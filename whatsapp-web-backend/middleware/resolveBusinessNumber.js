@@ -0,0 +1,40 @@
+
+// BUSINESS NUMBER MIDDLEWARE - middleware/resolveBusinessNumber.js
+
+
+const { findBusinessNumber, getDefaultBusinessNumber } = require('../services/businessNumberService');
+
+/**
+ * Express middleware setting req.businessNumber for number-scoped routes
+ * Uses :phoneNumberId when mounted under /api/numbers/:phoneNumberId,
+ * otherwise the default number
+ */
+async function resolveBusinessNumber(req, res, next) {
+    try {
+        const { phoneNumberId } = req.params;
+        const number = phoneNumberId
+            ? await findBusinessNumber(phoneNumberId)
+            : await getDefaultBusinessNumber();
+
+        if (!number) {
+            return res.status(404).json({
+                success: false,
+                error: 'Business number not found'
+            });
+        }
+
+        req.businessNumber = number;
+        next();
+
+    } catch (error) {
+        console.error('Error resolving business number:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resolve business number'
+        });
+    }
+}
+
+module.exports = {
+    resolveBusinessNumber
+};
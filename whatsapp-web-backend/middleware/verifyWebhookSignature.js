@@ -0,0 +1,115 @@
+
+// WEBHOOK SIGNATURE MIDDLEWARE - middleware/verifyWebhookSignature.js
+
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-hub-signature-256';
+const SIGNATURE_PREFIX = 'sha256=';
+
+// In-memory rejection counters, reported by the health endpoint
+const signatureStats = {
+    verified: 0,
+    rejected: {
+        missing: 0,
+        invalid: 0,
+        unconfigured: 0
+    },
+    lastRejectedAt: null
+};
+
+/**
+ * Check whether signature verification is switched on
+ * Enabled unless WEBHOOK_SIGNATURE_VERIFICATION is set to 'false',
+ * so local environments can replay the webhook-data fixtures unsigned
+ */
+function isSignatureVerificationEnabled() {
+    return process.env.WEBHOOK_SIGNATURE_VERIFICATION !== 'false';
+}
+
+/**
+ * Compute the expected X-Hub-Signature-256 value for a raw body
+ */
+function computeSignature(rawBody, appSecret) {
+    const digest = crypto
+        .createHmac('sha256', appSecret)
+        .update(rawBody)
+        .digest('hex');
+
+    return SIGNATURE_PREFIX + digest;
+}
+
+/**
+ * Constant-time comparison of two signature strings
+ */
+function signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(received);
+
+    if (expectedBuffer.length !== receivedBuffer.length) return false;
+
+    return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Record a rejection and send the error response
+ */
+function reject(res, reason, status, error) {
+    signatureStats.rejected[reason] += 1;
+    signatureStats.lastRejectedAt = new Date().toISOString();
+
+    console.log(`Webhook rejected (${reason}): ${error}`);
+
+    return res.status(status).json({
+        success: false,
+        error
+    });
+}
+
+/**
+ * Express middleware verifying X-Hub-Signature-256 against WHATSAPP_APP_SECRET
+ * Relies on req.rawBody being captured by express.json in server.js
+ */
+function verifyWebhookSignature(req, res, next) {
+    if (!isSignatureVerificationEnabled()) {
+        return next();
+    }
+
+    const appSecret = process.env.WHATSAPP_APP_SECRET;
+    if (!appSecret) {
+        return reject(res, 'unconfigured', 500, 'Webhook signature verification is enabled but WHATSAPP_APP_SECRET is not set');
+    }
+
+    const signature = req.get(SIGNATURE_HEADER);
+    if (!signature) {
+        return reject(res, 'missing', 401, 'Missing X-Hub-Signature-256 header');
+    }
+
+    const rawBody = req.rawBody || Buffer.alloc(0);
+    const expected = computeSignature(rawBody, appSecret);
+
+    if (!signaturesMatch(expected, signature)) {
+        return reject(res, 'invalid', 401, 'Invalid webhook signature');
+    }
+
+    signatureStats.verified += 1;
+    next();
+}
+
+/**
+ * Get a snapshot of the signature verification counters
+ */
+function getSignatureStats() {
+    return {
+        enabled: isSignatureVerificationEnabled(),
+        verified: signatureStats.verified,
+        rejected: { ...signatureStats.rejected },
+        lastRejectedAt: signatureStats.lastRejectedAt
+    };
+}
+
+module.exports = {
+    verifyWebhookSignature,
+    computeSignature,
+    getSignatureStats
+};
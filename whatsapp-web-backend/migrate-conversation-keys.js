@@ -0,0 +1,83 @@
+// CONVERSATION KEY MIGRATION - migrate-conversation-keys.js
+
+// One-off backfill: outgoing messages used to be stored with wa_id 'business'
+// and found through their toNumber. Now every message carries the customer's
+// wa_id, so give the old outgoing ones their recipient's.
+//
+//   npm run migrate-conversation-keys              # apply
+//   npm run migrate-conversation-keys -- --dry-run # just count
+//
+// Safe to run more than once.
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { connectDatabase } = require('./config/database');
+const Message = require('./models/Message');
+
+// wa_id outgoing messages were stored with before the migration
+const LEGACY_OUTGOING_WA_ID = 'business';
+
+/**
+ * Re-key legacy outgoing messages by their recipient
+ * Returns { pending, updated, skipped }
+ */
+async function migrateConversationKeys({ dryRun = false } = {}) {
+    const legacy = { wa_id: LEGACY_OUTGOING_WA_ID, isOutgoing: true };
+    
+    const pending = await Message.countDocuments(legacy);
+    console.log(` Found ${pending} outgoing message(s) keyed as '${LEGACY_OUTGOING_WA_ID}'`);
+    
+    if (dryRun || pending === 0) {
+        return { pending, updated: 0, skipped: 0 };
+    }
+    
+    // The recipient is the conversation key
+    const result = await Message.updateMany(
+        { ...legacy, toNumber: { $nin: [null, ''] } },
+        [{ $set: { wa_id: '$toNumber' } }]
+    );
+    
+    // Anything left has no recipient to key it by
+    const skipped = await Message.countDocuments(legacy);
+    
+    return { pending, updated: result.modifiedCount, skipped };
+}
+
+/**
+ * Run the migration from the command line
+ */
+async function run() {
+    const dryRun = process.argv.includes('--dry-run');
+    
+    try {
+        console.log(' Migrating conversation keys...');
+        await connectDatabase();
+        
+        const { updated, skipped } = await migrateConversationKeys({ dryRun });
+        
+        if (dryRun) {
+            console.log(' Dry run - nothing changed');
+        } else {
+            console.log(` Updated ${updated} message(s)`);
+            if (skipped > 0) {
+                console.log(` Skipped ${skipped} message(s) without a recipient (toNumber)`);
+            }
+        }
+        
+    } catch (error) {
+        console.error(' Migration failed:', error.message);
+        process.exitCode = 1;
+    }
+    
+    await mongoose.connection.close();
+}
+
+// Start the migration if this file is run directly
+if (require.main === module) {
+    run();
+}
+
+module.exports = {
+    migrateConversationKeys
+};
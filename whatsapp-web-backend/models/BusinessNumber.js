@@ -0,0 +1,41 @@
+
+// BUSINESS NUMBER MODEL - models/BusinessNumber.js
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Business Number Schema Definition
+ * One record per WhatsApp business phone number served by this backend,
+ * keyed by the Cloud API phone_number_id (webhook metadata)
+ */
+const businessNumberSchema = new mongoose.Schema({
+    // Cloud API phone number ID (metadata.phone_number_id)
+    phoneNumberId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // The number customers see (metadata.display_phone_number)
+    displayPhoneNumber: String,
+
+    // Name shown in the account switcher
+    displayName: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+
+    // Messages without a phoneNumberId (stored before numbers were tracked)
+    // belong to the default number
+    isDefault: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('BusinessNumber', businessNumberSchema, 'business_numbers');
@@ -0,0 +1,73 @@
+
+// CONTACT MODEL - models/Contact.js
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Profile Name History Entry
+ * A WhatsApp profile name and when we first saw it
+ */
+const profileNameSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    // When the name first appeared on a webhook (milliseconds)
+    seenAt: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+/**
+ * Contact Schema Definition
+ * One document per customer, keyed by wa_id. The profile name comes from
+ * webhook contacts[]; the display name and notes are set by agents.
+ */
+const contactSchema = new mongoose.Schema({
+    // Customer's WhatsApp ID
+    wa_id: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // Latest WhatsApp profile name
+    profileName: String,
+
+    // When a profile name was last seen on a webhook (milliseconds) - older
+    // webhooks arriving late only fill in the history
+    profileNameSeenAt: Number,
+
+    // Every profile name we've seen, oldest first
+    profileNameHistory: {
+        type: [profileNameSchema],
+        default: []
+    },
+
+    // Name chosen by an agent - shown instead of the profile name
+    displayName: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+
+    // Free-form agent notes
+    notes: {
+        type: String,
+        maxlength: 2000
+    }
+}, {
+    timestamps: true
+});
+
+// Name shown in the UI: agent's choice, then the profile name, then the number
+contactSchema.virtual('name').get(function () {
+    return this.displayName || this.profileName || this.wa_id;
+});
+
+contactSchema.set('toJSON', { virtuals: true, versionKey: false });
+
+module.exports = mongoose.model('Contact', contactSchema, 'contacts');
@@ -0,0 +1,58 @@
+
+// CONVERSATION SESSION MODEL - models/ConversationSession.js
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Conversation Session Schema Definition
+ * One record per billing conversation reported on status webhooks
+ * (statuses[].conversation and statuses[].pricing), for checking BSP invoices
+ */
+const conversationSessionSchema = new mongoose.Schema({
+    // WhatsApp conversation ID (statuses[].conversation.id)
+    conversationId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // Customer the conversation is with (statuses[].recipient_id)
+    wa_id: {
+        type: String,
+        index: true
+    },
+
+    // Business number it was on (metadata.phone_number_id)
+    phoneNumberId: String,
+
+    // Who opened it: user_initiated, business_initiated, referral_conversion, ...
+    originType: String,
+
+    // Pricing details from statuses[].pricing
+    billable: Boolean,
+    category: String,
+    pricingModel: String,
+
+    // When the first and latest status in this conversation happened (milliseconds)
+    startedAt: {
+        type: Number,
+        required: true,
+        index: true
+    },
+    lastStatusAt: Number,
+
+    // When the conversation window ends, if reported (milliseconds)
+    expiresAt: Number,
+
+    // Messages whose statuses mentioned this conversation
+    messageIds: {
+        type: [String],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('ConversationSession', conversationSessionSchema, 'conversation_sessions');
@@ -0,0 +1,53 @@
+
+// CONVERSATION STATE MODEL - models/ConversationState.js
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Conversation State Schema Definition
+ * Agent-set flags for one conversation on one business number:
+ * favourite, pinned, archived and muted. Conversations without a
+ * record have every flag off.
+ */
+const conversationStateSchema = new mongoose.Schema({
+    // Customer's WhatsApp ID
+    wa_id: {
+        type: String,
+        required: true
+    },
+
+    // Business number the conversation is on (null for the env-only default)
+    phoneNumberId: {
+        type: String,
+        default: null
+    },
+
+    favourite: {
+        type: Boolean,
+        default: false
+    },
+
+    // Pinned chats sit at the top of the list, most recently pinned first
+    pinned: {
+        type: Boolean,
+        default: false
+    },
+    pinnedAt: Number,
+
+    // Archived chats only show in the Archived section
+    archived: {
+        type: Boolean,
+        default: false
+    },
+
+    // Muted until this time (milliseconds); unset when not muted
+    mutedUntil: Number
+}, {
+    timestamps: true
+});
+
+// One state per conversation on each number
+conversationStateSchema.index({ phoneNumberId: 1, wa_id: 1 }, { unique: true });
+
+module.exports = mongoose.model('ConversationState', conversationStateSchema, 'conversation_states');
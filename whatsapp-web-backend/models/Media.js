@@ -0,0 +1,63 @@
+
+// MEDIA MODEL - models/Media.js
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Media Schema Definition
+ * Metadata for files uploaded by agents; the bytes live in media storage
+ */
+const mediaSchema = new mongoose.Schema({
+    // Public media reference, used in messages and URLs
+    mediaId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // Message type this file can be sent as
+    mediaType: {
+        type: String,
+        required: true,
+        enum: ['image', 'audio', 'video', 'document']
+    },
+
+    mimeType: {
+        type: String,
+        required: true
+    },
+
+    // Size in bytes
+    size: {
+        type: Number,
+        required: true
+    },
+
+    sha256: {
+        type: String,
+        required: true
+    },
+
+    // Original file name from the upload
+    filename: {
+        type: String,
+        default: ''
+    },
+
+    // Storage backend and key the file was saved under
+    storage: {
+        type: String,
+        required: true
+    },
+
+    storageKey: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Media', mediaSchema, 'media');
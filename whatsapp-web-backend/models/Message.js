@@ -3,6 +3,245 @@
 
 
 const mongoose = require('mongoose');
+const { getEditableUntil, getDeletableUntil } = require('../config/messageEdits');
+
+/**
+ * Media Details
+ * Attachment metadata for image, audio, video and document messages
+ */
+const mediaSchema = new mongoose.Schema({
+    // Media ID from WhatsApp (or our own upload ID)
+    id: String,
+    
+    mimeType: String,
+    sha256: String,
+    
+    // Original file name (documents)
+    filename: String,
+    
+    caption: String,
+    
+    // True for voice notes recorded in WhatsApp (audio)
+    voice: Boolean,
+    
+    // Where the UI can fetch the file, when we have it
+    url: String
+}, { _id: false });
+
+/**
+ * Interactive Option
+ * A quick-reply button or a row in a list menu
+ */
+const interactiveOptionSchema = new mongoose.Schema({
+    id: String,
+    title: String,
+    description: String
+}, { _id: false });
+
+/**
+ * Interactive Details
+ * Button/list messages we send, and the customer's button/list replies
+ */
+const interactiveSchema = new mongoose.Schema({
+    // Sent: 'button' | 'list'. Received: 'button_reply' | 'list_reply' | 'quick_reply'
+    type: String,
+    
+    header: String,
+    body: String,
+    footer: String,
+    
+    // Quick-reply buttons (type 'button')
+    buttons: {
+        type: [interactiveOptionSchema],
+        default: undefined
+    },
+    
+    // Label of the button that opens a list menu (type 'list')
+    listButton: String,
+    
+    // List menu sections (type 'list')
+    sections: {
+        type: [new mongoose.Schema({
+            title: String,
+            rows: [interactiveOptionSchema]
+        }, { _id: false })],
+        default: undefined
+    },
+    
+    // The option the customer picked (replies)
+    replyId: String,
+    replyTitle: String,
+    replyDescription: String
+}, { _id: false });
+
+/**
+ * Location Details
+ * A pin shared by the customer
+ */
+const locationSchema = new mongoose.Schema({
+    latitude: Number,
+    longitude: Number,
+    name: String,
+    address: String,
+    url: String
+}, { _id: false });
+
+/**
+ * Shared Contact
+ * One vCard-style contact card from a contacts message
+ */
+const sharedContactSchema = new mongoose.Schema({
+    name: String,
+    firstName: String,
+    lastName: String,
+    company: String,
+    phones: [{
+        _id: false,
+        phone: String,
+        // Set when the number is on WhatsApp
+        waId: String,
+        type: { type: String }
+    }],
+    emails: [{
+        _id: false,
+        email: String,
+        type: { type: String }
+    }]
+}, { _id: false });
+
+/**
+ * Reaction
+ * One emoji per reactor; reacting again replaces it, an empty emoji removes it
+ */
+const reactionSchema = new mongoose.Schema({
+    // Customer wa_id, or 'business' for our own reactions
+    from: String,
+    emoji: String,
+    timestamp: Number
+}, { _id: false });
+
+/**
+ * Template Details
+ * Rendered copy of the template a message was sent from
+ */
+const messageTemplateSchema = new mongoose.Schema({
+    name: String,
+    language: String,
+    category: String,
+    
+    // Header with its placeholder filled in
+    header: String,
+    footer: String,
+    
+    buttons: [{
+        _id: false,
+        type: { type: String },
+        text: String,
+        url: String,
+        phoneNumber: String
+    }],
+    
+    // Values used for the placeholders ({{1}} is the first)
+    params: {
+        header: [String],
+        body: [String]
+    }
+}, { _id: false });
+
+/**
+ * Reply Context
+ * Set when a message quotes an earlier one (Cloud API `context`)
+ */
+const contextSchema = new mongoose.Schema({
+    // ID of the quoted message
+    messageId: String,
+    
+    // Who sent the quoted message
+    from: String,
+    
+    // Copy of the quoted message taken when the reply was stored,
+    // so the quote still renders if the original isn't loaded
+    quoted: {
+        text: String,
+        messageType: { type: String },
+        isOutgoing: Boolean,
+        contactName: String,
+        // Set once the quoted message is deleted for everyone
+        deleted: Boolean
+    }
+}, { _id: false });
+
+/**
+ * Status History Entry
+ * One delivery report (sent, delivered, read, failed) and when it happened
+ */
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        required: true,
+        enum: ['sent', 'delivered', 'read', 'failed']
+    },
+    
+    // When the status happened (milliseconds), from the webhook timestamp
+    timestamp: {
+        type: Number,
+        required: true
+    },
+    
+    // Error details reported with failed statuses
+    error: {
+        code: Number,
+        title: String
+    }
+}, { _id: false });
+
+/**
+ * Edit History Entry
+ * What a message said before it was edited or deleted, kept for audit
+ */
+const editHistorySchema = new mongoose.Schema({
+    // 'edit' or 'delete'
+    action: {
+        type: String,
+        required: true,
+        enum: ['edit', 'delete']
+    },
+    
+    // Text (or caption) before the change
+    text: String,
+    
+    // Content removed by a delete (whichever the message had)
+    media: {
+        type: mediaSchema,
+        default: undefined
+    },
+    interactive: {
+        type: interactiveSchema,
+        default: undefined
+    },
+    location: {
+        type: locationSchema,
+        default: undefined
+    },
+    contacts: {
+        type: [sharedContactSchema],
+        default: undefined
+    },
+    template: {
+        type: messageTemplateSchema,
+        default: undefined
+    },
+    reactions: {
+        type: [reactionSchema],
+        default: undefined
+    },
+    
+    // When the change happened (milliseconds)
+    at: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
 
 /**
  * Message Schema Definition
@@ -17,13 +256,22 @@ const messageSchema = new mongoose.Schema({
         index: true
     },
     
-    // WhatsApp ID - used to group conversations
+    // Customer's WhatsApp ID - the conversation key, for incoming and
+    // outgoing messages alike
     wa_id: {
         type: String,
         required: true,
         index: true
     },
     
+    // Business number the conversation is on (metadata.phone_number_id).
+    // Missing on messages stored before numbers were tracked - those belong
+    // to the default number
+    phoneNumberId: {
+        type: String,
+        default: undefined
+    },
+    
     // Message content
     text: {
         type: String,
@@ -34,7 +282,49 @@ const messageSchema = new mongoose.Schema({
     messageType: {
         type: String,
         default: 'text',
-        enum: ['text', 'image', 'audio', 'video', 'document']
+        enum: ['text', 'image', 'audio', 'video', 'document', 'interactive', 'button', 'location', 'contacts', 'template']
+    },
+    
+    // Attachment details for media messages
+    media: {
+        type: mediaSchema,
+        default: undefined
+    },
+    
+    // Buttons/list details for interactive messages and replies
+    interactive: {
+        type: interactiveSchema,
+        default: undefined
+    },
+    
+    // Shared pin for location messages
+    location: {
+        type: locationSchema,
+        default: undefined
+    },
+    
+    // Contact cards for contacts messages
+    contacts: {
+        type: [sharedContactSchema],
+        default: undefined
+    },
+    
+    // Template this message was sent from (text holds the rendered body)
+    template: {
+        type: messageTemplateSchema,
+        default: undefined
+    },
+    
+    // Quoted message this one replies to
+    context: {
+        type: contextSchema,
+        default: undefined
+    },
+    
+    // Emoji reactions on this message
+    reactions: {
+        type: [reactionSchema],
+        default: undefined
     },
     
     // Sender's phone number
@@ -75,16 +365,59 @@ const messageSchema = new mongoose.Schema({
         type: String,
         default: 'received',
         enum: ['sent', 'delivered', 'read', 'failed', 'received']
+    },
+    
+    // Timeline of delivery reports for outgoing messages
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: []
+    },
+    
+    // When the text (or caption) was last edited (milliseconds)
+    editedAt: Number,
+    
+    // When the message was deleted for everyone (milliseconds); its content is cleared
+    deletedAt: Number,
+    
+    // Earlier versions, oldest first - only loaded on request (+editHistory)
+    editHistory: {
+        type: [editHistorySchema],
+        default: undefined,
+        select: false
     }
 }, {
-    timestamps: true // Automatically adds createdAt and updatedAt
+    timestamps: true, // Automatically adds createdAt and updatedAt
+    id: false
+});
+
+// Until when our own messages can still be edited / deleted (ms, null = never),
+// so clients don't need their own copy of the limits
+messageSchema.virtual('editableUntil').get(function () {
+    return getEditableUntil(this);
 });
+messageSchema.virtual('deletableUntil').get(function () {
+    return getDeletableUntil(this);
+});
+
+messageSchema.set('toJSON', { virtuals: true });
 
 // Compound indexes for better query performance
-messageSchema.index({ wa_id: 1, timestamp: -1 });
+messageSchema.index({ wa_id: 1, timestamp: -1, messageId: -1 });
+messageSchema.index({ toNumber: 1, timestamp: -1, messageId: -1 });
 messageSchema.index({ fromNumber: 1, timestamp: -1 });
-messageSchema.index({ toNumber: 1, timestamp: -1 });
 messageSchema.index({ isOutgoing: 1, timestamp: -1 });
+messageSchema.index({ timestamp: -1, messageId: -1 });
+// A conversation on one business number, in the order getMessages pages it
+messageSchema.index({ phoneNumberId: 1, wa_id: 1, timestamp: -1, messageId: -1 });
+messageSchema.index({ 'context.messageId': 1 }, { sparse: true });
+
+// Full-text search over message text (and captions). No stemming or stop
+// words, since chats mix languages; template subdocuments have their own
+// `language` field, so don't let it pick the text language.
+messageSchema.index(
+    { text: 'text' },
+    { name: 'message_text', default_language: 'none', language_override: 'textSearchLanguage' }
+);
 
 module.exports = mongoose.model('Message', messageSchema, 'processed_messages');
 
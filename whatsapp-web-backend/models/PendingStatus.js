@@ -0,0 +1,53 @@
+
+// PENDING STATUS MODEL - models/PendingStatus.js
+
+
+const mongoose = require('mongoose');
+
+// How long to hold statuses for messages that never show up
+const PENDING_STATUS_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Pending Status Schema Definition
+ * Holds status webhooks that arrived before the message they refer to.
+ * They are applied (and removed) when the message is saved.
+ */
+const pendingStatusSchema = new mongoose.Schema({
+    // Message the status belongs to
+    messageId: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    // Reported status
+    status: {
+        type: String,
+        required: true,
+        enum: ['sent', 'delivered', 'read', 'failed']
+    },
+
+    // When the status happened (milliseconds)
+    timestamp: {
+        type: Number,
+        required: true
+    },
+
+    // Error details reported with failed statuses
+    error: {
+        code: Number,
+        title: String
+    },
+
+    // Expires unapplied statuses automatically
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: PENDING_STATUS_TTL_SECONDS
+    }
+});
+
+// A status is only reported once per message
+pendingStatusSchema.index({ messageId: 1, status: 1 }, { unique: true });
+
+module.exports = mongoose.model('PendingStatus', pendingStatusSchema, 'pending_statuses');
@@ -0,0 +1,79 @@
+
+// TEMPLATE MODEL - models/Template.js
+
+
+const mongoose = require('mongoose');
+
+/**
+ * Template Button
+ * Quick replies send back their text; URL and phone buttons open a link/dialer
+ */
+const templateButtonSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ['QUICK_REPLY', 'URL', 'PHONE_NUMBER']
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    url: String,
+    phoneNumber: String
+}, { _id: false });
+
+/**
+ * Template Schema Definition
+ * Pre-approved message layouts for business-initiated messages.
+ * Header and body text can contain numbered placeholders ({{1}}, {{2}}, ...)
+ */
+const templateSchema = new mongoose.Schema({
+    // Lowercase letters, digits and underscores (same rule as Meta)
+    name: {
+        type: String,
+        required: true,
+        match: /^[a-z0-9_]+$/
+    },
+
+    // Locale code, e.g. en_US
+    language: {
+        type: String,
+        required: true,
+        default: 'en_US'
+    },
+
+    category: {
+        type: String,
+        required: true,
+        enum: ['MARKETING', 'UTILITY', 'AUTHENTICATION']
+    },
+
+    // Only approved templates can be sent
+    status: {
+        type: String,
+        enum: ['APPROVED', 'PENDING', 'REJECTED'],
+        default: 'APPROVED'
+    },
+
+    // Optional text header
+    header: String,
+
+    body: {
+        type: String,
+        required: true
+    },
+
+    footer: String,
+
+    buttons: {
+        type: [templateButtonSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// One template per name and language
+templateSchema.index({ name: 1, language: 1 }, { unique: true });
+
+module.exports = mongoose.model('Template', templateSchema, 'templates');
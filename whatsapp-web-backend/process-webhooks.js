@@ -7,10 +7,30 @@ require('dotenv').config();
 
 const { connectDatabase } = require('./config/database');
 const Message = require('./models/Message');
+const PendingStatus = require('./models/PendingStatus');
+const { notifyMessageSaved, notifyMessageStatus, notifyMessageReaction, notifyMessageUpdated } = require('./services/realtime');
+const { BUSINESS_REACTOR, applyReaction } = require('./services/reactionService');
+const { withQuotedSnapshot } = require('./services/messageContextService');
+const { recordConversationSession } = require('./services/conversationSessionService');
+const { recordWebhookContacts } = require('./services/contactService');
+const { registerBusinessNumber } = require('./services/businessNumberService');
+const { applyEdit, applyRevoke, checkChange } = require('./services/messageEditService');
+
+// Delivery status order - a message never moves back to an earlier status.
+// A failure overrides sent/delivered, but a read message stays read.
+const STATUS_ORDER = {
+    sent: 1,
+    delivered: 2,
+    failed: 3,
+    read: 4
+};
 
 /**
  * Save a single message to database
- * Checks for duplicates before saving
+ * Checks for duplicates before saving, then applies any statuses
+ * that arrived before the message did.
+ * Returns false for duplicates and invalid messages; database errors are
+ * thrown so a live webhook can be answered with a 5xx and redelivered
  */
 async function saveMessage(messageData) {
     try {
@@ -24,41 +44,153 @@ async function saveMessage(messageData) {
             return false;
         }
         
+        // Replies carry a copy of the quoted message
+        if (messageData.context?.messageId) {
+            messageData.context = await withQuotedSnapshot(messageData.context);
+        }
+        
         // Create and save new message
-        const newMessage = new Message(messageData);
+        let newMessage = new Message(messageData);
         await newMessage.save();
         
         console.log('Saved message:', messageData.messageId, 'from:', messageData.contactName);
+        
+        newMessage = await applyPendingStatuses(newMessage);
+        
+        await notifyMessageSaved(newMessage);
         return true;
         
     } catch (error) {
         console.log('Error saving message:', error.message);
-        return false;
+        
+        // A malformed message fails the same way every time - don't ask for it again
+        if (error.name === 'ValidationError') return false;
+        throw error;
     }
 }
 
 /**
  * Update message status for delivery reports
+ * Records the status in the message's history and advances the current
+ * status if it is further along. Statuses for messages we haven't seen
+ * yet are buffered in pending_statuses. Database errors are thrown (see saveMessage).
  */
-async function updateMessageStatus(messageId, status) {
+async function updateMessageStatus(messageId, status, timestamp = Date.now(), error = null) {
     try {
-        const result = await Message.updateOne(
-            { messageId: messageId },
-            { 
-                status: status,
-                updatedAt: new Date()
+        if (!STATUS_ORDER[status]) {
+            console.log('Ignoring unknown status:', status, 'for', messageId);
+            return;
+        }
+        
+        const historyEntry = buildStatusEntry(status, timestamp, error);
+        
+        const exists = await Message.exists({ messageId });
+        if (!exists) {
+            await bufferPendingStatus(messageId, historyEntry);
+            
+            // The message may have been saved (and its buffer drained) in the
+            // meantime - if so, apply what we just buffered ourselves
+            const saved = await Message.findOne({ messageId });
+            if (saved) {
+                const message = await applyPendingStatuses(saved);
+                if (message !== saved) {
+                    await notifyMessageStatus(message);
+                }
             }
-        );
+            return;
+        }
         
-        if (result.modifiedCount > 0) {
-            console.log('Updated status:', messageId, 'to', status);
-        } else {
-            console.log('Message not found for status update:', messageId);
+        const message = await applyStatusEntries(messageId, [historyEntry]);
+        if (message) {
+            await notifyMessageStatus(message);
         }
         
     } catch (error) {
         console.log(' Error updating status:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Build a status history entry from webhook status fields
+ */
+function buildStatusEntry(status, timestamp, error) {
+    const entry = { status, timestamp };
+    if (error && (error.code || error.title)) {
+        entry.error = { code: error.code, title: error.title };
     }
+    return entry;
+}
+
+/**
+ * Apply status entries to a stored message
+ * Each status is recorded once in the history (kept in time order);
+ * the current status only ever moves forward.
+ * Returns the updated message, or null if nothing changed
+ */
+async function applyStatusEntries(messageId, entries) {
+    let changed = false;
+    
+    for (const entry of entries) {
+        // Record the status unless this message already has it
+        const historyResult = await Message.updateOne(
+            { messageId, 'statusHistory.status': { $ne: entry.status } },
+            { $push: { statusHistory: { $each: [entry], $sort: { timestamp: 1 } } } }
+        );
+        
+        // Advance the current status only from an earlier one
+        const earlierStatuses = Object.keys(STATUS_ORDER)
+            .filter(status => STATUS_ORDER[status] < STATUS_ORDER[entry.status]);
+        
+        const statusResult = await Message.updateOne(
+            { messageId, status: { $in: earlierStatuses } },
+            { $set: { status: entry.status } }
+        );
+        
+        if (statusResult.modifiedCount > 0) {
+            console.log('Updated status:', messageId, 'to', entry.status);
+        } else {
+            console.log('Kept status for', messageId, '- not advancing to', entry.status);
+        }
+        
+        changed = changed || historyResult.modifiedCount > 0 || statusResult.modifiedCount > 0;
+    }
+    
+    return changed ? Message.findOne({ messageId }) : null;
+}
+
+/**
+ * Hold a status for a message that hasn't arrived yet
+ */
+async function bufferPendingStatus(messageId, entry) {
+    await PendingStatus.updateOne(
+        { messageId, status: entry.status },
+        { $setOnInsert: { messageId, ...entry } },
+        { upsert: true }
+    );
+    
+    console.log('Message not found yet, buffered status:', messageId, entry.status);
+}
+
+/**
+ * Apply and clear buffered statuses for a newly saved message
+ * Returns the message as it stands afterwards
+ */
+async function applyPendingStatuses(message) {
+    const pending = await PendingStatus.find({ messageId: message.messageId })
+        .sort({ timestamp: 1 })
+        .lean();
+    
+    if (pending.length === 0) return message;
+    
+    const entries = pending.map(item => buildStatusEntry(item.status, item.timestamp, item.error));
+    const updated = await applyStatusEntries(message.messageId, entries);
+    
+    await PendingStatus.deleteMany({ messageId: message.messageId });
+    
+    console.log(`Applied ${pending.length} buffered status(es) to`, message.messageId);
+    
+    return updated || message;
 }
 
 /**
@@ -73,48 +205,85 @@ async function processWebhookFile(filePath) {
         const fileContent = fs.readFileSync(filePath, 'utf8');
         const webhookData = JSON.parse(fileContent);
         
-        // Extract webhook structure
-        const webhookInfo = extractWebhookData(webhookData);
-        if (!webhookInfo) {
+        const result = await processWebhookPayload(webhookData);
+        if (!result) {
             console.log('Invalid webhook structure in:', fileName);
-            return;
         }
         
+    } catch (error) {
+        console.log(' Error processing file:', path.basename(filePath));
+        console.log('   Error details:', error.message);
+    }
+}
+
+/**
+ * Process a webhook payload (file fixture or live HTTP delivery)
+ * Returns counts of handled messages and statuses, or null if the
+ * payload has no usable entry[].changes[].value
+ */
+async function processWebhookPayload(webhookData) {
+    const changes = extractWebhookChanges(webhookData);
+    if (changes.length === 0) return null;
+    
+    const result = { messages: 0, statuses: 0 };
+    
+    for (const webhookInfo of changes) {
+        // Keep the business number registry up to date - a failed write is
+        // retried with the redelivered webhook, so the number isn't lost
+        await registerBusinessNumber(webhookInfo.value.metadata);
+        
         // Process messages if present
         if (webhookInfo.messages && webhookInfo.messages.length > 0) {
             await processMessages(webhookInfo.messages, webhookInfo.value, webhookInfo.businessNumber);
+            result.messages += webhookInfo.messages.length;
         }
         
         // Process status updates if present
         if (webhookInfo.statuses && webhookInfo.statuses.length > 0) {
-            await processStatusUpdates(webhookInfo.statuses);
+            await processStatusUpdates(webhookInfo.statuses, webhookInfo.value);
+            result.statuses += webhookInfo.statuses.length;
         }
-        
-    } catch (error) {
-        console.log(' Error processing file:', path.basename(filePath));
-        console.log('   Error details:', error.message);
     }
+    
+    return result;
 }
 
 /**
  * Extract webhook data structure
+ * Returns the first change only - see extractWebhookChanges for all of them
  */
 function extractWebhookData(webhookData) {
-    const entry = webhookData.metaData?.entry?.[0];
-    if (!entry) return null;
+    return extractWebhookChanges(webhookData)[0] || null;
+}
+
+/**
+ * Extract every entry[].changes[].value from a webhook
+ * Accepts both the stored fixture format (wrapped in metaData)
+ * and the raw payload Meta posts to the webhook endpoint
+ */
+function extractWebhookChanges(webhookData) {
+    const payload = webhookData?.metaData || webhookData;
+    const entries = Array.isArray(payload?.entry) ? payload.entry : [];
     
-    const changes = entry.changes?.[0];
-    const value = changes?.value;
-    if (!value) return null;
+    const result = [];
     
-    const businessNumber = value.metadata?.display_phone_number || process.env.BUSINESS_PHONE_NUMBER;
+    for (const entry of entries) {
+        for (const change of entry?.changes || []) {
+            const value = change?.value;
+            if (!value) continue;
+            
+            const businessNumber = value.metadata?.display_phone_number || process.env.BUSINESS_PHONE_NUMBER;
+            
+            result.push({
+                value,
+                businessNumber,
+                messages: value.messages,
+                statuses: value.statuses
+            });
+        }
+    }
     
-    return {
-        value,
-        businessNumber,
-        messages: value.messages,
-        statuses: value.statuses
-    };
+    return result;
 }
 
 /**
@@ -123,7 +292,28 @@ function extractWebhookData(webhookData) {
 async function processMessages(messages, value, businessNumber) {
     console.log(`Found ${messages.length} message(s)`);
     
+    // Keep the contacts collection (and profile name history) up to date
+    if (value.contacts?.length) {
+        await recordWebhookContacts(value.contacts, messages);
+    }
+    
     for (const message of messages) {
+        // Reactions attach to the message they target instead of being stored
+        if (message.type === 'reaction') {
+            await processReaction(message, businessNumber);
+            continue;
+        }
+        
+        // Edits and deletions change the original message
+        if (message.type === 'edit') {
+            await processEdit(message);
+            continue;
+        }
+        if (message.type === 'revoke') {
+            await processRevoke(message);
+            continue;
+        }
+        
         const messageData = createMessageFromWebhook(message, value, businessNumber);
         if (messageData) {
             await saveMessage(messageData);
@@ -131,16 +321,149 @@ async function processMessages(messages, value, businessNumber) {
     }
 }
 
+/**
+ * Apply a reaction webhook to its target message
+ * An empty emoji means the reaction was removed
+ */
+async function processReaction(message, businessNumber) {
+    try {
+        const messageId = message.reaction?.message_id;
+        if (!messageId) {
+            console.log(' Reaction without a target message, skipping');
+            return;
+        }
+        
+        const from = businessNumber && message.from === businessNumber ? BUSINESS_REACTOR : message.from;
+        const emoji = message.reaction.emoji || '';
+        const timestamp = message.timestamp ? parseInt(message.timestamp) * 1000 : Date.now();
+        
+        const updated = await applyReaction({ messageId, from, emoji, timestamp });
+        if (!updated) {
+            console.log(` Reaction for unknown or deleted message ${messageId}, skipping`);
+            return;
+        }
+        
+        console.log(` Reaction ${emoji ? emoji : 'removed'} on ${messageId} from ${from}`);
+        await notifyMessageReaction(updated);
+        
+    } catch (error) {
+        console.error(' Error processing reaction:', error.message);
+        
+        // Storage failures go back to the webhook so it's redelivered (see saveMessage)
+        if (error.name === 'ValidationError') return;
+        throw error;
+    }
+}
+
+/**
+ * Find the message an edit/revoke webhook points at
+ * Only the original sender can change it - returns null otherwise
+ */
+async function findChangedMessage(message, originalId) {
+    if (!originalId) {
+        console.log(` ${message.type} without an original message, skipping`);
+        return null;
+    }
+    
+    const original = await Message.findOne({ messageId: originalId });
+    if (!original) {
+        console.log(` ${message.type} for unknown message ${originalId}, skipping`);
+        return null;
+    }
+    
+    if (original.fromNumber !== message.from) {
+        console.log(` ${message.type} of ${originalId} from someone other than its sender, skipping`);
+        return null;
+    }
+    
+    return original;
+}
+
+/**
+ * Apply an edit webhook: edit.original_message_id gets the text of edit.message
+ */
+async function processEdit(message) {
+    try {
+        const originalId = message.edit?.original_message_id;
+        const original = await findChangedMessage(message, originalId);
+        if (!original) return;
+        
+        const { text } = extractMessageContent(message.edit.message || {});
+        if (!text) {
+            console.log(` Edit of ${originalId} without text, skipping`);
+            return;
+        }
+        
+        const editedAt = message.timestamp ? parseInt(message.timestamp) * 1000 : Date.now();
+        
+        // Same rules as agent edits: editable type, within 15 minutes of sending
+        const rejected = checkChange(original, 'edit', editedAt);
+        if (rejected) {
+            console.log(` Edit of ${originalId} rejected: ${rejected.error}`);
+            return;
+        }
+        
+        const updated = await applyEdit({ messageId: originalId, text, editedAt });
+        if (!updated) {
+            console.log(` Edit of deleted message ${originalId}, skipping`);
+            return;
+        }
+        
+        console.log(` Message ${originalId} edited by ${message.from}`);
+        await notifyMessageUpdated(updated);
+        
+    } catch (error) {
+        console.error(' Error processing edit:', error.message);
+        
+        // Storage failures go back to the webhook so it's redelivered (see saveMessage)
+        if (error.name === 'ValidationError') return;
+        throw error;
+    }
+}
+
+/**
+ * Apply a revoke webhook: revoke.original_message_id was deleted for everyone
+ */
+async function processRevoke(message) {
+    try {
+        const originalId = message.revoke?.original_message_id;
+        const original = await findChangedMessage(message, originalId);
+        if (!original || original.deletedAt) return;
+        
+        const deletedAt = message.timestamp ? parseInt(message.timestamp) * 1000 : Date.now();
+        const updated = await applyRevoke({ messageId: originalId, deletedAt });
+        
+        console.log(` Message ${originalId} deleted by ${message.from}`);
+        await notifyMessageUpdated(updated);
+        
+    } catch (error) {
+        console.error(' Error processing revoke:', error.message);
+        
+        // Storage failures go back to the webhook so it's redelivered (see saveMessage)
+        if (error.name === 'ValidationError') return;
+        throw error;
+    }
+}
+
 /**
  * Process status updates (delivery reports)
+ * Also records the conversation/pricing details they carry
  */
-async function processStatusUpdates(statuses) {
+async function processStatusUpdates(statuses, value = {}) {
     console.log(`Found ${statuses.length} status update(s)`);
     
     for (const status of statuses) {
         const messageId = status.id || status.meta_msg_id;
+        const timestamp = status.timestamp ? parseInt(status.timestamp) * 1000 : Date.now();
+        
         if (messageId) {
-            await updateMessageStatus(messageId, status.status);
+            await updateMessageStatus(messageId, status.status, timestamp, status.errors?.[0]);
+        }
+        
+        // Keep the billing conversation and pricing for reporting. A failure
+        // fails the webhook so it's redelivered - the upsert is safe to repeat
+        if (status.conversation?.id) {
+            await recordConversationSession(status, timestamp, value.metadata?.phone_number_id);
         }
     }
 }
@@ -161,12 +484,14 @@ function createMessageFromWebhook(message, value, businessNumber) {
         if (businessNumber && message.from === businessNumber) {
             isOutgoing = true;
             contactName = 'You';
-            waId = 'business';
             
-            // Find recipient from contacts
-            if (value.contacts && value.contacts.length > 0) {
-                toNumber = value.contacts[0].wa_id;
-            }
+            // Find recipient - they are the conversation key. Echoes don't
+            // always carry contacts, so fall back to the addressee
+            toNumber = value.contacts?.[0]?.wa_id
+                || message.to
+                || value.statuses?.[0]?.recipient_id
+                || null;
+            waId = toNumber;
         } else {
             // Incoming message - get contact info
             const contactInfo = getContactInfoFromWebhook(message.from, value.contacts);
@@ -175,18 +500,33 @@ function createMessageFromWebhook(message, value, businessNumber) {
             toNumber = businessNumber;
         }
         
+        if (!waId) {
+            console.warn(` Skipping message ${message.id}: no customer wa_id (contacts, to or recipient_id)`);
+            return null;
+        }
+        
+        const timestamp = parseInt(message.timestamp) * 1000;
+        const content = extractMessageContent(message);
+        
         // Create message object
         return {
             messageId: message.id,
             wa_id: waId,
-            text: message.text?.body || '',
+            // Business number this conversation is on
+            phoneNumberId: value.metadata?.phone_number_id,
+            ...content,
             messageType: message.type || 'text',
             fromNumber: message.from,
             toNumber: toNumber,
             contactName: contactName,
-            timestamp: parseInt(message.timestamp) * 1000,
+            timestamp: timestamp,
             isOutgoing: isOutgoing,
-            status: isOutgoing ? 'sent' : 'received'
+            status: isOutgoing ? 'sent' : 'received',
+            statusHistory: isOutgoing ? [{ status: 'sent', timestamp }] : [],
+            // Reply to an earlier message - the snapshot is added when saving
+            context: message.context?.id
+                ? { messageId: message.context.id, from: message.context.from }
+                : undefined
         };
         
     } catch (error) {
@@ -195,6 +535,106 @@ function createMessageFromWebhook(message, value, businessNumber) {
     }
 }
 
+// Message types that carry a media object under message[type]
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document'];
+
+/**
+ * Extract the content fields for a webhook message based on its type
+ * Text goes in `text`; media messages keep their caption there too
+ */
+function extractMessageContent(message) {
+    const type = message.type || 'text';
+    
+    if (MEDIA_TYPES.includes(type)) {
+        const media = message[type] || {};
+        
+        return {
+            text: media.caption || '',
+            media: {
+                id: media.id,
+                mimeType: media.mime_type,
+                sha256: media.sha256,
+                filename: media.filename,
+                caption: media.caption,
+                voice: media.voice
+            }
+        };
+    }
+    
+    // Customer tapped a reply button or picked a list row
+    if (type === 'interactive') {
+        const interactive = message.interactive || {};
+        const reply = interactive[interactive.type] || {};
+        
+        return {
+            text: reply.title || '',
+            interactive: {
+                type: interactive.type,
+                replyId: reply.id,
+                replyTitle: reply.title,
+                replyDescription: reply.description
+            }
+        };
+    }
+    
+    // Customer shared a location pin
+    if (type === 'location') {
+        const location = message.location || {};
+        
+        return {
+            text: location.name || location.address || '',
+            location: {
+                latitude: Number(location.latitude),
+                longitude: Number(location.longitude),
+                name: location.name,
+                address: location.address,
+                url: location.url
+            }
+        };
+    }
+    
+    // Customer shared one or more contact cards
+    if (type === 'contacts') {
+        const contacts = (message.contacts || []).map(contact => ({
+            name: contact.name?.formatted_name
+                || [contact.name?.first_name, contact.name?.last_name].filter(Boolean).join(' '),
+            firstName: contact.name?.first_name,
+            lastName: contact.name?.last_name,
+            company: contact.org?.company,
+            phones: (contact.phones || []).map(phone => ({
+                phone: phone.phone,
+                waId: phone.wa_id,
+                type: phone.type
+            })),
+            emails: (contact.emails || []).map(email => ({
+                email: email.email,
+                type: email.type
+            }))
+        }));
+        
+        return {
+            text: contacts.map(contact => contact.name).filter(Boolean).join(', '),
+            contacts
+        };
+    }
+    
+    // Customer tapped a template quick-reply button
+    if (type === 'button') {
+        return {
+            text: message.button?.text || '',
+            interactive: {
+                type: 'quick_reply',
+                replyId: message.button?.payload,
+                replyTitle: message.button?.text
+            }
+        };
+    }
+    
+    return {
+        text: message.text?.body || ''
+    };
+}
+
 /**
  * Get contact information from webhook contacts array
  */
@@ -271,6 +711,12 @@ if (require.main === module) {
 
 module.exports = {
     processAllWebhookFiles,
+    processWebhookPayload,
+    extractWebhookData,
+    extractWebhookChanges,
+    createMessageFromWebhook,
+    processMessages,
+    processStatusUpdates,
     saveMessage,
     updateMessageStatus
 };
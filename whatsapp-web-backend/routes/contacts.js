@@ -0,0 +1,21 @@
+
+// CONTACT ROUTES - routes/contacts.js
+
+
+const express = require('express');
+const router = express.Router();
+const contactController = require('../controllers/contactController');
+
+/**
+ * Contact Route Definitions
+ * All routes are prefixed with /api in server.js
+ */
+
+// List contacts (optional ?search and ?limit)
+router.get('/contacts', contactController.listContacts);
+
+// Get or update a single contact (display name and notes)
+router.get('/contacts/:waId', contactController.getContact);
+router.patch('/contacts/:waId', contactController.updateContact);
+
+module.exports = router;
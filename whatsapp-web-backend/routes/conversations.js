@@ -0,0 +1,36 @@
+
+// CONVERSATION ROUTES - routes/conversations.js
+
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const messageController = require('../controllers/messageController');
+const searchController = require('../controllers/searchController');
+const conversationStateController = require('../controllers/conversationStateController');
+const { resolveBusinessNumber } = require('../middleware/resolveBusinessNumber');
+
+/**
+ * Conversation Route Definitions
+ * Scoped to one business number: mounted at /api (default number) and at
+ * /api/numbers/:phoneNumberId in server.js
+ */
+
+// Get list of all conversations (?filter=all|unread|favourites|archived)
+router.get('/conversations', resolveBusinessNumber, messageController.getConversations);
+
+// Get messages for a specific conversation
+router.get('/conversations/:waId/messages', resolveBusinessNumber, messageController.getMessages);
+
+// Send a new message
+router.post('/conversations/:waId/messages', resolveBusinessNumber, messageController.sendMessage);
+
+// Mark all incoming messages in a conversation as read
+router.post('/conversations/:waId/read', resolveBusinessNumber, messageController.markConversationRead);
+
+// Favourite, pin, archive or mute a conversation
+router.patch('/conversations/:waId/state', resolveBusinessNumber, conversationStateController.updateConversationState);
+
+// Search message text (?q, optional ?waId for one conversation, ?before, ?limit)
+router.get('/search', resolveBusinessNumber, searchController.searchMessages);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+
+// MEDIA ROUTES - routes/media.js
+
+
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/mediaController');
+
+/**
+ * Media Route Definitions
+ * All routes are prefixed with /api in server.js
+ */
+
+// Upload a file (multipart field "file", optional field "type")
+router.post('/media', mediaController.parseUpload, mediaController.uploadMedia);
+
+// Download a previously uploaded file
+router.get('/media/:mediaId', mediaController.getMedia);
+
+module.exports = router;
@@ -5,20 +5,23 @@
 const express = require('express');
 const router = express.Router();
 const messageController = require('../controllers/messageController');
+const reactionController = require('../controllers/reactionController');
+const messageEditController = require('../controllers/messageEditController');
 
 /**
  * API Route Definitions
  * All routes are prefixed with /api in server.js
  */
 
-// Get list of all conversations
-router.get('/conversations', messageController.getConversations);
+// React to a message (empty emoji removes the reaction)
+router.post('/messages/:messageId/reactions', reactionController.reactToMessage);
 
-// Get messages for a specific conversation
-router.get('/conversations/:waId/messages', messageController.getMessages);
+// Edit or delete (for everyone) a message the business sent
+router.patch('/messages/:messageId', messageEditController.editMessage);
+router.delete('/messages/:messageId', messageEditController.deleteMessage);
 
-// Send a new message
-router.post('/conversations/:waId/messages', messageController.sendMessage);
+// Earlier versions of an edited or deleted message
+router.get('/messages/:messageId/history', messageEditController.getMessageHistory);
 
 // System health check
 router.get('/health', messageController.getHealth);
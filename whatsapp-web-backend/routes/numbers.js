@@ -0,0 +1,23 @@
+
+// BUSINESS NUMBER ROUTES - routes/numbers.js
+
+
+const express = require('express');
+const router = express.Router();
+const businessNumberController = require('../controllers/businessNumberController');
+
+/**
+ * Business Number Route Definitions
+ * All routes are prefixed with /api in server.js
+ */
+
+// List business numbers (default first)
+router.get('/numbers', businessNumberController.listNumbers);
+
+// Register a business number
+router.post('/numbers', businessNumberController.createNumber);
+
+// Rename a number or make it the default
+router.patch('/numbers/:phoneNumberId', businessNumberController.updateNumber);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+
+// REPORT ROUTES - routes/reports.js
+
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const reportController = require('../controllers/reportController');
+const { resolveBusinessNumber } = require('../middleware/resolveBusinessNumber');
+
+/**
+ * Report Route Definitions
+ * Mounted at /api (default business number) and at
+ * /api/numbers/:phoneNumberId in server.js
+ */
+
+// Conversations by category, origin and day (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/reports/conversations', resolveBusinessNumber, reportController.getConversationReport);
+
+module.exports = router;
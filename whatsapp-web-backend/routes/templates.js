@@ -0,0 +1,25 @@
+
+// TEMPLATE ROUTES - routes/templates.js
+
+
+const express = require('express');
+const router = express.Router();
+const templateController = require('../controllers/templateController');
+
+/**
+ * Template Route Definitions
+ * All routes are prefixed with /api in server.js
+ */
+
+// List templates (optional ?name, ?language, ?category, ?status filters)
+router.get('/templates', templateController.listTemplates);
+
+// Create a template
+router.post('/templates', templateController.createTemplate);
+
+// Get, update or delete a single template
+router.get('/templates/:templateId', templateController.getTemplate);
+router.patch('/templates/:templateId', templateController.updateTemplate);
+router.delete('/templates/:templateId', templateController.deleteTemplate);
+
+module.exports = router;
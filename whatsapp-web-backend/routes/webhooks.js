@@ -0,0 +1,21 @@
+
+// WEBHOOK ROUTES - routes/webhooks.js
+
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { verifyWebhookSignature } = require('../middleware/verifyWebhookSignature');
+
+/**
+ * Webhook Route Definitions
+ * All routes are prefixed with /api in server.js
+ */
+
+// Meta verification handshake
+router.get('/webhooks', webhookController.verifyWebhook);
+
+// Incoming webhook notifications (messages and statuses)
+router.post('/webhooks', verifyWebhookSignature, webhookController.receiveWebhook);
+
+module.exports = router;
@@ -6,12 +6,22 @@ if (process.env.NODE_ENV === 'production') {
 
 
 // server.js
+const http = require('http');
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 
 const { connectDatabase } = require('./config/database');
+const { initSocket } = require('./config/socket');
+const { startPersonaConversations } = require('./services/personaSimulator');
 const messageRoutes = require('./routes/messages');
+const conversationRoutes = require('./routes/conversations');
+const webhookRoutes = require('./routes/webhooks');
+const mediaRoutes = require('./routes/media');
+const templateRoutes = require('./routes/templates');
+const reportRoutes = require('./routes/reports');
+const contactRoutes = require('./routes/contacts');
+const numberRoutes = require('./routes/numbers');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -28,10 +38,27 @@ const corsOptions = {
 
 // Middleware setup
 app.use(cors(corsOptions));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // API routes
 app.use('/api', messageRoutes);
+app.use('/api', conversationRoutes);
+app.use('/api', webhookRoutes);
+app.use('/api', mediaRoutes);
+app.use('/api', templateRoutes);
+app.use('/api', reportRoutes);
+app.use('/api', contactRoutes);
+app.use('/api', numberRoutes);
+
+// Number-scoped copies of the conversation and report routes
+// (the plain /api ones use the default business number)
+app.use('/api/numbers/:phoneNumberId', conversationRoutes);
+app.use('/api/numbers/:phoneNumberId', reportRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -43,7 +70,37 @@ app.get('/', (req, res) => {
       'GET /api/health',
       'GET /api/conversations',
       'GET /api/conversations/:waId/messages',
-      'POST /api/conversations/:waId/messages'
+      'POST /api/conversations/:waId/messages',
+      'POST /api/conversations/:waId/read',
+      'PATCH /api/conversations/:waId/state',
+      'POST /api/messages/:messageId/reactions',
+      'PATCH /api/messages/:messageId',
+      'DELETE /api/messages/:messageId',
+      'GET /api/messages/:messageId/history',
+      'GET /api/webhooks',
+      'POST /api/webhooks',
+      'POST /api/media',
+      'GET /api/media/:mediaId',
+      'GET /api/templates',
+      'POST /api/templates',
+      'GET /api/templates/:templateId',
+      'PATCH /api/templates/:templateId',
+      'DELETE /api/templates/:templateId',
+      'GET /api/reports/conversations',
+      'GET /api/contacts',
+      'GET /api/contacts/:waId',
+      'PATCH /api/contacts/:waId',
+      'GET /api/numbers',
+      'POST /api/numbers',
+      'PATCH /api/numbers/:phoneNumberId',
+      'GET /api/numbers/:phoneNumberId/conversations',
+      'GET /api/numbers/:phoneNumberId/conversations/:waId/messages',
+      'POST /api/numbers/:phoneNumberId/conversations/:waId/messages',
+      'POST /api/numbers/:phoneNumberId/conversations/:waId/read',
+      'PATCH /api/numbers/:phoneNumberId/conversations/:waId/state',
+      'GET /api/numbers/:phoneNumberId/reports/conversations',
+      'GET /api/search',
+      'GET /api/numbers/:phoneNumberId/search'
     ]
   });
 });
@@ -68,11 +125,17 @@ app.use((error, req, res, next) => {
 });
 
 // In the Vercel environment, the app is exported to be used as a serverless function.
-// The `app.listen` call is only needed for local development.
+// Listening (and socket.io, which needs a long-lived server) is only for non-serverless runs.
 if (process.env.VERCEL !== '1') {
-  app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-  });
+  const server = http.createServer(app);
+  initSocket(server);
+
+  server.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+
+    // Scripted customers with an opener start their chats (CUSTOMER_PERSONAS=true)
+    startPersonaConversations();
+  });
 }
 
 module.exports = app;
@@ -0,0 +1,126 @@
+
+// BUSINESS NUMBER SERVICE - services/businessNumberService.js
+
+
+const BusinessNumber = require('../models/BusinessNumber');
+
+/**
+ * Public shape of a business number
+ * Falls back to BUSINESS_PHONE_NUMBER for the number customers see
+ */
+function formatBusinessNumber(number, isDefault) {
+    return {
+        phoneNumberId: number.phoneNumberId || null,
+        displayPhoneNumber: number.displayPhoneNumber || process.env.BUSINESS_PHONE_NUMBER || '+1234567890',
+        displayName: number.displayName || number.displayPhoneNumber || 'Business',
+        isDefault
+    };
+}
+
+/**
+ * All registered numbers, default first
+ * Without an explicit default the oldest number is the default. With an
+ * empty registry this is a single number built from the environment
+ * (WHATSAPP_PHONE_NUMBER_ID / BUSINESS_PHONE_NUMBER), as before numbers
+ * were tracked.
+ */
+async function listBusinessNumbers() {
+    const numbers = await BusinessNumber.find().sort({ isDefault: -1, createdAt: 1 });
+
+    if (numbers.length === 0) {
+        return [formatBusinessNumber({ phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID }, true)];
+    }
+
+    return numbers.map((number, index) => formatBusinessNumber(number, index === 0));
+}
+
+/**
+ * The default business number
+ */
+async function getDefaultBusinessNumber() {
+    const [defaultNumber] = await listBusinessNumbers();
+    return defaultNumber;
+}
+
+/**
+ * Find a business number by phone_number_id, or null
+ * Looks up just that number; the environment number only counts while
+ * the registry is empty (as in listBusinessNumbers)
+ */
+async function findBusinessNumber(phoneNumberId) {
+    const number = await BusinessNumber.findOne({ phoneNumberId });
+
+    if (!number) {
+        const envNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+        if (!envNumberId || phoneNumberId !== envNumberId || await BusinessNumber.exists({})) {
+            return null;
+        }
+        return formatBusinessNumber({ phoneNumberId: envNumberId }, true);
+    }
+
+    return formatBusinessNumber(number, !(await ranksBefore(number)));
+}
+
+/**
+ * Whether another number comes before this one in listBusinessNumbers'
+ * order (explicit default first, then oldest) - if not, it's the default
+ */
+async function ranksBefore(number) {
+    const older = { createdAt: { $lt: number.createdAt } };
+    const filter = number.isDefault
+        ? { isDefault: true, ...older }
+        : { $or: [{ isDefault: true }, older] };
+
+    return Boolean(await BusinessNumber.exists(filter));
+}
+
+/**
+ * Message filter for a business number's conversations
+ * The default number also owns messages stored without a phoneNumberId
+ */
+function numberScope(number) {
+    if (number.isDefault) {
+        return { phoneNumberId: { $in: [number.phoneNumberId, null] } };
+    }
+    return { phoneNumberId: number.phoneNumberId };
+}
+
+/**
+ * Add a number to the registry the first time a webhook mentions it
+ * Keeps its display phone number current
+ */
+async function registerBusinessNumber(metadata) {
+    if (!metadata?.phone_number_id) return null;
+
+    const update = { $setOnInsert: { phoneNumberId: metadata.phone_number_id } };
+    if (metadata.display_phone_number) {
+        update.$set = { displayPhoneNumber: metadata.display_phone_number };
+    }
+
+    return BusinessNumber.findOneAndUpdate(
+        { phoneNumberId: metadata.phone_number_id },
+        update,
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Business number a stored message belongs to
+ * Messages without a phoneNumberId belong to the default number; an
+ * unregistered ID still gets a (non-default) number of its own
+ */
+async function getMessageBusinessNumber(phoneNumberId) {
+    if (!phoneNumberId) return getDefaultBusinessNumber();
+
+    return await findBusinessNumber(phoneNumberId)
+        || formatBusinessNumber({ phoneNumberId }, false);
+}
+
+module.exports = {
+    listBusinessNumbers,
+    getDefaultBusinessNumber,
+    findBusinessNumber,
+    numberScope,
+    registerBusinessNumber,
+    getMessageBusinessNumber
+};
@@ -0,0 +1,127 @@
+
+// CONTACT SERVICE - services/contactService.js
+
+
+const Contact = require('../models/Contact');
+
+// Tries before giving up when the contact keeps changing underneath us
+const MAX_PROFILE_NAME_ATTEMPTS = 3;
+
+/**
+ * Work out a contact's profile name and history after seeing `name` at `seenAt`
+ * Webhooks can arrive out of order, so the name is slotted into the history
+ * by time and the current name is whichever was seen last. Repeats of the
+ * same name keep only the earliest sighting.
+ * Returns the fields to save, or null if nothing changes
+ */
+function mergeProfileName(contact, name, seenAt) {
+    const history = (contact.profileNameHistory || []).map(entry => ({ name: entry.name, seenAt: entry.seenAt }));
+    const lastSeenAt = contact.profileNameSeenAt ?? history[history.length - 1]?.seenAt ?? 0;
+    const current = contact.profileName ? [{ name: contact.profileName, seenAt: lastSeenAt }] : [];
+
+    // Stable sort - on a tie the new sighting counts as the later one
+    const sightings = [...history, ...current, { name, seenAt }]
+        .sort((a, b) => a.seenAt - b.seenAt);
+    const merged = sightings.filter((entry, index) => index === 0 || entry.name !== sightings[index - 1].name);
+
+    const profileName = merged[merged.length - 1].name;
+    const profileNameSeenAt = Math.max(lastSeenAt, seenAt);
+
+    if (profileName === contact.profileName
+        && profileNameSeenAt === contact.profileNameSeenAt
+        && JSON.stringify(merged) === JSON.stringify(history)) {
+        return null;
+    }
+
+    return { profileName, profileNameSeenAt, profileNameHistory: merged };
+}
+
+/**
+ * Record a profile name seen on a webhook
+ * Creates the contact on first sight. A name seen after the current one
+ * replaces it; an older one (a late webhook) only goes into the history.
+ * Returns { contact, changed } - changed when the current name changed
+ */
+async function recordProfileName(waId, profileName, seenAt = Date.now()) {
+    const name = typeof profileName === 'string' ? profileName.trim() : '';
+    
+    // Create on first sight (an existing contact just matches)
+    let contact = await Contact.findOneAndUpdate(
+        { wa_id: waId },
+        { $setOnInsert: { wa_id: waId } },
+        { upsert: true, new: true }
+    );
+    
+    if (!name) {
+        return { contact, changed: false };
+    }
+    
+    for (let attempt = 0; attempt < MAX_PROFILE_NAME_ATTEMPTS; attempt++) {
+        const changes = mergeProfileName(contact, name, seenAt);
+        if (!changes) {
+            return { contact, changed: false };
+        }
+        
+        // Only apply if nobody changed the contact in the meantime, else start over
+        const updated = await Contact.findOneAndUpdate(
+            { wa_id: waId, updatedAt: contact.updatedAt },
+            { $set: changes },
+            { new: true }
+        );
+        if (updated) {
+            return { contact: updated, changed: updated.profileName !== contact.profileName };
+        }
+        
+        contact = await Contact.findOne({ wa_id: waId });
+    }
+    
+    console.log(` Gave up recording profile name for ${waId}: contact kept changing`);
+    return { contact, changed: false };
+}
+
+/**
+ * Upsert contacts from a webhook value's contacts[]
+ * Each contact is timestamped with its latest message in the payload.
+ * Returns the wa_ids whose profile name changed.
+ */
+async function recordWebhookContacts(contacts = [], messages = []) {
+    const changed = [];
+    
+    for (const webhookContact of contacts) {
+        const waId = webhookContact?.wa_id;
+        if (!waId) continue;
+        
+        const timestamps = messages
+            .filter(message => message.from === waId && message.timestamp)
+            .map(message => parseInt(message.timestamp) * 1000);
+        const seenAt = timestamps.length ? Math.max(...timestamps) : Date.now();
+        
+        try {
+            const result = await recordProfileName(waId, webhookContact.profile?.name, seenAt);
+            if (result.changed) {
+                console.log(` Contact ${waId} profile name: ${result.contact.profileName}`);
+                changed.push(waId);
+            }
+        } catch (error) {
+            console.log('Error recording contact:', error.message);
+        }
+    }
+    
+    return changed;
+}
+
+/**
+ * Name to show for a wa_id, or null if we don't know one
+ * Unlike the `name` virtual this doesn't fall back to the number,
+ * so callers can use their own fallback
+ */
+async function getContactDisplayName(waId) {
+    const contact = await Contact.findOne({ wa_id: waId });
+    return contact?.displayName || contact?.profileName || null;
+}
+
+module.exports = {
+    recordProfileName,
+    recordWebhookContacts,
+    getContactDisplayName
+};
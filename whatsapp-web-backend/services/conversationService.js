@@ -0,0 +1,244 @@
+
+// CONVERSATION SERVICE - services/conversationService.js
+
+
+const Message = require('../models/Message');
+const { olderThan } = require('../utils/pagination');
+const { BUSINESS_REACTOR } = require('./reactionService');
+const { numberScope } = require('./businessNumberService');
+const { CONVERSATION_FILTERS, stateStages } = require('./conversationStateService');
+
+/**
+ * Get the conversation a message belongs to
+ * Every message carries the customer's wa_id, whichever way it went
+ */
+function getConversationId(message) {
+    return message.wa_id;
+}
+
+/**
+ * Aggregation stages that turn messages into conversation summaries
+ * One document per conversation with the same shape the sidebar expects:
+ * wa_id, phoneNumber, contactName, lastMessage, lastMessageTime,
+ * isLastOutgoing and unreadCount
+ */
+function summaryStages() {
+    return [
+        // Newest first, so $first picks the latest message
+        { $sort: { timestamp: -1, messageId: -1 } },
+
+        { $addFields: {
+            // Newest reaction on this message, if any
+            latestReaction: { $reduce: {
+                input: { $ifNull: ['$reactions', []] },
+                initialValue: null,
+                in: { $cond: [
+                    { $gt: ['$$this.timestamp', { $ifNull: ['$$value.timestamp', 0] }] },
+                    '$$this',
+                    '$$value'
+                ] }
+            } }
+        } },
+
+        { $group: {
+            _id: '$wa_id',
+            lastMessage: { $first: '$text' },
+            lastMessageType: { $first: '$messageType' },
+            lastMedia: { $first: '$media' },
+            lastMessageTime: { $first: '$timestamp' },
+            lastDeletedAt: { $first: '$deletedAt' },
+            isLastOutgoing: { $first: '$isOutgoing' },
+            // Newest reaction in the conversation ($max compares timestamp first)
+            lastReaction: { $max: { $cond: [
+                '$latestReaction',
+                {
+                    timestamp: '$latestReaction.timestamp',
+                    emoji: '$latestReaction.emoji',
+                    from: '$latestReaction.from',
+                    text: '$text',
+                    messageType: '$messageType'
+                },
+                null
+            ] } },
+            // Contact details only come from incoming messages
+            contact: { $mergeObjects: {
+                $cond: ['$isOutgoing', {}, { contactName: '$contactName', phoneNumber: '$fromNumber' }]
+            } },
+            // Incoming messages nobody has read yet
+            unreadCount: { $sum: {
+                $cond: [{ $and: [{ $eq: ['$isOutgoing', false] }, { $eq: ['$status', 'received'] }] }, 1, 0]
+            } }
+        } }
+    ];
+}
+
+/**
+ * Final stages into the API summary shape
+ * Names come from the contacts collection (agent display name, then profile
+ * name), falling back to the name on the latest incoming message.
+ * The preview text is filled in afterwards by formatSummary
+ */
+const summaryOutputStages = [
+    { $lookup: {
+        from: 'contacts',
+        localField: '_id',
+        foreignField: 'wa_id',
+        as: 'savedContact'
+    } },
+    { $set: { savedContact: { $first: '$savedContact' } } },
+    { $project: {
+        _id: 0,
+        wa_id: '$_id',
+        phoneNumber: { $ifNull: ['$contact.phoneNumber', '$_id'] },
+        contactName: { $ifNull: [
+            '$savedContact.displayName',
+            '$savedContact.profileName',
+            '$contact.contactName',
+            // Nothing received yet (we messaged first) - show the number
+            '$_id'
+        ] },
+        profileName: { $ifNull: ['$savedContact.profileName', '$contact.contactName'] },
+        displayName: '$savedContact.displayName',
+        lastMessage: 1,
+        lastMessageType: 1,
+        lastMedia: 1,
+        lastMessageTime: 1,
+        lastDeletedAt: 1,
+        isLastOutgoing: 1,
+        lastReaction: 1,
+        unreadCount: 1,
+        favourite: 1,
+        pinned: 1,
+        pinnedAt: 1,
+        archived: 1,
+        mutedUntil: 1
+    } }
+];
+
+// Sidebar preview labels for media, location and contact messages without text
+const MEDIA_PREVIEWS = {
+    image: { icon: '📷', label: 'Photo' },
+    video: { icon: '🎥', label: 'Video' },
+    audio: { icon: '🎵', label: 'Audio' },
+    document: { icon: '📄', label: 'Document' },
+    location: { icon: '📍', label: 'Location' },
+    contacts: { icon: '👤', label: 'Contact' }
+};
+
+/**
+ * Build the sidebar preview line for the latest message
+ */
+function getPreviewText(summary) {
+    const { lastReaction } = summary;
+    
+    // A reaction newer than the last message takes over the preview
+    if (lastReaction && lastReaction.timestamp > summary.lastMessageTime) {
+        const target = lastReaction.text || MEDIA_PREVIEWS[lastReaction.messageType]?.label || 'a message';
+        const who = lastReaction.from === BUSINESS_REACTOR ? 'You reacted' : 'Reacted';
+        
+        return `${who} ${lastReaction.emoji} to "${target}"`;
+    }
+    
+    if (summary.lastDeletedAt) {
+        return '🚫 This message was deleted';
+    }
+    
+    const mediaPreview = MEDIA_PREVIEWS[summary.lastMessageType];
+    
+    if (mediaPreview) {
+        const label = summary.lastMessageType === 'audio' && summary.lastMedia?.voice
+            ? 'Voice message'
+            : summary.lastMedia?.filename || mediaPreview.label;
+        
+        return `${mediaPreview.icon} ${summary.lastMessage || label}`;
+    }
+    
+    return summary.lastMessage || 'No message';
+}
+
+/**
+ * Turn an aggregated summary into the API response shape
+ */
+function formatSummary(summary, number) {
+    const { lastMedia, lastReaction, lastDeletedAt, ...rest } = summary;
+    
+    return {
+        ...rest,
+        phoneNumberId: number.phoneNumberId,
+        lastMessage: getPreviewText(summary)
+    };
+}
+
+/**
+ * List a business number's conversations, latest message first
+ * filter is a key of CONVERSATION_FILTERS (archived chats only show under
+ * 'archived'). Pinned chats come first on the first page, most recently
+ * pinned first; the cursor pages through the rest.
+ * Pass the position of the last conversation seen to get the next page
+ */
+async function listConversations({ number, limit, before = null, filter = 'all' }) {
+    const baseStages = [
+        { $match: numberScope(number) },
+        ...summaryStages(),
+        ...stateStages(number),
+        { $match: CONVERSATION_FILTERS[filter] }
+    ];
+
+    const pipeline = [...baseStages, { $match: { pinned: false } }];
+
+    if (before) {
+        pipeline.push({ $match: olderThan(before, 'lastMessageTime', '_id') });
+    }
+
+    pipeline.push(
+        { $sort: { lastMessageTime: -1, _id: -1 } },
+        // One extra to know whether there are more
+        { $limit: limit + 1 },
+        ...summaryOutputStages
+    );
+
+    const [page, pinned] = await Promise.all([
+        Message.aggregate(pipeline).allowDiskUse(true),
+        before
+            ? []
+            : Message.aggregate([
+                ...baseStages,
+                { $match: { pinned: true } },
+                { $sort: { pinnedAt: -1 } },
+                ...summaryOutputStages
+            ]).allowDiskUse(true)
+    ]);
+
+    return {
+        conversations: [...pinned, ...page.slice(0, limit)].map(summary => formatSummary(summary, number)),
+        hasMore: page.length > limit
+    };
+}
+
+/**
+ * Build conversation summary
+ * Gets latest message, contact info, unread count and state for a wa_id
+ * on one business number
+ */
+async function buildConversationSummary(waId, number) {
+    try {
+        const [summary] = await Message.aggregate([
+            { $match: { ...numberScope(number), wa_id: waId } },
+            ...summaryStages(),
+            ...stateStages(number),
+            ...summaryOutputStages
+        ]);
+
+        return summary ? formatSummary(summary, number) : null;
+
+    } catch (error) {
+        console.error('Error building conversation summary:', error);
+        return null;
+    }
+}
+
+module.exports = {
+    getConversationId,
+    listConversations,
+    buildConversationSummary
+};
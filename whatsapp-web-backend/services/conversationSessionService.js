@@ -0,0 +1,106 @@
+
+// CONVERSATION SESSION SERVICE - services/conversationSessionService.js
+
+
+const ConversationSession = require('../models/ConversationSession');
+
+/**
+ * Record the conversation and pricing details carried by a status webhook
+ * Creates the session on first sight and fills in whatever later statuses add
+ * (pricing often only arrives on some of them)
+ */
+async function recordConversationSession(status, timestamp, phoneNumberId) {
+    const conversation = status.conversation;
+    if (!conversation?.id) {
+        return null;
+    }
+    
+    const details = {};
+    if (status.recipient_id) details.wa_id = status.recipient_id;
+    if (phoneNumberId) details.phoneNumberId = phoneNumberId;
+    if (conversation.origin?.type) details.originType = conversation.origin.type;
+    if (conversation.expiration_timestamp) {
+        details.expiresAt = parseInt(conversation.expiration_timestamp) * 1000;
+    }
+    
+    if (status.pricing) {
+        if (typeof status.pricing.billable === 'boolean') details.billable = status.pricing.billable;
+        if (status.pricing.category) details.category = status.pricing.category;
+        if (status.pricing.pricing_model) details.pricingModel = status.pricing.pricing_model;
+    }
+    
+    const update = {
+        $min: { startedAt: timestamp },
+        $max: { lastStatusAt: timestamp }
+    };
+    if (Object.keys(details).length > 0) update.$set = details;
+    if (status.id) update.$addToSet = { messageIds: status.id };
+    
+    return ConversationSession.findOneAndUpdate(
+        { conversationId: conversation.id },
+        update,
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Count sessions and billable sessions for a grouping key
+ */
+function countBy(key) {
+    return [
+        { $group: {
+            _id: key,
+            conversations: { $sum: 1 },
+            billable: { $sum: { $cond: ['$billable', 1, 0] } }
+        } },
+        { $sort: { _id: 1 } }
+    ];
+}
+
+/**
+ * Break conversation sessions down by category, origin and day (UTC)
+ * Covers sessions that started in [from, to), optionally limited by scope
+ * (e.g. one business number)
+ */
+async function getConversationSessionReport({ from, to, scope = {} }) {
+    const [report] = await ConversationSession.aggregate([
+        { $match: { ...scope, startedAt: { $gte: from, $lt: to } } },
+        { $addFields: {
+            day: { $dateToString: { format: '%Y-%m-%d', date: { $toDate: '$startedAt' } } },
+            categoryKey: { $ifNull: ['$category', 'unknown'] },
+            originKey: { $ifNull: ['$originType', 'unknown'] }
+        } },
+        { $facet: {
+            totals: countBy(null),
+            byCategory: countBy('$categoryKey'),
+            byOrigin: countBy('$originKey'),
+            byDay: countBy({ day: '$day', category: '$categoryKey' })
+        } }
+    ]);
+    
+    const rename = (field) => ({ _id, ...counts }) => ({ [field]: _id, ...counts });
+    
+    // Fold the per-day category counts into one row per day
+    const days = new Map();
+    for (const { _id, conversations, billable } of report.byDay) {
+        const day = days.get(_id.day) || { date: _id.day, conversations: 0, billable: 0, categories: {} };
+        day.conversations += conversations;
+        day.billable += billable;
+        day.categories[_id.category] = { conversations, billable };
+        days.set(_id.day, day);
+    }
+    
+    const { conversations = 0, billable = 0 } = report.totals[0] || {};
+    
+    return {
+        totals: { conversations, billable },
+        byCategory: report.byCategory.map(rename('category')),
+        byOrigin: report.byOrigin.map(rename('origin')),
+        byDay: [...days.values()]
+    };
+}
+
+module.exports = {
+    recordConversationSession,
+    getConversationSessionReport
+};
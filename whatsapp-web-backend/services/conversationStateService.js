@@ -0,0 +1,148 @@
+
+// CONVERSATION STATE SERVICE - services/conversationStateService.js
+
+
+const ConversationState = require('../models/ConversationState');
+
+// Most chats that can be pinned at once (same as WhatsApp)
+const MAX_PINNED = 3;
+
+// mutedUntil for "Always" - no real end time
+const MUTE_ALWAYS = Number.MAX_SAFE_INTEGER;
+
+// Sidebar filters (?filter=) and which conversations each one shows
+const CONVERSATION_FILTERS = {
+    all: { archived: false },
+    unread: { archived: false, unreadCount: { $gt: 0 } },
+    favourites: { archived: false, favourite: true },
+    archived: { archived: true }
+};
+
+/**
+ * Filter for a conversation's state record on a business number
+ */
+function stateKey(number, waId) {
+    return { phoneNumberId: number.phoneNumberId ?? null, wa_id: waId };
+}
+
+/**
+ * Aggregation stages adding each conversation's state (favourite, pinned,
+ * pinnedAt, archived, mutedUntil) to grouped summaries keyed by wa_id
+ */
+function stateStages(number) {
+    return [
+        { $lookup: {
+            from: 'conversation_states',
+            let: { waId: '$_id' },
+            pipeline: [
+                { $match: {
+                    phoneNumberId: number.phoneNumberId ?? null,
+                    $expr: { $eq: ['$wa_id', '$$waId'] }
+                } }
+            ],
+            as: 'state'
+        } },
+        { $set: { state: { $first: '$state' } } },
+        { $set: {
+            favourite: { $ifNull: ['$state.favourite', false] },
+            pinned: { $ifNull: ['$state.pinned', false] },
+            pinnedAt: { $ifNull: ['$state.pinnedAt', null] },
+            archived: { $ifNull: ['$state.archived', false] },
+            mutedUntil: { $ifNull: ['$state.mutedUntil', null] }
+        } },
+        { $unset: 'state' }
+    ];
+}
+
+/**
+ * Get a conversation's state (every flag off when there is no record)
+ */
+async function getConversationState(number, waId) {
+    const state = await ConversationState.findOne(stateKey(number, waId)).lean();
+    return formatState(state);
+}
+
+/**
+ * Public shape of a conversation state
+ */
+function formatState(state) {
+    return {
+        favourite: Boolean(state?.favourite),
+        pinned: Boolean(state?.pinned),
+        pinnedAt: state?.pinnedAt ?? null,
+        archived: Boolean(state?.archived),
+        mutedUntil: state?.mutedUntil ?? null
+    };
+}
+
+/**
+ * Number of pinned conversations on a business number
+ */
+function countPinned(number) {
+    return ConversationState.countDocuments({ phoneNumberId: number.phoneNumberId ?? null, pinned: true });
+}
+
+/**
+ * Number of archived conversations on a business number
+ */
+function countArchived(number) {
+    return ConversationState.countDocuments({ phoneNumberId: number.phoneNumberId ?? null, archived: true });
+}
+
+/**
+ * Apply already validated changes ({ favourite?, pinned?, archived?, mutedUntil? })
+ * Pinning stamps pinnedAt; archiving also unpins, like WhatsApp.
+ * mutedUntil null unmutes. Returns the new state
+ */
+async function updateConversationState(number, waId, changes) {
+    const $set = {};
+    const $unset = {};
+
+    if (changes.favourite !== undefined) $set.favourite = changes.favourite;
+
+    if (changes.pinned === true) {
+        $set.pinned = true;
+        $set.pinnedAt = Date.now();
+    } else if (changes.pinned === false) {
+        $set.pinned = false;
+        $unset.pinnedAt = '';
+    }
+
+    if (changes.archived !== undefined) {
+        $set.archived = changes.archived;
+        if (changes.archived) {
+            $set.pinned = false;
+            delete $set.pinnedAt;
+            $unset.pinnedAt = '';
+        }
+    }
+
+    if (changes.mutedUntil === null) {
+        $unset.mutedUntil = '';
+    } else if (changes.mutedUntil !== undefined) {
+        $set.mutedUntil = changes.mutedUntil;
+    }
+
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    const state = await ConversationState.findOneAndUpdate(
+        stateKey(number, waId),
+        update,
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    return formatState(state);
+}
+
+module.exports = {
+    MAX_PINNED,
+    MUTE_ALWAYS,
+    CONVERSATION_FILTERS,
+    stateStages,
+    getConversationState,
+    countPinned,
+    countArchived,
+    updateConversationState
+};
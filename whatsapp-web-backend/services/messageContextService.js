@@ -0,0 +1,67 @@
+
+// MESSAGE CONTEXT SERVICE - services/messageContextService.js
+
+
+const Message = require('../models/Message');
+
+/**
+ * Copy of a message to show in a quote
+ */
+function snapshotMessage(message) {
+    const snapshot = {
+        text: message.text,
+        messageType: message.messageType,
+        isOutgoing: message.isOutgoing,
+        contactName: message.contactName
+    };
+    if (message.deletedAt) {
+        snapshot.deleted = true;
+    }
+    return snapshot;
+}
+
+/**
+ * Refresh the quoted copy in every reply to a message
+ * Called after the message is edited or deleted
+ */
+async function refreshQuotedSnapshots(message) {
+    await Message.updateMany(
+        { 'context.messageId': message.messageId },
+        { $set: { 'context.quoted': snapshotMessage(message) } }
+    );
+}
+
+/**
+ * Build the reply context for a message quoting `messageId`
+ * scope narrows where it's looked for (e.g. one conversation on one number).
+ * Returns null if the quoted message doesn't exist there
+ */
+async function buildMessageContext(messageId, scope = {}) {
+    const quotedMessage = await Message.findOne({ ...scope, messageId });
+    if (!quotedMessage) {
+        return null;
+    }
+    
+    return {
+        messageId,
+        from: quotedMessage.fromNumber,
+        quoted: snapshotMessage(quotedMessage)
+    };
+}
+
+/**
+ * Fill in the quoted snapshot for a webhook context
+ * Replies to messages we never stored keep just the reference
+ */
+async function withQuotedSnapshot(context) {
+    const fullContext = await buildMessageContext(context.messageId);
+    
+    return fullContext ? { ...fullContext, from: context.from || fullContext.from } : context;
+}
+
+module.exports = {
+    snapshotMessage,
+    refreshQuotedSnapshots,
+    buildMessageContext,
+    withQuotedSnapshot
+};
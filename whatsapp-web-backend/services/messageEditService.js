@@ -0,0 +1,120 @@
+
+// MESSAGE EDIT SERVICE - services/messageEditService.js
+
+
+const Message = require('../models/Message');
+const { refreshQuotedSnapshots } = require('./messageContextService');
+const { EDIT_WINDOW_MS, DELETE_WINDOW_MS, isEditableType } = require('../config/messageEdits');
+
+// Content removed when a message is deleted for everyone
+const DELETED_CONTENT = ['media', 'interactive', 'location', 'contacts', 'template', 'reactions'];
+
+/**
+ * Replace a message's text (or caption), keeping the old one in editHistory
+ * Replies quoting it show the new text.
+ * Returns the updated message, or null if it doesn't exist or was deleted
+ */
+async function applyEdit({ messageId, text, editedAt = Date.now() }) {
+    const message = await Message.findOne({ messageId, deletedAt: { $exists: false } });
+    if (!message) return null;
+
+    const $set = { text, editedAt };
+    if (message.media) {
+        $set['media.caption'] = text;
+    }
+
+    // Only if it hasn't been deleted in the meantime
+    const updated = await Message.findOneAndUpdate(
+        { messageId, deletedAt: { $exists: false } },
+        {
+            $set,
+            $push: { editHistory: { action: 'edit', text: message.text, at: editedAt } }
+        },
+        { new: true }
+    );
+
+    if (updated) {
+        await refreshQuotedSnapshots(updated);
+    }
+    return updated;
+}
+
+/**
+ * Delete a message for everyone
+ * Clears its text and content (attachment, cards, reactions...) and keeps all
+ * of it in editHistory. Replies quoting it show it as deleted.
+ * Deleting twice is a no-op.
+ * Returns the updated message, or null if it doesn't exist
+ */
+async function applyRevoke({ messageId, deletedAt = Date.now() }) {
+    const message = await Message.findOne({ messageId });
+    if (!message || message.deletedAt) return message;
+
+    // Everything that's cleared goes into the history entry first
+    const $unset = {};
+    const removed = { action: 'delete', text: message.text, at: deletedAt };
+    for (const field of DELETED_CONTENT) {
+        $unset[field] = '';
+        if (message[field] !== undefined) {
+            removed[field] = message[field];
+        }
+    }
+
+    const updated = await Message.findOneAndUpdate(
+        { messageId, deletedAt: { $exists: false } },
+        {
+            $set: { text: '', deletedAt },
+            $unset,
+            $push: { editHistory: removed }
+        },
+        { new: true }
+    );
+
+    if (!updated) return Message.findOne({ messageId });
+
+    await refreshQuotedSnapshots(updated);
+    return updated;
+}
+
+/**
+ * Check whether an agent may still edit or delete a message
+ * Returns null when allowed, otherwise { status, error }
+ */
+function checkAgentChange(message, action, now = Date.now()) {
+    if (!message.isOutgoing) {
+        return { status: 403, error: `Only messages you sent can be ${action === 'edit' ? 'edited' : 'deleted'}` };
+    }
+
+    return checkChange(message, action, now);
+}
+
+/**
+ * Check a message can still be edited or deleted by its sender (either side):
+ * not deleted, an editable type, and within the time window.
+ * `now` is when the change was made. Returns null when allowed, otherwise { status, error }
+ */
+function checkChange(message, action, now = Date.now()) {
+    if (message.deletedAt) {
+        return { status: 409, error: 'This message was deleted' };
+    }
+
+    if (action === 'edit') {
+        if (!isEditableType(message)) {
+            return { status: 400, error: `${message.messageType} messages can't be edited` };
+        }
+        if (now - message.timestamp > EDIT_WINDOW_MS) {
+            return { status: 409, error: 'Messages can only be edited within 15 minutes of sending' };
+        }
+    } else if (now - message.timestamp > DELETE_WINDOW_MS) {
+        return { status: 409, error: 'Messages can only be deleted within 60 hours of sending' };
+    }
+
+    return null;
+}
+
+module.exports = {
+    applyEdit,
+    applyRevoke,
+    checkChange,
+    checkAgentChange
+};
@@ -0,0 +1,183 @@
+
+// PERSONA SIMULATOR - services/personaSimulator.js
+
+
+const Message = require('../models/Message');
+const { processWebhookPayload } = require('../process-webhooks');
+const { getPersonas, findPersona } = require('../config/customerPersonas');
+const { getDefaultBusinessNumber } = require('./businessNumberService');
+
+// Replies waiting to be "typed", per conversation - a burst of agent messages gets one answer
+const pendingReplies = new Map();
+
+/**
+ * Check whether scripted customers are on
+ * Off unless CUSTOMER_PERSONAS is set to 'true'
+ */
+function arePersonasEnabled() {
+    return process.env.CUSTOMER_PERSONAS === 'true';
+}
+
+/**
+ * Pick a random item from a value that may be a single item or an array
+ */
+function pickOne(options) {
+    const list = Array.isArray(options) ? options : [options];
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Check whether a reply rule matches the agent's text
+ * Keywords match anywhere, case-insensitively; patterns are regex strings
+ */
+function ruleMatches(rule, text) {
+    const lowerText = text.toLowerCase();
+
+    if (rule.keywords?.some(keyword => lowerText.includes(String(keyword).toLowerCase()))) {
+        return true;
+    }
+
+    if (rule.pattern) {
+        try {
+            return new RegExp(rule.pattern, rule.flags).test(text);
+        } catch (error) {
+            console.error(`Invalid persona pattern ${rule.pattern}:`, error.message);
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Work out what a persona says back to the agent's text
+ * Returns null when nothing matches and there are no fallback lines
+ */
+function chooseReply(persona, text) {
+    const rule = (persona.rules || []).find(candidate => ruleMatches(candidate, text));
+    // A rule without replies falls through to the fallback lines
+    const options = rule?.replies?.length ? rule.replies : persona.fallback;
+
+    if (!options || options.length === 0) return null;
+    return pickOne(options) || null;
+}
+
+/**
+ * Build an inbound text message webhook from a persona, in the
+ * webhook-data fixture format
+ * @param {Object} persona - Persona sending the message
+ * @param {string} text - Message text
+ * @param {Object} number - Business number it's sent to
+ */
+function buildPersonaWebhook(persona, text, number) {
+    const timestamp = Date.now();
+
+    return {
+        payload_type: 'whatsapp_webhook',
+        metaData: {
+            entry: [{
+                changes: [{
+                    field: 'messages',
+                    value: {
+                        contacts: [{
+                            profile: { name: persona.name },
+                            wa_id: persona.wa_id
+                        }],
+                        messages: [{
+                            from: persona.wa_id,
+                            id: `wamid.persona_${timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+                            // Whole seconds, rounded up so a reply never lands before what it answers
+                            timestamp: String(Math.ceil(timestamp / 1000)),
+                            text: { body: text },
+                            type: 'text'
+                        }],
+                        messaging_product: 'whatsapp',
+                        metadata: {
+                            display_phone_number: number.displayPhoneNumber,
+                            phone_number_id: number.phoneNumberId || undefined
+                        }
+                    }
+                }],
+                id: 'persona-simulator'
+            }],
+            object: 'whatsapp_business_account'
+        }
+    };
+}
+
+/**
+ * Send a persona's message through the normal webhook pipeline
+ */
+async function sendAsPersona(persona, text, number) {
+    await processWebhookPayload(buildPersonaWebhook(persona, text, number));
+    console.log(` Persona ${persona.name} said: ${text}`);
+}
+
+/**
+ * Have the persona playing this customer answer a message we sent
+ * Waits the persona's typing delay; more messages in the meantime restart
+ * the wait, and the reply answers all of them. Does nothing unless personas
+ * are enabled and the customer is one of them.
+ */
+function replyAsPersona(message) {
+    if (!arePersonasEnabled() || !message?.isOutgoing) return;
+
+    const persona = findPersona(message.wa_id);
+    if (!persona) return;
+
+    const key = `${message.phoneNumberId || ''}:${message.wa_id}`;
+    const pending = pendingReplies.get(key);
+    if (pending) clearTimeout(pending.timer);
+
+    const texts = [...(pending?.texts || []), message.text || ''];
+    const [min, max] = persona.typingDelay;
+    const delay = min + Math.random() * Math.max(max - min, 0);
+
+    const timer = setTimeout(async () => {
+        pendingReplies.delete(key);
+
+        const reply = chooseReply(persona, texts.join('\n'));
+        if (!reply) return;
+
+        try {
+            await sendAsPersona(persona, reply, {
+                displayPhoneNumber: message.fromNumber,
+                phoneNumberId: message.phoneNumberId
+            });
+        } catch (error) {
+            console.error(`Error sending reply from ${persona.name}:`, error.message);
+        }
+    }, delay);
+
+    // Pending replies shouldn't keep the process alive
+    timer.unref?.();
+    pendingReplies.set(key, { timer, texts });
+}
+
+/**
+ * Send each persona's opener to the default business number,
+ * for personas whose chat has no messages yet
+ */
+async function startPersonaConversations() {
+    if (!arePersonasEnabled()) return;
+
+    try {
+        const number = await getDefaultBusinessNumber();
+
+        for (const persona of getPersonas()) {
+            if (!persona.opener) continue;
+            if (await Message.exists({ wa_id: persona.wa_id })) continue;
+
+            await sendAsPersona(persona, persona.opener, number);
+        }
+    } catch (error) {
+        console.error('Error starting persona conversations:', error.message);
+    }
+}
+
+module.exports = {
+    arePersonasEnabled,
+    chooseReply,
+    buildPersonaWebhook,
+    replyAsPersona,
+    startPersonaConversations
+};
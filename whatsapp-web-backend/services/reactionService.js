@@ -0,0 +1,37 @@
+
+// REACTION SERVICE - services/reactionService.js
+
+
+const Message = require('../models/Message');
+
+// Reactor id used for reactions sent by agents
+const BUSINESS_REACTOR = 'business';
+
+/**
+ * Set or clear a reaction on a message
+ * Each reactor has at most one reaction: a new emoji replaces theirs,
+ * an empty emoji removes it. Returns the updated message, or null if
+ * the message doesn't exist or was deleted.
+ */
+async function applyReaction({ messageId, from, emoji, timestamp = Date.now() }) {
+    const others = {
+        $filter: {
+            input: { $ifNull: ['$reactions', []] },
+            cond: { $ne: ['$$this.from', from] }
+        }
+    };
+    const added = emoji ? [{ from, emoji, timestamp }] : [];
+
+    // Pipeline update so replace/remove happens in one atomic write
+    // Deleted messages can't be reacted to (their reactions were cleared)
+    return Message.findOneAndUpdate(
+        { messageId, deletedAt: { $exists: false } },
+        [{ $set: { reactions: { $concatArrays: [others, added] } } }],
+        { new: true }
+    );
+}
+
+module.exports = {
+    BUSINESS_REACTOR,
+    applyReaction
+};
@@ -0,0 +1,152 @@
+
+// REAL-TIME NOTIFICATIONS - services/realtime.js
+
+
+const { emitToClients } = require('../config/socket');
+const Message = require('../models/Message');
+const { getConversationId, buildConversationSummary } = require('./conversationService');
+const { getMessageBusinessNumber } = require('./businessNumberService');
+const { countArchived } = require('./conversationStateService');
+
+/**
+ * Socket event names shared with the frontend (src/services/socket.js)
+ */
+const EVENTS = {
+    MESSAGE_NEW: 'message:new',
+    MESSAGE_STATUS: 'message:status',
+    MESSAGE_REACTION: 'message:reaction',
+    MESSAGE_UPDATED: 'message:updated',
+    CONVERSATION_UPDATED: 'conversation:updated'
+};
+
+/**
+ * Push the latest summary for a conversation to the sidebar
+ * phoneNumberId picks the business number (empty means the default one).
+ * Carries the number's archivedCount too, for the Archived row
+ */
+async function notifyConversationUpdated(waId, phoneNumberId) {
+    const number = await getMessageBusinessNumber(phoneNumberId);
+    const conversation = await buildConversationSummary(waId, number);
+    if (conversation) {
+        emitToClients(EVENTS.CONVERSATION_UPDATED, {
+            conversation,
+            archivedCount: await countArchived(number)
+        });
+    }
+}
+
+/**
+ * Push fresh summaries for every business number a customer talks to
+ * (contact details are shared between numbers)
+ */
+async function notifyContactUpdated(waId) {
+    try {
+        const phoneNumberIds = await Message.distinct('phoneNumberId', { wa_id: waId });
+
+        // Legacy messages without an ID share the default number
+        const numbers = new Set(phoneNumberIds.map(id => id || null));
+        for (const phoneNumberId of numbers) {
+            await notifyConversationUpdated(waId, phoneNumberId);
+        }
+
+    } catch (error) {
+        console.log('Error sending contact notification:', error.message);
+    }
+}
+
+/**
+ * Notify clients that a message was saved (incoming or outgoing)
+ */
+async function notifyMessageSaved(message) {
+    try {
+        const conversationId = getConversationId(message);
+
+        const { phoneNumberId } = await getMessageBusinessNumber(message.phoneNumberId);
+
+        emitToClients(EVENTS.MESSAGE_NEW, { conversationId, phoneNumberId, message });
+        await notifyConversationUpdated(conversationId, message.phoneNumberId);
+
+    } catch (error) {
+        console.log('Error sending message notification:', error.message);
+    }
+}
+
+/**
+ * Notify clients that a message status changed
+ */
+async function notifyMessageStatus(message) {
+    try {
+        const conversationId = getConversationId(message);
+        const { phoneNumberId } = await getMessageBusinessNumber(message.phoneNumberId);
+
+        emitToClients(EVENTS.MESSAGE_STATUS, {
+            conversationId,
+            phoneNumberId,
+            messageId: message.messageId,
+            status: message.status,
+            message
+        });
+        await notifyConversationUpdated(conversationId, message.phoneNumberId);
+
+    } catch (error) {
+        console.log('Error sending status notification:', error.message);
+    }
+}
+
+/**
+ * Notify clients that a message's reactions changed
+ */
+async function notifyMessageReaction(message) {
+    try {
+        const conversationId = getConversationId(message);
+        const { phoneNumberId } = await getMessageBusinessNumber(message.phoneNumberId);
+
+        emitToClients(EVENTS.MESSAGE_REACTION, {
+            conversationId,
+            phoneNumberId,
+            messageId: message.messageId,
+            reactions: message.reactions || [],
+            message
+        });
+        await notifyConversationUpdated(conversationId, message.phoneNumberId);
+
+    } catch (error) {
+        console.log('Error sending reaction notification:', error.message);
+    }
+}
+
+/**
+ * Notify clients that a message was edited or deleted
+ * Carries the whole message - clients replace their copy with it. Replies
+ * quoting it are sent too, since their quoted copy changed with it.
+ */
+async function notifyMessageUpdated(message) {
+    try {
+        const conversationId = getConversationId(message);
+        const { phoneNumberId } = await getMessageBusinessNumber(message.phoneNumberId);
+        const replies = await Message.find({ 'context.messageId': message.messageId });
+
+        for (const updated of [message, ...replies]) {
+            emitToClients(EVENTS.MESSAGE_UPDATED, {
+                conversationId: getConversationId(updated),
+                phoneNumberId,
+                messageId: updated.messageId,
+                message: updated
+            });
+        }
+        await notifyConversationUpdated(conversationId, message.phoneNumberId);
+
+    } catch (error) {
+        console.log('Error sending message update notification:', error.message);
+    }
+}
+
+module.exports = {
+    EVENTS,
+    notifyConversationUpdated,
+    notifyContactUpdated,
+    notifyMessageSaved,
+    notifyMessageStatus,
+    notifyMessageReaction,
+    notifyMessageUpdated
+};
@@ -0,0 +1,103 @@
+
+// RECIPIENT SIMULATOR - services/recipientSimulator.js
+
+
+const { processWebhookPayload } = require('../process-webhooks');
+const { SIMULATED_FAILURE, getRecipientProfile } = require('../config/recipientProfiles');
+
+/**
+ * Check whether the recipient simulator is on
+ * Off unless RECIPIENT_SIMULATOR is set to 'true' - real deployments get
+ * their statuses from the BSP
+ */
+function isRecipientSimulatorEnabled() {
+    return process.env.RECIPIENT_SIMULATOR === 'true';
+}
+
+/**
+ * Pick a random delay from a [min, max] range (ms)
+ */
+function randomDelay([min, max]) {
+    return min + Math.random() * Math.max(max - min, 0);
+}
+
+/**
+ * Build a statuses[] webhook for one of our messages, shaped like Meta's
+ */
+function buildStatusWebhook(message, status, timestamp, error = null) {
+    const statusUpdate = {
+        id: message.messageId,
+        status,
+        // Webhook timestamps are whole seconds - round up so a status is never before the send
+        timestamp: String(Math.ceil(timestamp / 1000)),
+        recipient_id: message.wa_id
+    };
+    if (error) {
+        statusUpdate.errors = [error];
+    }
+
+    return {
+        object: 'whatsapp_business_account',
+        entry: [{
+            id: 'recipient-simulator',
+            changes: [{
+                field: 'messages',
+                value: {
+                    messaging_product: 'whatsapp',
+                    metadata: {
+                        display_phone_number: message.fromNumber,
+                        phone_number_id: message.phoneNumberId || undefined
+                    },
+                    statuses: [statusUpdate]
+                }
+            }]
+        }]
+    };
+}
+
+/**
+ * Send a status webhook through the normal webhook pipeline after a delay
+ */
+function scheduleStatus(message, status, delay, error) {
+    const timer = setTimeout(async () => {
+        try {
+            await processWebhookPayload(buildStatusWebhook(message, status, Date.now(), error));
+            console.log(` Simulated ${status} for ${message.messageId}`);
+        } catch (err) {
+            console.error('Error simulating status:', err.message);
+        }
+    }, delay);
+
+    // Pending receipts shouldn't keep the process alive
+    timer.unref?.();
+}
+
+/**
+ * Play the recipient's side of a message we sent
+ * Delivers it (or fails it) and maybe reads it, with the delays and
+ * rates from the customer's profile (config/recipientProfiles.js).
+ * Does nothing unless the simulator is enabled.
+ */
+function simulateRecipient(message) {
+    if (!isRecipientSimulatorEnabled() || !message?.isOutgoing) return;
+
+    const profile = getRecipientProfile(message.wa_id);
+    const deliveredDelay = randomDelay(profile.deliveredDelay);
+
+    if (Math.random() < profile.failureRate) {
+        scheduleStatus(message, 'failed', deliveredDelay, SIMULATED_FAILURE);
+        return;
+    }
+
+    scheduleStatus(message, 'delivered', deliveredDelay);
+
+    if (Math.random() < profile.readRate) {
+        scheduleStatus(message, 'read', deliveredDelay + randomDelay(profile.readDelay));
+    }
+}
+
+module.exports = {
+    isRecipientSimulatorEnabled,
+    buildStatusWebhook,
+    simulateRecipient
+};
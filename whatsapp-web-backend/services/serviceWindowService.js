@@ -0,0 +1,51 @@
+
+// SERVICE WINDOW SERVICE - services/serviceWindowService.js
+
+
+const Message = require('../models/Message');
+
+// Free-form messages are allowed for 24 hours after the customer's last message
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Error code returned when a free-form send is outside the window
+const SERVICE_WINDOW_CLOSED = 'SERVICE_WINDOW_CLOSED';
+
+/**
+ * Check whether the service window is enforced
+ * Enabled unless SERVICE_WINDOW_ENFORCEMENT is set to 'false',
+ * so the old webhook-data fixtures can still be replied to locally
+ */
+function isServiceWindowEnforced() {
+    return process.env.SERVICE_WINDOW_ENFORCEMENT !== 'false';
+}
+
+/**
+ * Work out the customer service window for a conversation
+ * Opens with each inbound message and closes 24 hours later. Each business
+ * number has its own window, so pass its scope (see numberScope).
+ * Returns { enforced, isOpen, lastInboundAt, expiresAt, durationMs }
+ */
+async function getServiceWindow(waId, scope = {}, now = Date.now()) {
+    const lastInbound = await Message.findOne({ ...scope, wa_id: waId, isOutgoing: false })
+        .sort({ timestamp: -1 })
+        .select('timestamp');
+    
+    const lastInboundAt = lastInbound ? lastInbound.timestamp : null;
+    const expiresAt = lastInboundAt !== null ? lastInboundAt + SERVICE_WINDOW_MS : null;
+    const enforced = isServiceWindowEnforced();
+    
+    return {
+        enforced,
+        isOpen: !enforced || (expiresAt !== null && expiresAt > now),
+        lastInboundAt,
+        expiresAt,
+        durationMs: SERVICE_WINDOW_MS
+    };
+}
+
+module.exports = {
+    SERVICE_WINDOW_MS,
+    SERVICE_WINDOW_CLOSED,
+    isServiceWindowEnforced,
+    getServiceWindow
+};
@@ -0,0 +1,39 @@
+
+// MEDIA STORAGE - storage/index.js
+
+
+const path = require('path');
+const { createLocalDiskStorage } = require('./localDiskStorage');
+
+/**
+ * Available storage backends
+ * Add a factory here to plug in another backend (S3, GCS, ...)
+ */
+const STORAGE_BACKENDS = {
+    local: () => createLocalDiskStorage({
+        directory: process.env.MEDIA_STORAGE_DIR || path.join(__dirname, '..', 'uploads')
+    })
+};
+
+let storage = null;
+
+/**
+ * Get the configured media storage backend
+ * Chosen by MEDIA_STORAGE (defaults to 'local')
+ */
+function getMediaStorage() {
+    if (!storage) {
+        const backendName = process.env.MEDIA_STORAGE || 'local';
+        const createBackend = STORAGE_BACKENDS[backendName];
+
+        if (!createBackend) {
+            throw new Error(`Unknown MEDIA_STORAGE backend: ${backendName}`);
+        }
+
+        storage = createBackend();
+    }
+
+    return storage;
+}
+
+module.exports = { getMediaStorage };
@@ -0,0 +1,73 @@
+
+// LOCAL DISK MEDIA STORAGE - storage/localDiskStorage.js
+
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Create a media storage backend that keeps files in a local directory
+ * Every storage backend exposes the same save / createReadStream / remove API
+ */
+function createLocalDiskStorage({ directory }) {
+    const root = path.resolve(directory);
+
+    /**
+     * Map a storage key to a path, refusing anything outside the root
+     */
+    function resolveKey(key) {
+        const filePath = path.resolve(root, key);
+
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+
+        /**
+         * Write a file from a Buffer or readable stream and return its size in bytes
+         */
+        async save(key, source) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(root, { recursive: true });
+
+            if (Buffer.isBuffer(source)) {
+                await fs.promises.writeFile(filePath, source);
+                return source.length;
+            }
+
+            await pipeline(source, fs.createWriteStream(filePath));
+            return (await fs.promises.stat(filePath)).size;
+        },
+
+        /**
+         * Open a stored file for reading
+         * Returns null if the file is missing
+         */
+        async createReadStream(key) {
+            const filePath = resolveKey(key);
+
+            try {
+                await fs.promises.access(filePath, fs.constants.R_OK);
+            } catch (error) {
+                return null;
+            }
+
+            return fs.createReadStream(filePath);
+        },
+
+        /**
+         * Delete a stored file (missing files are ignored)
+         */
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+}
+
+module.exports = { createLocalDiskStorage };
@@ -0,0 +1,185 @@
+
+// INTERACTIVE MESSAGES - utils/interactive.js
+
+
+/**
+ * Limits for interactive button/list messages
+ * Mirrors the WhatsApp Cloud API limits
+ */
+const INTERACTIVE_LIMITS = {
+    headerLength: 60,
+    bodyLength: 1024,
+    footerLength: 60,
+    maxButtons: 3,
+    buttonTitleLength: 20,
+    listButtonLength: 20,
+    maxSections: 10,
+    maxRows: 10,
+    sectionTitleLength: 24,
+    rowTitleLength: 24,
+    rowDescriptionLength: 72,
+    idLength: 256
+};
+
+/**
+ * Read a text field that may be a plain string or { text }
+ */
+function readText(value) {
+    const text = typeof value === 'string' ? value : value?.text;
+    return typeof text === 'string' ? text.trim() : '';
+}
+
+/**
+ * Check an option's id and title, returning an error message if invalid
+ */
+function validateOption(option, label, titleLength, seenIds) {
+    if (!option.id) {
+        return `${label} needs an id`;
+    }
+    if (option.id.length > INTERACTIVE_LIMITS.idLength) {
+        return `${label} id must be ${INTERACTIVE_LIMITS.idLength} characters or fewer`;
+    }
+    if (seenIds.has(option.id)) {
+        return `Duplicate option id: ${option.id}`;
+    }
+    if (!option.title) {
+        return `${label} needs a title`;
+    }
+    if (option.title.length > titleLength) {
+        return `${label} title must be ${titleLength} characters or fewer`;
+    }
+
+    seenIds.add(option.id);
+    return null;
+}
+
+/**
+ * Validate and normalize an outgoing interactive payload
+ * Accepts the Cloud API shape:
+ *   { type: 'button', header?, body: { text }, footer?, action: { buttons: [{ type: 'reply', reply: { id, title } }] } }
+ *   { type: 'list', header?, body: { text }, footer?, action: { button, sections: [{ title, rows: [{ id, title, description }] }] } }
+ * Returns { interactive } (the shape stored on Message.interactive) or { error }
+ */
+function normalizeInteractive(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'interactive is required for interactive messages' };
+    }
+
+    const { type } = input;
+    if (type !== 'button' && type !== 'list') {
+        return { error: 'interactive.type must be "button" or "list"' };
+    }
+
+    const header = readText(input.header);
+    const body = readText(input.body);
+    const footer = readText(input.footer);
+
+    if (!body) {
+        return { error: 'interactive.body.text is required' };
+    }
+    if (body.length > INTERACTIVE_LIMITS.bodyLength) {
+        return { error: `Body must be ${INTERACTIVE_LIMITS.bodyLength} characters or fewer` };
+    }
+    if (header.length > INTERACTIVE_LIMITS.headerLength) {
+        return { error: `Header must be ${INTERACTIVE_LIMITS.headerLength} characters or fewer` };
+    }
+    if (footer.length > INTERACTIVE_LIMITS.footerLength) {
+        return { error: `Footer must be ${INTERACTIVE_LIMITS.footerLength} characters or fewer` };
+    }
+
+    const interactive = {
+        type,
+        header: header || undefined,
+        body,
+        footer: footer || undefined
+    };
+    const action = input.action || {};
+    const seenIds = new Set();
+
+    if (type === 'button') {
+        const buttons = Array.isArray(action.buttons) ? action.buttons : [];
+
+        if (buttons.length === 0 || buttons.length > INTERACTIVE_LIMITS.maxButtons) {
+            return { error: `Button messages need 1 to ${INTERACTIVE_LIMITS.maxButtons} buttons` };
+        }
+
+        interactive.buttons = [];
+        for (const button of buttons) {
+            const reply = button?.reply || button || {};
+            const option = { id: readText(reply.id), title: readText(reply.title) };
+
+            const error = validateOption(option, 'Button', INTERACTIVE_LIMITS.buttonTitleLength, seenIds);
+            if (error) return { error };
+
+            interactive.buttons.push(option);
+        }
+
+        return { interactive };
+    }
+
+    // List message
+    const listButton = readText(action.button);
+    const sections = Array.isArray(action.sections) ? action.sections : [];
+
+    if (!listButton) {
+        return { error: 'List messages need a button label (interactive.action.button)' };
+    }
+    if (listButton.length > INTERACTIVE_LIMITS.listButtonLength) {
+        return { error: `List button label must be ${INTERACTIVE_LIMITS.listButtonLength} characters or fewer` };
+    }
+    if (sections.length === 0 || sections.length > INTERACTIVE_LIMITS.maxSections) {
+        return { error: `List messages need 1 to ${INTERACTIVE_LIMITS.maxSections} sections` };
+    }
+
+    interactive.listButton = listButton;
+    interactive.sections = [];
+    let rowCount = 0;
+
+    for (const section of sections) {
+        const title = readText(section?.title);
+        const rows = Array.isArray(section?.rows) ? section.rows : [];
+
+        // Titles are only optional when there is a single section
+        if (!title && sections.length > 1) {
+            return { error: 'Each section needs a title when there is more than one' };
+        }
+        if (title.length > INTERACTIVE_LIMITS.sectionTitleLength) {
+            return { error: `Section title must be ${INTERACTIVE_LIMITS.sectionTitleLength} characters or fewer` };
+        }
+        if (rows.length === 0) {
+            return { error: 'Each section needs at least one row' };
+        }
+
+        rowCount += rows.length;
+        if (rowCount > INTERACTIVE_LIMITS.maxRows) {
+            return { error: `List messages can have at most ${INTERACTIVE_LIMITS.maxRows} rows` };
+        }
+
+        const normalizedRows = [];
+        for (const row of rows) {
+            const option = {
+                id: readText(row?.id),
+                title: readText(row?.title),
+                description: readText(row?.description) || undefined
+            };
+
+            const error = validateOption(option, 'Row', INTERACTIVE_LIMITS.rowTitleLength, seenIds);
+            if (error) return { error };
+
+            if (option.description && option.description.length > INTERACTIVE_LIMITS.rowDescriptionLength) {
+                return { error: `Row description must be ${INTERACTIVE_LIMITS.rowDescriptionLength} characters or fewer` };
+            }
+
+            normalizedRows.push(option);
+        }
+
+        interactive.sections.push({ title: title || undefined, rows: normalizedRows });
+    }
+
+    return { interactive };
+}
+
+module.exports = {
+    INTERACTIVE_LIMITS,
+    normalizeInteractive
+};
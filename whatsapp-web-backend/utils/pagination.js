@@ -0,0 +1,81 @@
+
+// PAGINATION HELPERS - utils/pagination.js
+
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Parse a ?limit= query value
+ * Falls back to the default and caps at MAX_LIMIT
+ */
+function parseLimit(value, defaultLimit = DEFAULT_LIMIT) {
+    const limit = parseInt(value, 10);
+
+    if (!Number.isFinite(limit) || limit <= 0) return defaultLimit;
+
+    return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Encode a list position as an opaque cursor string
+ * Timestamps alone aren't unique, so an id breaks ties
+ */
+function encodeCursor(timestamp, id) {
+    const position = { t: timestamp, id };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor string produced by encodeCursor
+ * Returns null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+        if (typeof position.t !== 'number' || typeof position.id !== 'string') {
+            return null;
+        }
+
+        return { timestamp: position.t, id: position.id };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build a filter matching documents strictly before a cursor position
+ * in a { [timeField]: -1, [idField]: -1 } sort
+ */
+function olderThan(position, timeField = 'timestamp', idField = 'messageId') {
+    return {
+        $or: [
+            { [timeField]: { $lt: position.timestamp } },
+            { [timeField]: position.timestamp, [idField]: { $lt: position.id } }
+        ]
+    };
+}
+
+/**
+ * Build a filter matching documents strictly after a cursor position
+ * (the mirror of olderThan, for paging forwards in time)
+ */
+function newerThan(position, timeField = 'timestamp', idField = 'messageId') {
+    return {
+        $or: [
+            { [timeField]: { $gt: position.timestamp } },
+            { [timeField]: position.timestamp, [idField]: { $gt: position.id } }
+        ]
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseLimit,
+    encodeCursor,
+    decodeCursor,
+    olderThan,
+    newerThan
+};
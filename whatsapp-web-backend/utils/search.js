@@ -0,0 +1,59 @@
+
+// SEARCH HELPERS - utils/search.js
+
+
+// Characters of context on each side of a match in a snippet
+const SNIPPET_RADIUS = 60;
+
+// Longest search query accepted
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Words and "quoted phrases" a $text query looks for
+ * Negated terms (-word) are left out - they never appear in a match
+ */
+function parseSearchTerms(query) {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        const negated = match[1] || match[3];
+        const term = (match[2] || match[4] || '').replace(/"/g, '').trim().toLowerCase();
+
+        if (!negated && term && !terms.includes(term)) {
+            terms.push(term);
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Cut a snippet of text around the first matching term
+ * Adds an ellipsis where the text was shortened
+ */
+function buildSnippet(text, terms, radius = SNIPPET_RADIUS) {
+    if (!text) return '';
+
+    const lower = text.toLowerCase();
+    const positions = terms
+        .map(term => lower.indexOf(term))
+        .filter(index => index >= 0);
+
+    // Nothing to centre on (e.g. matched through the index only) - use the start
+    const matchAt = positions.length > 0 ? Math.min(...positions) : 0;
+
+    const start = Math.max(0, matchAt - radius);
+    const end = Math.min(text.length, matchAt + radius * 2);
+    const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+module.exports = {
+    SNIPPET_RADIUS,
+    MAX_QUERY_LENGTH,
+    parseSearchTerms,
+    buildSnippet
+};
@@ -0,0 +1,116 @@
+
+// TEMPLATE HELPERS - utils/templates.js
+
+
+// Numbered placeholder, e.g. {{1}}
+const PLACEHOLDER_PATTERN = /\{\{\s*(\d+)\s*\}\}/g;
+
+/**
+ * Limits for template parts
+ * Mirrors the WhatsApp Business Management API limits
+ */
+const TEMPLATE_LIMITS = {
+    headerLength: 60,
+    bodyLength: 1024,
+    footerLength: 60,
+    maxButtons: 10,
+    buttonTextLength: 25
+};
+
+/**
+ * Placeholder numbers used in a piece of template text, in order, without repeats
+ */
+function getPlaceholders(text) {
+    const numbers = [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => Number(match[1]));
+    return [...new Set(numbers)].sort((a, b) => a - b);
+}
+
+/**
+ * Number of parameters a piece of template text needs
+ */
+function countPlaceholders(text) {
+    const placeholders = getPlaceholders(text);
+    return placeholders.length ? placeholders[placeholders.length - 1] : 0;
+}
+
+/**
+ * Check placeholders run {{1}}, {{2}}, ... without gaps
+ * Returns an error message or null
+ */
+function validatePlaceholders(text, label) {
+    const placeholders = getPlaceholders(text);
+    const inOrder = placeholders.every((number, index) => number === index + 1);
+
+    return inOrder ? null : `${label} placeholders must be numbered {{1}}, {{2}}, ... without gaps`;
+}
+
+/**
+ * Replace placeholders with parameter values ({{1}} is params[0])
+ */
+function renderTemplateText(text, params = []) {
+    if (!text) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, number) => params[Number(number) - 1] ?? placeholder);
+}
+
+/**
+ * Validate the editable fields of a template
+ * Header and footer are optional (null clears them) but must be text.
+ * Returns an error message or null
+ */
+function validateTemplateContent({ header, body, footer, buttons = [] }) {
+    if (typeof body !== 'string' || !body.trim()) {
+        return 'Template body is required';
+    }
+    if (header != null && typeof header !== 'string') {
+        return 'Header must be text';
+    }
+    if (footer != null && typeof footer !== 'string') {
+        return 'Footer must be text';
+    }
+    if (body.length > TEMPLATE_LIMITS.bodyLength) {
+        return `Body must be ${TEMPLATE_LIMITS.bodyLength} characters or fewer`;
+    }
+    if (header && header.length > TEMPLATE_LIMITS.headerLength) {
+        return `Header must be ${TEMPLATE_LIMITS.headerLength} characters or fewer`;
+    }
+    if (footer && footer.length > TEMPLATE_LIMITS.footerLength) {
+        return `Footer must be ${TEMPLATE_LIMITS.footerLength} characters or fewer`;
+    }
+    if (countPlaceholders(header) > 1) {
+        return 'Header can have at most one placeholder';
+    }
+    if (countPlaceholders(footer) > 0) {
+        return 'Footer cannot have placeholders';
+    }
+
+    const placeholderError = validatePlaceholders(header, 'Header') || validatePlaceholders(body, 'Body');
+    if (placeholderError) {
+        return placeholderError;
+    }
+
+    if (!Array.isArray(buttons) || buttons.length > TEMPLATE_LIMITS.maxButtons) {
+        return `Templates can have at most ${TEMPLATE_LIMITS.maxButtons} buttons`;
+    }
+    if (buttons.some(button => typeof button?.text !== 'string' || !button.text || button.text.length > TEMPLATE_LIMITS.buttonTextLength)) {
+        return `Button text is required and must be ${TEMPLATE_LIMITS.buttonTextLength} characters or fewer`;
+    }
+
+    return null;
+}
+
+/**
+ * Read text parameters for a component from a Cloud API template payload
+ * e.g. components: [{ type: 'body', parameters: [{ type: 'text', text: 'Jo' }] }]
+ */
+function getComponentParams(components, type) {
+    const component = (components || []).find(item => item?.type?.toLowerCase() === type);
+    return (component?.parameters || []).map(parameter => String(parameter?.text ?? ''));
+}
+
+module.exports = {
+    TEMPLATE_LIMITS,
+    countPlaceholders,
+    renderTemplateText,
+    validateTemplateContent,
+    getComponentParams
+};
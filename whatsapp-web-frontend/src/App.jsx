@@ -9,12 +9,13 @@
  * - Responsive breakpoint at 768px
  */
 
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import ChatSidebar from './components/ChatSidebar'
 import ChatWindow from './components/ChatWindow'
 import WelcomeScreen from './components/WelcomeScreen'
 import LoadingSpinner from './components/LoadingSpinner'
-import { getConversations } from './services/api.js'
+import { getConversations, getBusinessNumbers, setActiveNumber, updateConversationState } from './services/api.js'
+import { subscribe, SOCKET_EVENTS } from './services/socket.js'
 import './index.css'
 
 function App() {
@@ -25,10 +26,25 @@ function App() {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [isMobile, setIsMobile] = useState(false)
+  const [hasMoreConversations, setHasMoreConversations] = useState(false)
+  const [conversationsCursor, setConversationsCursor] = useState(null)
+  const [loadingMoreConversations, setLoadingMoreConversations] = useState(false)
+  const [businessNumbers, setBusinessNumbers] = useState([])
+  const [activeNumberId, setActiveNumberId] = useState(null)
+  const [focusMessage, setFocusMessage] = useState(null)
+  const [conversationFilter, setConversationFilter] = useState('all')
+  const [archivedCount, setArchivedCount] = useState(0)
+
+  // Business number shown, for socket handlers (undefined until numbers load)
+  const activeNumberRef = useRef(undefined)
+  // Sidebar filter shown, for socket handlers
+  const conversationFilterRef = useRef('all')
 
   
   // CONSTANTS
   const MOBILE_BREAKPOINT = 768
+  // Conversations fetched per sidebar page
+  const CONVERSATIONS_PAGE_SIZE = 50
 
 
   // EFFECTS
@@ -57,18 +73,60 @@ function App() {
    
   useEffect(() => {
     loadConversations()
+    loadBusinessNumbers()
+  }, [])
+
+  // Keep the sidebar in sync with conversation changes pushed by the server
+
+  useEffect(() => {
+    const unsubscribe = subscribe(SOCKET_EVENTS.CONVERSATION_UPDATED, ({ conversation, archivedCount }) => {
+      if (!conversation) return
+
+      // Chats on another business number aren't shown
+      if (activeNumberRef.current !== undefined && conversation.phoneNumberId !== activeNumberRef.current) return
+
+      upsertConversation(conversation)
+      // The server sends the number's archived count with every update
+      if (archivedCount !== undefined) setArchivedCount(archivedCount)
+
+      // Keep the open chat's header details current
+      setSelectedChat(prev => 
+        prev && prev.wa_id === conversation.wa_id ? { ...prev, ...conversation } : prev
+      )
+    })
+
+    return unsubscribe
   }, [])
 
   // HELPER FUNCTIONS
 
   
-  // Sort conversations by last message time (most recent first)
+  // Sort conversations: pinned first (latest pinned on top), then by last message time (most recent first)
 
 
   const sortConversationsByTime = (conversations) => {
-    return [...conversations].sort((a, b) => 
-      new Date(b.lastMessageTime || 0) - new Date(a.lastMessageTime || 0)
-    )
+    return [...conversations].sort((a, b) => {
+      if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1
+      if (a.pinned) return (b.pinnedAt || 0) - (a.pinnedAt || 0)
+
+      return new Date(b.lastMessageTime || 0) - new Date(a.lastMessageTime || 0)
+    })
+  }
+
+
+  // * Whether a conversation belongs in a sidebar filter ('all' leaves out archived chats)
+
+  const matchesFilter = (conversation, filter) => {
+    switch (filter) {
+      case 'archived':
+        return Boolean(conversation.archived)
+      case 'favourites':
+        return !conversation.archived && Boolean(conversation.favourite)
+      case 'unread':
+        return !conversation.archived && conversation.unreadCount > 0
+      default:
+        return !conversation.archived
+    }
   }
 
   
@@ -88,25 +146,77 @@ function App() {
   }
 
 
+  // * Insert a conversation or merge it into the existing entry
+  // * Drops it when it no longer belongs in the sidebar filter (e.g. just archived);
+  // * a chat read while on the Unread tab stays until the tab is reloaded
+
+  const upsertConversation = (incomingConversation) => {
+    setConversations(prevConversations => {
+      const filter = conversationFilterRef.current
+      const existing = prevConversations.find(conversation => 
+        conversation.wa_id === incomingConversation.wa_id
+      )
+      const merged = { ...existing, ...incomingConversation }
+      const belongs = matchesFilter(merged, filter) || (existing && filter === 'unread' && !merged.archived)
+
+      if (!belongs) {
+        return prevConversations.filter(conversation => conversation.wa_id !== incomingConversation.wa_id)
+      }
+
+      const updated = existing
+        ? prevConversations.map(conversation => 
+            conversation.wa_id === incomingConversation.wa_id ? merged : conversation
+          )
+        : [...prevConversations, incomingConversation]
+
+      return sortConversationsByTime(updated)
+    })
+  }
+
+
   // API FUNCTIONS
 
+  /**
+   * Fetch the business numbers for the account switcher
+   * Starts on the default number (listed first)
+   */
+  const loadBusinessNumbers = async () => {
+    const response = await getBusinessNumbers()
+
+    if (response.success && response.numbers.length > 0) {
+      setBusinessNumbers(response.numbers)
+      if (activeNumberRef.current === undefined) {
+        activeNumberRef.current = response.numbers[0].phoneNumberId
+        setActiveNumberId(response.numbers[0].phoneNumberId)
+      }
+    }
+  }
+
   /**
    * Fetch conversations from the backend API
    * Handles loading states and error management
+   * @param {string} filter - Sidebar filter to load (defaults to the current one)
+   * @param {boolean} quiet - Keep the sidebar on screen (switching filters)
    */
-  const loadConversations = async () => {
+  const loadConversations = async (filter = conversationFilterRef.current, quiet = false) => {
     try {
-      setLoading(true)
+      if (!quiet) setLoading(true)
       setError(null)
       
-      console.log('📱 Loading conversations...')
+      console.log(`📱 Loading conversations (${filter})...`)
       
-      const response = await getConversations()
+      const response = await getConversations({ limit: CONVERSATIONS_PAGE_SIZE, filter })
+
+      // Another filter was picked while this one loaded
+      if (filter !== conversationFilterRef.current) return
       
       // Validate response structure
       if (response.conversations) {
         const sortedConversations = sortConversationsByTime(response.conversations)
         setConversations(sortedConversations)
+        setArchivedCount(response.archivedCount)
+        setHasMoreConversations(response.hasMore)
+        setConversationsCursor(response.nextCursor)
         console.log(`✅ Loaded ${response.conversations.length} conversations`)
       } else {
         throw new Error('No conversations data received from server')
@@ -120,6 +230,43 @@ function App() {
   }
 
  
+  /**
+   * Fetch the next page of conversations and append it
+   * Skips conversations already added by live updates
+   */
+  const loadMoreConversations = async () => {
+    if (!hasMoreConversations || !conversationsCursor || loadingMoreConversations) return
+
+    try {
+      setLoadingMoreConversations(true)
+
+      const response = await getConversations({
+        before: conversationsCursor,
+        limit: CONVERSATIONS_PAGE_SIZE,
+        filter: conversationFilterRef.current
+      })
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to load more conversations')
+      }
+
+      setConversations(prevConversations => {
+        const known = new Set(prevConversations.map(conversation => conversation.wa_id))
+        const nextPage = response.conversations.filter(conversation => !known.has(conversation.wa_id))
+        return sortConversationsByTime([...prevConversations, ...nextPage])
+      })
+      setHasMoreConversations(response.hasMore)
+      setConversationsCursor(response.nextCursor)
+
+      console.log(`✅ Loaded ${response.conversations.length} more conversations`)
+    } catch (error) {
+      console.error('❌ Error loading more conversations:', error)
+    } finally {
+      setLoadingMoreConversations(false)
+    }
+  }
+
+ 
   // EVENT HANDLERS
 
  
@@ -133,6 +280,103 @@ function App() {
 
     console.log(`💬 Selected chat with: ${conversation.contactName || 'Unknown Contact'}`)
     setSelectedChat(conversation)
+    setFocusMessage(null)
+
+    // Clear the badge straight away - ChatWindow marks it read on the server
+    if (conversation.unreadCount > 0) {
+      updateConversationInList({ ...conversation, unreadCount: 0 })
+    }
+  }
+
+  /**
+   * Open a chat with a number (e.g. from a shared contact card)
+   * Uses the existing conversation if there is one, otherwise starts an empty chat
+   */
+  const handleStartChat = ({ waId, name }) => {
+    const existing = conversations.find(conversation => conversation.wa_id === waId)
+
+    handleChatSelect(existing || {
+      wa_id: waId,
+      phoneNumber: waId,
+      phoneNumberId: activeNumberId,
+      contactName: name || waId,
+      lastMessage: '',
+      lastMessageTime: null,
+      unreadCount: 0
+    })
+  }
+
+  /**
+   * Open a message search result: select its chat and scroll to the match
+   * @param {Object} result - Search result ({ messageId, wa_id, contactName, ... })
+   */
+  const handleOpenSearchResult = (result) => {
+    const existing = conversations.find(conversation => conversation.wa_id === result.wa_id)
+
+    handleChatSelect(existing || {
+      wa_id: result.wa_id,
+      phoneNumber: result.wa_id,
+      phoneNumberId: activeNumberId,
+      contactName: result.contactName || result.wa_id,
+      lastMessage: '',
+      lastMessageTime: null,
+      unreadCount: 0
+    })
+    // key lets the same result be opened again after scrolling away
+    setFocusMessage({ messageId: result.messageId, key: Date.now() })
+  }
+
+  /**
+   * Switch the sidebar filter (tabs and the Archived section) and load its chats
+   * @param {string} filter - 'all', 'unread', 'favourites' or 'archived'
+   */
+  const handleFilterChange = (filter) => {
+    if (filter === conversationFilterRef.current) return
+
+    conversationFilterRef.current = filter
+    setConversationFilter(filter)
+    setConversations([])
+    setHasMoreConversations(false)
+    setConversationsCursor(null)
+    loadConversations(filter, true)
+  }
+
+  /**
+   * Favourite, pin, archive or mute a conversation from its sidebar menu
+   * @param {Object} conversation - Conversation summary
+   * @param {Object} changes - { favourite?, pinned?, archived?, mutedUntil? }
+   */
+  const handleConversationStateChange = async (conversation, changes) => {
+    const response = await updateConversationState(conversation.wa_id, changes)
+
+    if (!response.success) {
+      alert(response.error || 'Failed to update chat')
+      return
+    }
+
+    setArchivedCount(response.archivedCount)
+
+    if (response.conversation) {
+      upsertConversation(response.conversation)
+      setSelectedChat(prev =>
+        prev && prev.wa_id === conversation.wa_id ? { ...prev, ...response.conversation } : prev
+      )
+    }
+  }
+
+  /**
+   * Show another business number's chats
+   * @param {string} phoneNumberId - Number picked in the account switcher
+   */
+  const handleSwitchNumber = (phoneNumberId) => {
+    if (phoneNumberId === activeNumberId) return
+
+    console.log(`📞 Switching to business number ${phoneNumberId}`)
+    setActiveNumber(phoneNumberId)
+    activeNumberRef.current = phoneNumberId
+    setActiveNumberId(phoneNumberId)
+    setSelectedChat(null)
+    loadConversations()
   }
 
   /**
@@ -156,6 +400,11 @@ function App() {
 
     console.log(`🔄 Updating conversation: ${updatedConversation.phoneNumber}`)
     updateConversationInList(updatedConversation)
+
+    // Keep the open chat's header in step (e.g. a renamed contact)
+    setSelectedChat(prev =>
+      prev && prev.wa_id === updatedConversation.wa_id ? { ...prev, ...updatedConversation } : prev
+    )
   }
 
   
@@ -212,7 +461,18 @@ function App() {
           conversations={conversations}
           selectedChat={selectedChat}
           onChatSelect={handleChatSelect}
+          onOpenSearchResult={handleOpenSearchResult}
           onRefresh={loadConversations}
+          onLoadMore={loadMoreConversations}
+          hasMore={hasMoreConversations}
+          loadingMore={loadingMoreConversations}
+          businessNumbers={businessNumbers}
+          activeNumberId={activeNumberId}
+          onSwitchNumber={handleSwitchNumber}
+          filter={conversationFilter}
+          onFilterChange={handleFilterChange}
+          archivedCount={archivedCount}
+          onUpdateConversationState={handleConversationStateChange}
         />
       </div>
       {/* MAIN CONTENT AREA */}
@@ -226,8 +486,10 @@ function App() {
           // Show Chat Window when a conversation is selected
           <ChatWindow 
             conversation={selectedChat}
+            focusMessage={focusMessage}
             onBack={handleBackToSidebar}
             onConversationUpdate={handleConversationUpdate}
+            onStartChat={handleStartChat}
             isMobile={isMobile}
           />
         ) : (
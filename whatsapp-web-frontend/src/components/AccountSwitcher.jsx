@@ -0,0 +1,101 @@
+/**
+ * AccountSwitcher Component
+ * Sidebar dropdown for picking which business number's chats are shown,
+ * when the backend serves more than one.
+ */
+
+import React, { useState, useEffect, useRef } from 'react'
+import { Check, ChevronDown, Phone } from 'lucide-react'
+
+const AccountSwitcher = ({ numbers, activeNumberId, onSwitch }) => {
+
+  // STATE MANAGEMENT
+  const [open, setOpen] = useState(false)
+
+  // Reference to the switcher for click outside detection
+  const switcherRef = useRef(null)
+
+
+  // EFFECTS
+
+  /**
+   * Close the dropdown when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (switcherRef.current && !switcherRef.current.contains(event.target)) {
+        setOpen(false)
+      }
+    }
+
+    if (open) {
+      document.addEventListener('mousedown', handleClickOutside)
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [open])
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Switch to a number and close the dropdown
+   * @param {Object} number - Business number from the API
+   */
+  const handleSelect = (number) => {
+    setOpen(false)
+    onSwitch(number.phoneNumberId)
+  }
+
+  const activeNumber = numbers.find(number => number.phoneNumberId === activeNumberId) || numbers[0]
+
+
+  // RENDER
+
+  if (!activeNumber) return null
+
+  return (
+    <div className="relative mb-4" ref={switcherRef}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center px-3 py-2 bg-soft-white rounded-2xl text-left hover:bg-gray-100 transition-colors cursor-pointer"
+      >
+        <Phone className="w-4 h-4 text-forest-green flex-shrink-0" />
+        <div className="ml-3 min-w-0 flex-1">
+          <p className="text-sm font-medium text-gray-900 truncate">{activeNumber.displayName}</p>
+          <p className="text-xs text-gray-500 truncate">{activeNumber.displayPhoneNumber}</p>
+        </div>
+        <ChevronDown className={`w-4 h-4 text-gray-400 transition-transform ${open ? 'rotate-180' : ''}`} />
+      </button>
+
+      {open && (
+        <div className="absolute left-0 right-0 top-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg px-2 py-2 z-50">
+          {numbers.map((number) => (
+            <button
+              key={number.phoneNumberId || 'default'}
+              type="button"
+              onClick={() => handleSelect(number)}
+              className="w-full flex items-center px-2 py-2 text-left rounded-lg hover:bg-soft-white transition-colors cursor-pointer"
+            >
+              <div className="min-w-0 flex-1">
+                <p className="text-sm text-gray-900 truncate">
+                  {number.displayName}
+                  {number.isDefault && <span className="ml-2 text-xxs text-gray-500 uppercase">Default</span>}
+                </p>
+                <p className="text-xs text-gray-500 truncate">{number.displayPhoneNumber}</p>
+              </div>
+              {number.phoneNumberId === activeNumber.phoneNumberId && (
+                <Check className="w-4 h-4 text-forest-green flex-shrink-0" />
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AccountSwitcher
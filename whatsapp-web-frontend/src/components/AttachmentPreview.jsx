@@ -0,0 +1,126 @@
+/**
+ * AttachmentPreview Component
+ * Full-panel preview of a file picked from the composer, with a caption
+ * field and send button (like WhatsApp's attachment screen).
+ */
+
+import React, { useState, useEffect } from 'react'
+import { X, FileText, Headphones, SendHorizontal } from 'lucide-react'
+
+const AttachmentPreview = ({ file, type, sending, onSend, onCancel }) => {
+
+  // STATE MANAGEMENT
+  const [caption, setCaption] = useState('')
+  const [previewUrl, setPreviewUrl] = useState(null)
+
+
+  // EFFECTS
+
+  /**
+   * Create a local preview URL for images and videos
+   * Revoked on change/unmount to free memory
+   */
+  useEffect(() => {
+    if (!file || !['image', 'video'].includes(type)) {
+      setPreviewUrl(null)
+      return
+    }
+
+    const url = URL.createObjectURL(file)
+    setPreviewUrl(url)
+
+    return () => URL.revokeObjectURL(url)
+  }, [file, type])
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Human readable file size (e.g. "1.2 MB")
+   * @param {number} bytes - File size
+   */
+  const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  }
+
+  /**
+   * Send with the caption (audio can't carry one)
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (sending) return
+
+    onSend(type === 'audio' ? '' : caption)
+  }
+
+
+  // RENDER
+
+  return (
+    <div className="absolute inset-0 z-30 bg-soft-white flex flex-col">
+      {/* Header */}
+      <div className="px-6 py-4 flex items-center space-x-4">
+        <button
+          onClick={onCancel}
+          disabled={sending}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded-full transition-colors cursor-pointer"
+        >
+          <X className="w-5 h-5" />
+        </button>
+        <span className="text-sm text-gray-700 truncate">{file.name}</span>
+      </div>
+
+      {/* Preview */}
+      <div className="flex-1 flex items-center justify-center p-6 min-h-0">
+        {type === 'image' && previewUrl && (
+          <img src={previewUrl} alt={file.name} className="max-h-full max-w-full object-contain rounded-md" />
+        )}
+
+        {type === 'video' && previewUrl && (
+          <video src={previewUrl} controls className="max-h-full max-w-full rounded-md" />
+        )}
+
+        {(type === 'document' || type === 'audio') && (
+          <div className="bg-white rounded-lg shadow-sm px-8 py-10 flex flex-col items-center text-gray-600">
+            {type === 'audio'
+              ? <Headphones className="w-16 h-16 mb-4 text-gray-400" />
+              : <FileText className="w-16 h-16 mb-4 text-gray-400" />}
+            <p className="text-sm font-medium text-gray-800 max-w-xs truncate">{file.name}</p>
+            <p className="text-xs text-gray-500 mt-1">{formatFileSize(file.size)}</p>
+          </div>
+        )}
+      </div>
+
+      {/* Caption and send */}
+      <form onSubmit={handleSubmit} className="px-6 py-4 flex items-center space-x-3">
+        <input
+          type="text"
+          value={caption}
+          onChange={(e) => setCaption(e.target.value)}
+          placeholder={type === 'audio' ? 'Audio messages have no caption' : 'Add a caption'}
+          disabled={sending || type === 'audio'}
+          className="flex-1 px-4 py-3 bg-white rounded-lg text-sm focus:outline-none disabled:opacity-50"
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={sending}
+          className="p-3 bg-green-500 hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white rounded-full transition-colors flex-shrink-0 cursor-pointer"
+        >
+          {sending ? (
+            <div className="w-5 h-5 flex items-center justify-center">
+              <div className="w-3 h-3 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+            </div>
+          ) : (
+            <SendHorizontal className="w-5 h-5" />
+          )}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default AttachmentPreview
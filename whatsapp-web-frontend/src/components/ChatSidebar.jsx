@@ -3,27 +3,95 @@
  * Left sidebar component displaying conversation list and navigation.
  */
 
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { 
   Search, MessageSquareText, User, Circle, Lock, Settings, Users, 
-  CircleDashed, MessageCircleMore, MessageSquarePlus, EllipsisVertical, CircleUser, ChevronDown 
+  CircleDashed, MessageCircleMore, MessageSquarePlus, EllipsisVertical, CircleUser, ChevronDown,
+  Archive, ArrowLeft, Pin, BellOff, Star
 } from 'lucide-react'
+import LoadingSpinner from './LoadingSpinner'
+import AccountSwitcher from './AccountSwitcher'
+import ConversationActionsMenu from './ConversationActionsMenu'
+import SearchSnippet from './SearchSnippet'
+import { searchMessages } from '../services/api'
 
-const ChatSidebar = ({ conversations, selectedChat, onChatSelect, onRefresh }) => {
+const ChatSidebar = ({ conversations, selectedChat, onChatSelect, onOpenSearchResult, onRefresh, onLoadMore, hasMore, loadingMore, businessNumbers = [], activeNumberId, onSwitchNumber, filter = 'all', onFilterChange, archivedCount = 0, onUpdateConversationState }) => {
  
   // STATE MANAGEMENT
   const [searchTerm, setSearchTerm] = useState('')
   const [activeTab, setActiveTab] = useState('All')
+  const [messageResults, setMessageResults] = useState([])
+  const [searchTerms, setSearchTerms] = useState([])
+  const [resultsCursor, setResultsCursor] = useState(null)
+  const [searchingMessages, setSearchingMessages] = useState(false)
+
+  // Latest message search, so a slow response can't overwrite a newer one
+  const searchRequestRef = useRef(0)
+  // Scrollable conversation list
+  const listRef = useRef(null)
+  // Conversation count when the list last filled itself, so a page that adds nothing doesn't retry forever
+  const filledAtCountRef = useRef(null)
 
   // CONSTANTS
 
   const tabs = ['All', 'Unread', 'Favourites', 'Groups']
 
+  // Server-side conversation filter for each tab (Cloud API chats are
+  // one-to-one, so Groups has nothing to load)
+  const TAB_FILTERS = {
+    All: 'all',
+    Unread: 'unread',
+    Favourites: 'favourites',
+    Groups: null
+  }
+
+  // Distance from the bottom (px) that triggers loading more conversations
+  const LOAD_MORE_THRESHOLD = 120
+
+  // Message search starts at this many characters, after typing pauses (ms)
+  const MIN_SEARCH_LENGTH = 2
+  const SEARCH_DEBOUNCE = 300
+
+  const messageQuery = searchTerm.trim()
+
+
+  // EFFECTS
+
+  /**
+   * Search message text on the server once typing pauses
+   * (and again when switching business numbers)
+   */
+  useEffect(() => {
+    const requestId = ++searchRequestRef.current
+    setMessageResults([])
+    setResultsCursor(null)
+
+    if (messageQuery.length < MIN_SEARCH_LENGTH) {
+      setSearchingMessages(false)
+      return
+    }
+
+    setSearchingMessages(true)
+    const timer = setTimeout(async () => {
+      const response = await searchMessages(messageQuery)
+      if (requestId !== searchRequestRef.current) return
+
+      if (response.success) {
+        setMessageResults(response.results)
+        setSearchTerms(response.terms)
+        setResultsCursor(response.hasMore ? response.nextCursor : null)
+      }
+      setSearchingMessages(false)
+    }, SEARCH_DEBOUNCE)
+
+    return () => clearTimeout(timer)
+  }, [messageQuery, activeNumberId])
+
   // HELPER FUNCTIONS
 
   /**
    * Filter conversations based on search term
-   * Searches through contact name, phone number, and last message
+   * Searches through contact name, WhatsApp profile name, phone number, and last message
    */
   const getFilteredConversations = () => {
     if (!searchTerm.trim()) return conversations
@@ -33,12 +101,14 @@ const ChatSidebar = ({ conversations, selectedChat, onChatSelect, onRefresh }) =
       if (!conversation) return false
 
       const name = conversation.contactName?.toLowerCase() || ''
+      const profileName = conversation.profileName?.toLowerCase() || ''
       const phone = conversation.phoneNumber || ''
       const lastMsg = conversation.lastMessage?.toLowerCase() || ''
       const searchLower = searchTerm.toLowerCase()
 
       return (
         name.includes(searchLower) ||
+        profileName.includes(searchLower) ||
         phone.includes(searchTerm) ||
         lastMsg.includes(searchLower)
       )
@@ -108,17 +178,107 @@ const ChatSidebar = ({ conversations, selectedChat, onChatSelect, onRefresh }) =
   }
 
   
-   //Handle tab selection
+   //Load the next page of message search results
+   
+  const loadMoreResults = async () => {
+    if (!resultsCursor || searchingMessages) return
+
+    const requestId = searchRequestRef.current
+    setSearchingMessages(true)
+
+    const response = await searchMessages(messageQuery, { before: resultsCursor })
+    if (requestId !== searchRequestRef.current) return
+
+    if (response.success) {
+      setMessageResults(prev => [...prev, ...response.results])
+      setResultsCursor(response.hasMore ? response.nextCursor : null)
+    }
+    setSearchingMessages(false)
+  }
+
+  
+   //Handle tab selection - loads that tab's conversations
    
   const handleTabSelect = (tab) => {
     setActiveTab(tab)
+    if (TAB_FILTERS[tab] && TAB_FILTERS[tab] !== filter) {
+      onFilterChange?.(TAB_FILTERS[tab])
+    }
+  }
+
+  
+   //Leave the Archived section for the selected tab
+   
+  const handleCloseArchived = () => {
+    onFilterChange?.(TAB_FILTERS[activeTab] || 'all')
+  }
+
+  
+   //Whether a conversation is muted right now
+   
+  const isMuted = (conversation) => {
+    return Boolean(conversation.mutedUntil && conversation.mutedUntil > Date.now())
+  }
+
+  
+   //Title, hint and icon for an empty list in the current view
+   
+  const getEmptyState = () => {
+    if (searchTerm) {
+      return { icon: Search, title: 'No chats or messages found', hint: 'Try searching for something else' }
+    }
+    if (showArchived) {
+      return { icon: Archive, title: 'No archived chats', hint: 'Archive chats from their menu to tidy up your list' }
+    }
+
+    switch (activeTab) {
+      case 'Unread':
+        return { icon: MessageSquareText, title: 'No unread chats', hint: "You're all caught up" }
+      case 'Favourites':
+        return { icon: Star, title: 'No favourites yet', hint: 'Add chats to favourites from their menu' }
+      case 'Groups':
+        return { icon: Users, title: 'No groups', hint: 'Business chats on the Cloud API are one-to-one' }
+      default:
+        return { icon: MessageSquareText, title: 'No conversations yet', hint: 'Run the webhook processor to load data' }
+    }
+  }
+
+  
+   //Load the next page when the list is scrolled near the bottom
+   
+  const isNearBottom = (list) => list.scrollHeight - list.scrollTop - list.clientHeight < LOAD_MORE_THRESHOLD
+
+  const handleListScroll = (e) => {
+    if (hasMore && onLoadMore && isNearBottom(e.currentTarget)) {
+      onLoadMore()
+    }
   }
 
+  /**
+   * Keep loading pages while the list doesn't fill its space
+   * (a short first page on a tall screen never scrolls, so never loads more)
+   */
+  useEffect(() => {
+    const list = listRef.current
+    if (!list || !hasMore || !onLoadMore || loadingMore) return
+    if (filledAtCountRef.current === conversations.length) return
+
+    if (isNearBottom(list)) {
+      filledAtCountRef.current = conversations.length
+      onLoadMore()
+    }
+  }, [conversations, hasMore, loadingMore, onLoadMore])
+
  
   // RENDER DATA
 
   
-  const filteredConversations = getFilteredConversations()
+  const showArchived = filter === 'archived'
+  // Nothing to list on the Groups tab
+  const filteredConversations = activeTab === 'Groups' && !showArchived ? [] : getFilteredConversations()
+  const showMessageResults = messageQuery.length >= MIN_SEARCH_LENGTH
+  const showArchivedRow = !showArchived && activeTab === 'All' && archivedCount > 0 && !searchTerm
+  const emptyState = getEmptyState()
 
   return (
     <div className="h-full flex bg-white">
@@ -193,6 +353,15 @@ const ChatSidebar = ({ conversations, selectedChat, onChatSelect, onRefresh }) =
             </div>
           </div>
 
+          {/* Business number switcher (only with more than one number) */}
+          {businessNumbers.length > 1 && (
+            <AccountSwitcher
+              numbers={businessNumbers}
+              activeNumberId={activeNumberId}
+              onSwitch={onSwitchNumber}
+            />
+          )}
+
           {/* Search Bar */}
           <div className="relative">
             <Search className="absolute left-4 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
@@ -206,8 +375,21 @@ const ChatSidebar = ({ conversations, selectedChat, onChatSelect, onRefresh }) =
           </div>
         </div>
 
+        {/* Archived section header */}
+        {showArchived && (
+          <div className="bg-white px-6 py-2 flex items-center space-x-4">
+            <button
+              onClick={handleCloseArchived}
+              className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-full transition-colors cursor-pointer"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </button>
+            <h2 className="text-base font-medium text-gray-900">Archived</h2>
+          </div>
+        )}
+
         {/* Filter Tabs */}
-      <div className="bg-white px-6 py-2">
+      <div className={`bg-white px-6 py-2 ${showArchived ? 'hidden' : ''}`}>
          {/* Desktop tabs (above 400px) */}
          <div className=" space-x-2 min-[400px]:flex hidden">
            {tabs.map((tab) => (
@@ -248,27 +430,27 @@ const ChatSidebar = ({ conversations, selectedChat, onChatSelect, onRefresh }) =
 
         {/* CONVERSATIONS LIST */}
       
-        <div className="flex-1 overflow-y-auto">
-          {filteredConversations.length === 0 ? (
+        <div ref={listRef} className="flex-1 overflow-y-auto" onScroll={handleListScroll}>
+          {/* Entry into the Archived section */}
+          {showArchivedRow && (
+            <div
+              onClick={() => onFilterChange?.('archived')}
+              className="flex items-center mx-2 px-4 my-1 py-3 cursor-pointer transition-colors rounded-xl hover:bg-soft-white"
+            >
+              <div className="w-12 mr-3 flex justify-center">
+                <Archive className="w-5 h-5 text-forest-green" />
+              </div>
+              <span className="flex-1 text-base text-gray-900">Archived</span>
+              <span className="text-xs text-forest-green">{archivedCount}</span>
+            </div>
+          )}
+
+          {filteredConversations.length === 0 && !(showMessageResults && (searchingMessages || messageResults.length > 0)) ? (
             // Empty State
-            <div className="flex flex-col items-center justify-center h-full text-gray-500 px-8">
-              {searchTerm ? (
-                // No Search Results
-                <>
-                  <Search className="w-16 h-16 mb-4 text-gray-300" />
-                  <p className="text-lg mb-2">No conversations found</p>
-                  <p className="text-sm text-center">Try searching for something else</p>
-                </>
-              ) : (
-                // No Conversations
-                <>
-                  <MessageSquareText className="w-16 h-16 mb-4 text-gray-300" />
-                  <p className="text-lg mb-2">No conversations yet</p>
-                  <p className="text-sm text-center text-gray-400">
-                    Run the webhook processor to load data
-                  </p>
-                </>
-              )}
+            <div className={`flex flex-col items-center justify-center text-gray-500 px-8 ${showArchivedRow ? 'py-16' : 'h-full'}`}>
+              <emptyState.icon className="w-16 h-16 mb-4 text-gray-300" />
+              <p className="text-lg mb-2">{emptyState.title}</p>
+              <p className="text-sm text-center text-gray-400">{emptyState.hint}</p>
             </div>
           ) : (
             // Conversation List
@@ -278,7 +460,7 @@ const ChatSidebar = ({ conversations, selectedChat, onChatSelect, onRefresh }) =
                   key={getConversationKey(conversation)}
                   onClick={() => onChatSelect(conversation)}
                   className={`
-                    flex items-center mx-2 px-4 my-1 py-2 cursor-pointer transition-colors relative rounded-xl
+                    group flex items-center mx-2 px-4 my-1 py-2 cursor-pointer transition-colors relative rounded-xl
                     ${isConversationSelected(conversation) 
                       ? 'bg-soft-white' 
                       : 'hover:bg-soft-white'} 
@@ -311,16 +493,81 @@ const ChatSidebar = ({ conversations, selectedChat, onChatSelect, onRefresh }) =
                         </p>
                       </div>
                       
-                      {/* Unread Message Count Badge */}
-                      {conversation.unreadCount > 0 && (
-                        <span className="bg-green-500 text-white text-xs rounded-full px-2 py-1 ml-2 flex-shrink-0 min-w-[20px] text-center font-medium">
-                          {conversation.unreadCount > 99 ? '99+' : conversation.unreadCount}
-                        </span>
-                      )}
+                      <div className="flex items-center space-x-1 ml-2 flex-shrink-0 text-gray-400">
+                        {/* Muted and pinned indicators */}
+                        {isMuted(conversation) && <BellOff className="w-4 h-4" />}
+                        {conversation.pinned && <Pin className="w-4 h-4" />}
+
+                        {/* Unread Message Count Badge (grey while muted) */}
+                        {conversation.unreadCount > 0 && (
+                          <span className={`${isMuted(conversation) ? 'bg-gray-400' : 'bg-green-500'} text-white text-xs rounded-full px-2 py-1 min-w-[20px] text-center font-medium`}>
+                            {conversation.unreadCount > 99 ? '99+' : conversation.unreadCount}
+                          </span>
+                        )}
+
+                        {/* Archive, mute, pin and favourite */}
+                        {onUpdateConversationState && (
+                          <ConversationActionsMenu
+                            conversation={conversation}
+                            isMuted={isMuted(conversation)}
+                            onAction={(changes) => onUpdateConversationState(conversation, changes)}
+                          />
+                        )}
+                      </div>
                     </div>
                   </div>
                 </div>
               ))}
+
+              {/* Next page loading indicator */}
+              {loadingMore && (
+                <div className="flex justify-center py-3">
+                  <LoadingSpinner type="circular" size="small" text="" />
+                </div>
+              )}
+
+              {/* Matching messages from the server search */}
+              {showMessageResults && (messageResults.length > 0 || searchingMessages) && (
+                <div className="pb-2">
+                  <p className="px-6 pt-4 pb-2 text-xs font-medium text-forest-green uppercase">Messages</p>
+
+                  {messageResults.map((result) => (
+                    <div
+                      key={result.messageId}
+                      onClick={() => onOpenSearchResult?.(result)}
+                      className="mx-2 px-4 my-1 py-2 cursor-pointer transition-colors rounded-xl hover:bg-soft-white"
+                    >
+                      <div className="flex items-center justify-between mb-1">
+                        <h3 className="text-gray-900 truncate text-sm font-medium">
+                          {result.contactName || result.wa_id}
+                        </h3>
+                        <span className="text-xs text-gray-500 ml-2 flex-shrink-0">
+                          {formatMessageTime(result.timestamp)}
+                        </span>
+                      </div>
+                      <SearchSnippet
+                        text={`${result.isOutgoing ? 'You: ' : ''}${result.snippet}`}
+                        terms={searchTerms}
+                        className="text-xs text-gray-600 line-clamp-2"
+                      />
+                    </div>
+                  ))}
+
+                  {searchingMessages ? (
+                    <div className="flex justify-center py-3">
+                      <LoadingSpinner type="circular" size="small" text="" />
+                    </div>
+                  ) : resultsCursor && (
+                    <button
+                      type="button"
+                      onClick={loadMoreResults}
+                      className="w-full py-2 text-sm text-forest-green hover:underline cursor-pointer"
+                    >
+                      More results
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
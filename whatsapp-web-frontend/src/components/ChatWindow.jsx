@@ -3,14 +3,30 @@
  * Main chat interface component that displays messages for a selected conversation.
  */
 
-import React, { useState, useEffect, useRef } from 'react'
-import { ArrowLeft, Send, Video, MoreVertical, Check, CheckCheck, Plus, Sticker, SendHorizontal, MessageCircle, X, User, Search, Mic } from 'lucide-react'
-import { getMessages, sendMessage } from '../services/api'
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react'
+import { ArrowLeft, Send, Video, MoreVertical, Check, CheckCheck, Plus, Sticker, SendHorizontal, MessageCircle, X, User, Search, Mic, ChevronDown, Info, FileText, Image, Headphones, ListChecks, Reply, LayoutTemplate, Pencil, Trash2, Ban } from 'lucide-react'
+import { getMessages, sendMessage, markConversationRead, uploadMedia, sendMediaMessage, sendInteractiveMessage, sendTemplateMessage, reactToMessage, editMessage, deleteMessage, ERROR_CODES, BUSINESS_REACTOR } from '../services/api'
+import { subscribe, SOCKET_EVENTS } from '../services/socket'
 import { format } from 'date-fns'
 import LoadingSpinner from './LoadingSpinner'
+import MessageInfoPanel from './MessageInfoPanel'
+import MessageMedia from './MessageMedia'
+import AttachmentPreview from './AttachmentPreview'
+import MessageInteractive from './MessageInteractive'
+import LocationCard from './LocationCard'
+import ContactCard from './ContactCard'
+import MessageReactions from './MessageReactions'
+import ReactionPicker from './ReactionPicker'
+import QuotedMessage from './QuotedMessage'
+import InteractiveComposer from './InteractiveComposer'
+import MessageTemplate from './MessageTemplate'
+import TemplatePicker from './TemplatePicker'
+import ServiceWindowBanner from './ServiceWindowBanner'
+import ContactInfoPanel from './ContactInfoPanel'
+import MessageSearchPanel from './MessageSearchPanel'
 import whatsappchatbg from '../assets/whatsappchatbg.jpg'
 
-const ChatWindow = ({ conversation, onBack, onConversationUpdate, isMobile }) => {
+const ChatWindow = ({ conversation, focusMessage, onBack, onConversationUpdate, onStartChat, isMobile }) => {
 
   // STATE MANAGEMENT
   const [messages, setMessages] = useState([])
@@ -19,6 +35,26 @@ const ChatWindow = ({ conversation, onBack, onConversationUpdate, isMobile }) =>
   const [newMessage, setNewMessage] = useState('')
   const [sending, setSending] = useState(false)
   const [showDropdown, setShowDropdown] = useState(false)
+  const [hasMore, setHasMore] = useState(false)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingOlder, setLoadingOlder] = useState(false)
+  const [hasNewer, setHasNewer] = useState(false)
+  const [newerCursor, setNewerCursor] = useState(null)
+  const [loadingNewer, setLoadingNewer] = useState(false)
+  const [messageMenuId, setMessageMenuId] = useState(null)
+  const [infoMessageId, setInfoMessageId] = useState(null)
+  const [showAttachMenu, setShowAttachMenu] = useState(false)
+  const [pendingAttachment, setPendingAttachment] = useState(null)
+  const [showInteractiveComposer, setShowInteractiveComposer] = useState(false)
+  const [showTemplatePicker, setShowTemplatePicker] = useState(false)
+  const [replyingTo, setReplyingTo] = useState(null)
+  const [editingMessage, setEditingMessage] = useState(null)
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null)
+  const [swipe, setSwipe] = useState(null)
+  const [serviceWindow, setServiceWindow] = useState(null)
+  const [now, setNow] = useState(Date.now())
+  const [showContactInfo, setShowContactInfo] = useState(false)
+  const [showSearch, setShowSearch] = useState(false)
   
   
   // REFS FOR DOM ELEMENTS
@@ -29,24 +65,168 @@ const ChatWindow = ({ conversation, onBack, onConversationUpdate, isMobile }) =>
   const chatContainerRef = useRef(null)
   // Reference to dropdown menu for click outside detection
   const dropdownRef = useRef(null)
+  // Reference to the open message actions menu
+  const messageMenuRef = useRef(null)
+  // Reference to the attachment menu for click outside detection
+  const attachMenuRef = useRef(null)
+  // Hidden file input used by the attachment menu
+  const fileInputRef = useRef(null)
+  // Scroll position captured before older messages are prepended
+  const scrollRestoreRef = useRef(null)
+  // Last seen scrollTop, to tell upward scrolling from the initial scroll down
+  const lastScrollTopRef = useRef(0)
+  // Message input, focused when starting a reply
+  const inputRef = useRef(null)
+  // Message to scroll to once older pages have rendered
+  const pendingJumpRef = useRef(null)
+  // Where the current swipe-to-reply gesture started
+  const swipeStartRef = useRef(null)
+  // Set while newer messages are appended, so the list doesn't jump to the bottom
+  const appendingNewerRef = useRef(false)
+  // Whether the loaded messages stop short of the latest (read by socket handlers)
+  const hasNewerRef = useRef(false)
+  // Conversation whose messages are loaded, to tell a new chat from a new focus target
+  const loadedConversationRef = useRef(null)
+
+
+  // CONSTANTS
+
+  // Messages fetched per page
+  const PAGE_SIZE = 50
+  // Distance from the top (px) that triggers loading older messages
+  const LOAD_OLDER_THRESHOLD = 80
+  // Distance from the bottom (px) that triggers loading newer messages
+  const LOAD_NEWER_THRESHOLD = 80
+  // How long a jumped-to message stays highlighted (ms)
+  const HIGHLIGHT_DURATION = 2000
+  // Swipe distance (px) that starts a reply, and the furthest a bubble moves
+  const SWIPE_REPLY_THRESHOLD = 60
+  const SWIPE_MAX_OFFSET = 80
+  // How often the service window countdown refreshes (ms)
+  const SERVICE_WINDOW_TICK = 30000
+
+  // Attachment menu entries and the files each one accepts
+  // (entries without `accept` open a composer instead of the file picker)
+  const ATTACH_OPTIONS = [
+    { key: 'document', label: 'Document', icon: FileText, accept: '.pdf,.txt,.csv,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.zip' },
+    { key: 'media', label: 'Photos & videos', icon: Image, accept: 'image/jpeg,image/png,image/webp,video/mp4,video/3gpp' },
+    { key: 'audio', label: 'Audio', icon: Headphones, accept: 'audio/*' },
+    { key: 'interactive', label: 'Buttons & list', icon: ListChecks },
+    { key: 'template', label: 'Template', icon: LayoutTemplate }
+  ]
+
+  // Sidebar preview labels for captionless media
+  const MEDIA_PREVIEW_LABELS = {
+    image: '📷 Photo',
+    video: '🎥 Video',
+    audio: '🎵 Audio',
+    document: '📄 Document'
+  }
 
  
   // EFFECTS
 
   /**
-   * Load messages when conversation changes
+   * Load messages when conversation changes, opening at the focused
+   * message (e.g. a search result) if there is one
+   * A new focus target in the open chat jumps to it instead
    */
   useEffect(() => {
-    if (conversation) {
-      loadMessages()
+    if (!conversation) return
+
+    if (loadedConversationRef.current !== conversation.wa_id) {
+      loadedConversationRef.current = conversation.wa_id
+      loadMessages(focusMessage?.messageId)
+    } else if (focusMessage) {
+      jumpToMessage(focusMessage.messageId)
     }
-  }, [conversation?.wa_id])
+  }, [conversation?.wa_id, focusMessage?.key])
+
+  /**
+   * Mirror hasNewer for the socket handlers
+   */
+  useEffect(() => {
+    hasNewerRef.current = hasNewer
+  }, [hasNewer])
+
+  /**
+   * Listen for live messages and status changes in this conversation
+   * (the same customer can also be talking to another business number)
+   */
+  const liveConversationId = conversation?.wa_id || conversation?.phoneNumber
+  const liveNumberId = conversation?.phoneNumberId ?? null
+
+  useEffect(() => {
+    if (!liveConversationId) return
+
+    const unsubscribeNew = subscribe(SOCKET_EVENTS.MESSAGE_NEW, ({ conversationId: id, phoneNumberId, message }) => {
+      if (id !== liveConversationId || phoneNumberId !== liveNumberId || !message) return
+      // Viewing older messages - it's picked up when scrolling down to the latest
+      if (!hasNewerRef.current) addMessage(message)
+
+      // The chat is open, so anything that comes in is read right away
+      if (!message.isOutgoing) {
+        markAsRead()
+        reopenServiceWindow(message.timestamp)
+      }
+    })
+
+    const unsubscribeStatus = subscribe(SOCKET_EVENTS.MESSAGE_STATUS, ({ conversationId: id, phoneNumberId, message }) => {
+      if (id !== liveConversationId || phoneNumberId !== liveNumberId || !message) return
+      updateMessage(message)
+    })
+
+    const unsubscribeReaction = subscribe(SOCKET_EVENTS.MESSAGE_REACTION, ({ conversationId: id, phoneNumberId, message }) => {
+      if (id !== liveConversationId || phoneNumberId !== liveNumberId || !message) return
+      updateMessage(message)
+    })
+
+    // Edited or deleted - the event carries the whole message
+    const unsubscribeUpdated = subscribe(SOCKET_EVENTS.MESSAGE_UPDATED, ({ conversationId: id, phoneNumberId, message }) => {
+      if (id !== liveConversationId || phoneNumberId !== liveNumberId || !message) return
+      replaceMessage(message)
+    })
+
+    return () => {
+      unsubscribeNew()
+      unsubscribeStatus()
+      unsubscribeReaction()
+      unsubscribeUpdated()
+    }
+  }, [liveConversationId, liveNumberId])
+
+  /**
+   * Keep the visible messages in place after older ones are prepended
+   * Runs before paint so the list doesn't jump
+   */
+  useLayoutEffect(() => {
+    const restore = scrollRestoreRef.current
+    const container = chatContainerRef.current
+    if (!restore || !container) return
+
+    // Bypass scroll-smooth so the adjustment is instant
+    container.style.scrollBehavior = 'auto'
+    container.scrollTop = container.scrollHeight - restore.scrollHeight + restore.scrollTop
+    container.style.scrollBehavior = ''
+  }, [messages])
 
   /**
    * Auto-scroll to bottom when new messages arrive
    * Uses timeout to ensure DOM is updated before scrolling
    */
   useEffect(() => {
+    // Older messages were prepended - position was already restored
+    if (scrollRestoreRef.current) {
+      scrollRestoreRef.current = null
+      return
+    }
+
+    // Newer messages were appended below, or a message is about to be scrolled to
+    if (appendingNewerRef.current || pendingJumpRef.current) {
+      appendingNewerRef.current = false
+      return
+    }
+
     const timeoutId = setTimeout(() => {
       scrollToBottom()
     }, 100)
@@ -54,6 +234,82 @@ const ChatWindow = ({ conversation, onBack, onConversationUpdate, isMobile }) =>
     return () => clearTimeout(timeoutId)
   }, [messages.length])
 
+  /**
+   * Tick the service window countdown while the window is enforced
+   */
+  useEffect(() => {
+    if (!serviceWindow?.enforced) return
+
+    setNow(Date.now())
+    const intervalId = setInterval(() => setNow(Date.now()), SERVICE_WINDOW_TICK)
+
+    return () => clearInterval(intervalId)
+  }, [serviceWindow?.enforced, serviceWindow?.expiresAt])
+
+  /**
+   * Scroll to a quoted message or search result once the page holding it has rendered
+   */
+  useEffect(() => {
+    if (pendingJumpRef.current && highlightMessage(pendingJumpRef.current)) {
+      pendingJumpRef.current = null
+    }
+  }, [messages])
+
+  /**
+   * Close message actions menu when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (messageMenuRef.current && !messageMenuRef.current.contains(event.target)) {
+        setMessageMenuId(null)
+      }
+    }
+
+    if (messageMenuId) {
+      document.addEventListener('mousedown', handleClickOutside)
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [messageMenuId])
+
+  /**
+   * Close attachment menu when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (attachMenuRef.current && !attachMenuRef.current.contains(event.target)) {
+        setShowAttachMenu(false)
+      }
+    }
+
+    if (showAttachMenu) {
+      document.addEventListener('mousedown', handleClickOutside)
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [showAttachMenu])
+
+  /**
+   * Reset per-chat panels when switching conversations
+   */
+  useEffect(() => {
+    setMessageMenuId(null)
+    setInfoMessageId(null)
+    setShowAttachMenu(false)
+    setPendingAttachment(null)
+    setShowInteractiveComposer(false)
+    setShowTemplatePicker(false)
+    setReplyingTo(null)
+    setEditingMessage(null)
+    setServiceWindow(null)
+    setShowContactInfo(false)
+    setShowSearch(false)
+  }, [liveConversationId])
+
   /**
    * Close dropdown when clicking outside
    */
@@ -219,12 +475,71 @@ const formatMessageDate = (timestamp) => {
     return groups
   }
 
+  /**
+   * Append a message unless it is already in the list
+   * Our own sends arrive both from the API response and the socket
+   * When older messages are showing, reloads the latest page instead
+   * @param {Object} message - Message object
+   */
+  const addMessage = (message) => {
+    if (hasNewerRef.current) {
+      loadMessages()
+      return
+    }
+
+    setMessages(prev => 
+      prev.some(existing => existing.messageId === message.messageId)
+        ? prev
+        : [...prev, message]
+    )
+  }
+
+  /**
+   * Replace a message in the list with its updated version
+   * @param {Object} message - Updated message object
+   */
+  const updateMessage = (message) => {
+    setMessages(prev => prev.map(existing => 
+      existing.messageId === message.messageId ? { ...existing, ...message } : existing
+    ))
+  }
+
+  /**
+   * Swap in a new copy of a message
+   * Edits and deletions drop fields (e.g. the attachment), so no merging
+   * @param {Object} message - Updated message object
+   */
+  const replaceMessage = (message) => {
+    setMessages(prev => prev.map(existing => 
+      existing.messageId === message.messageId ? message : existing
+    ))
+  }
+
+  /**
+   * Whether we can still edit one of our messages
+   * The backend sends the deadline (editableUntil, null if never)
+   * @param {Object} message - Message object
+   */
+  const canEditMessage = (message) => {
+    return Boolean(message.editableUntil) && Date.now() < message.editableUntil
+  }
+
+  /**
+   * Whether we can still delete one of our messages for everyone
+   * The backend sends the deadline (deletableUntil, null if never)
+   * @param {Object} message - Message object
+   */
+  const canDeleteMessage = (message) => {
+    return Boolean(message.deletableUntil) && Date.now() < message.deletableUntil
+  }
+
   // API FUNCTIONS
 
   /**
    * Load messages from the backend API
+   * @param {string} aroundId - Open at this message instead of the latest (optional)
    */
-  const loadMessages = async () => {
+  const loadMessages = async (aroundId) => {
     try {
       setLoading(true)
       setError(null)
@@ -232,11 +547,26 @@ const formatMessageDate = (timestamp) => {
       console.log(`Loading messages for ${conversation.contactName}...`)
       
       const identifier = getConversationId()
-      const response = await getMessages(identifier)
+      let response = await getMessages(identifier, { around: aroundId, limit: PAGE_SIZE })
+
+      // The message may have gone - open at the latest instead
+      if (!response.success && aroundId) {
+        response = await getMessages(identifier, { limit: PAGE_SIZE })
+        aroundId = null
+      }
       
       if (response.success) {
+        pendingJumpRef.current = aroundId || null
         setMessages(response.messages || [])
+        setServiceWindow(response.serviceWindow)
+        setHasMore(response.hasMore)
+        setNextCursor(response.nextCursor)
+        setHasNewer(response.hasNewer)
+        setNewerCursor(response.newerCursor)
+        hasNewerRef.current = response.hasNewer
         console.log(` Loaded ${response.messages?.length || 0} messages`)
+
+        markAsRead()
       } else {
         throw new Error(response.error || 'Failed to load messages')
       }
@@ -248,6 +578,124 @@ const formatMessageDate = (timestamp) => {
     }
   }
 
+  /**
+   * Restart the service window countdown from a new inbound message
+   * @param {number} timestamp - Time of the customer's message
+   */
+  const reopenServiceWindow = (timestamp) => {
+    setServiceWindow(prev => {
+      if (!prev || (prev.lastInboundAt && prev.lastInboundAt >= timestamp)) return prev
+
+      return {
+        ...prev,
+        isOpen: true,
+        lastInboundAt: timestamp,
+        expiresAt: timestamp + prev.durationMs
+      }
+    })
+  }
+
+  /**
+   * Note a send the backend refused because the service window is closed
+   * @param {Object} response - Failed API response
+   */
+  const handleSendRejected = (response) => {
+    if (response.code === ERROR_CODES.SERVICE_WINDOW_CLOSED) {
+      setServiceWindow(prev => ({ ...prev, enforced: true, isOpen: false, expiresAt: Math.min(prev?.expiresAt ?? 0, Date.now()) }))
+    }
+  }
+
+  /**
+   * Mark the conversation as read and clear its unread badge
+   */
+  const markAsRead = async () => {
+    const identifier = getConversationId()
+    const response = await markConversationRead(identifier)
+
+    if (response.success && onConversationUpdate) {
+      onConversationUpdate({
+        wa_id: conversation.wa_id,
+        phoneNumber: conversation.phoneNumber,
+        unreadCount: 0
+      })
+    }
+  }
+
+  /**
+   * Load the previous page of messages and prepend it
+   */
+  const loadOlderMessages = async () => {
+    if (!hasMore || !nextCursor || loadingOlder) return
+
+    try {
+      setLoadingOlder(true)
+
+      const identifier = getConversationId()
+      const response = await getMessages(identifier, { before: nextCursor, limit: PAGE_SIZE })
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to load older messages')
+      }
+
+      const container = chatContainerRef.current
+      if (container) {
+        scrollRestoreRef.current = {
+          scrollHeight: container.scrollHeight,
+          scrollTop: container.scrollTop
+        }
+      }
+
+      setMessages(prev => {
+        const known = new Set(prev.map(message => message.messageId))
+        const older = (response.messages || []).filter(message => !known.has(message.messageId))
+        return [...older, ...prev]
+      })
+      setHasMore(response.hasMore)
+      setNextCursor(response.nextCursor)
+
+      console.log(` Loaded ${response.messages?.length || 0} older messages`)
+    } catch (error) {
+      console.error(' Error loading older messages:', error)
+    } finally {
+      setLoadingOlder(false)
+    }
+  }
+
+  /**
+   * Load the next page of newer messages and append it
+   * (after opening the chat part-way through, e.g. at a search result)
+   */
+  const loadNewerMessages = async () => {
+    if (!hasNewer || !newerCursor || loadingNewer) return
+
+    try {
+      setLoadingNewer(true)
+
+      const identifier = getConversationId()
+      const response = await getMessages(identifier, { after: newerCursor, limit: PAGE_SIZE })
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to load newer messages')
+      }
+
+      appendingNewerRef.current = true
+      setMessages(prev => {
+        const known = new Set(prev.map(message => message.messageId))
+        const newer = (response.messages || []).filter(message => !known.has(message.messageId))
+        return [...prev, ...newer]
+      })
+      setHasNewer(response.hasNewer)
+      setNewerCursor(response.newerCursor)
+      hasNewerRef.current = response.hasNewer
+
+      console.log(` Loaded ${response.messages?.length || 0} newer messages`)
+    } catch (error) {
+      console.error(' Error loading newer messages:', error)
+    } finally {
+      setLoadingNewer(false)
+    }
+  }
+
   /**
    * Send a new message
    * @param {Event} e - Form submit event
@@ -258,6 +706,11 @@ const formatMessageDate = (timestamp) => {
     // Prevent sending empty or duplicate messages
     if (!newMessage.trim() || sending) return
 
+    if (editingMessage) {
+      handleSaveEdit()
+      return
+    }
+
     const messageText = newMessage.trim()
     setNewMessage('') // Clear input immediately for better UX
     setSending(true)
@@ -266,7 +719,9 @@ const formatMessageDate = (timestamp) => {
       console.log(` Sending message to ${conversation.contactName}: ${messageText}`)
       
       const identifier = getConversationId()
-      const response = await sendMessage(identifier, messageText, conversation.contactName)
+      const response = await sendMessage(identifier, messageText, conversation.contactName, {
+        replyTo: replyingTo?.messageId
+      })
       
       if (response.success) {
         const sentMessage = response.message
@@ -274,7 +729,8 @@ const formatMessageDate = (timestamp) => {
         // Validate message structure
         if (sentMessage && typeof sentMessage === 'object' && sentMessage.timestamp) {
           // Add message to local state
-          setMessages(prev => [...prev, sentMessage])
+          addMessage(sentMessage)
+          setReplyingTo(null)
           
           // Update conversation in parent component
           if (onConversationUpdate) {
@@ -291,6 +747,7 @@ const formatMessageDate = (timestamp) => {
           throw new Error('Invalid message format received from server')
         }
       } else {
+        handleSendRejected(response)
         throw new Error(response.error || 'Failed to send message')
       }
     } catch (error) {
@@ -303,6 +760,379 @@ const formatMessageDate = (timestamp) => {
     }
   }
 
+  /**
+   * Open the file picker for an attachment menu entry
+   * @param {Object} option - Entry from ATTACH_OPTIONS
+   */
+  const handleAttachOptionSelect = (option) => {
+    setShowAttachMenu(false)
+
+    if (option.key === 'interactive') {
+      setShowInteractiveComposer(true)
+      return
+    }
+
+    if (option.key === 'template') {
+      setShowTemplatePicker(true)
+      return
+    }
+
+    if (fileInputRef.current) {
+      fileInputRef.current.accept = option.accept
+      fileInputRef.current.dataset.attachKind = option.key
+      fileInputRef.current.click()
+    }
+  }
+
+  /**
+   * Show the preview screen for a picked file
+   * @param {Event} e - File input change event
+   */
+  const handleFileSelected = (e) => {
+    const file = e.target.files?.[0]
+    const kind = e.target.dataset.attachKind
+    // Reset so picking the same file again still fires a change
+    e.target.value = ''
+
+    if (!file) return
+
+    const type = kind === 'media'
+      ? (file.type.startsWith('video/') ? 'video' : 'image')
+      : kind
+
+    setPendingAttachment({ file, type })
+  }
+
+  /**
+   * Upload the pending attachment and send it as a media message
+   * @param {string} caption - Optional caption
+   */
+  const handleSendAttachment = async (caption) => {
+    if (!pendingAttachment || sending) return
+
+    const { file, type } = pendingAttachment
+    setSending(true)
+
+    try {
+      const upload = await uploadMedia(file, type)
+      if (!upload.success) {
+        throw new Error(upload.error || 'Failed to upload file')
+      }
+
+      const identifier = getConversationId()
+      const response = await sendMediaMessage(
+        identifier,
+        { type, mediaId: upload.media.id, caption, replyTo: replyingTo?.messageId },
+        conversation.contactName
+      )
+
+      if (!response.success) {
+        handleSendRejected(response)
+        throw new Error(response.error || 'Failed to send file')
+      }
+
+      addMessage(response.message)
+      setPendingAttachment(null)
+      setReplyingTo(null)
+
+      if (onConversationUpdate) {
+        onConversationUpdate({
+          wa_id: conversation.wa_id,
+          phoneNumber: conversation.phoneNumber,
+          lastMessage: caption.trim() || MEDIA_PREVIEW_LABELS[type],
+          lastMessageTime: response.message.timestamp
+        })
+      }
+    } catch (error) {
+      console.error(' Error sending attachment:', error)
+      alert(`Failed to send file: ${error.message}`)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  /**
+   * Send a button/list message built in the interactive composer
+   * @param {Object} interactive - Cloud API interactive payload
+   */
+  const handleSendInteractive = async (interactive) => {
+    if (sending) return
+
+    setSending(true)
+
+    try {
+      const identifier = getConversationId()
+      const response = await sendInteractiveMessage(identifier, interactive, conversation.contactName, {
+        replyTo: replyingTo?.messageId
+      })
+
+      if (!response.success) {
+        handleSendRejected(response)
+        throw new Error(response.error || 'Failed to send message')
+      }
+
+      addMessage(response.message)
+      setShowInteractiveComposer(false)
+      setReplyingTo(null)
+
+      if (onConversationUpdate) {
+        onConversationUpdate({
+          wa_id: conversation.wa_id,
+          phoneNumber: conversation.phoneNumber,
+          lastMessage: response.message.text,
+          lastMessageTime: response.message.timestamp
+        })
+      }
+    } catch (error) {
+      console.error(' Error sending interactive message:', error)
+      alert(`Failed to send message: ${error.message}`)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  /**
+   * Send a template picked in the template picker
+   * @param {Object} template - { name, language, headerParams, bodyParams }
+   */
+  const handleSendTemplate = async (template) => {
+    if (sending) return
+
+    setSending(true)
+
+    try {
+      const identifier = getConversationId()
+      const response = await sendTemplateMessage(identifier, template, conversation.contactName, {
+        replyTo: replyingTo?.messageId
+      })
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to send template')
+      }
+
+      addMessage(response.message)
+      setShowTemplatePicker(false)
+      setReplyingTo(null)
+
+      if (onConversationUpdate) {
+        onConversationUpdate({
+          wa_id: conversation.wa_id,
+          phoneNumber: conversation.phoneNumber,
+          lastMessage: response.message.text,
+          lastMessageTime: response.message.timestamp
+        })
+      }
+    } catch (error) {
+      console.error(' Error sending template:', error)
+      alert(`Failed to send template: ${error.message}`)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  /**
+   * React to a message (empty emoji removes our reaction)
+   * @param {string} messageId - Message ID
+   * @param {string} emoji - Emoji to react with
+   */
+  const handleReact = async (messageId, emoji) => {
+    const response = await reactToMessage(messageId, emoji)
+
+    if (response.success) {
+      updateMessage(response.message)
+    } else {
+      alert(`Failed to react: ${response.error}`)
+    }
+  }
+
+  /**
+   * Start replying to a message (quoted above the composer)
+   * @param {Object} message - Message to reply to
+   */
+  const startReply = (message) => {
+    setMessageMenuId(null)
+    cancelEdit()
+    setReplyingTo(message)
+    inputRef.current?.focus()
+  }
+
+  /**
+   * Start editing one of our messages in the composer
+   * @param {Object} message - Message to edit
+   */
+  const startEdit = (message) => {
+    setMessageMenuId(null)
+    setReplyingTo(null)
+    setEditingMessage(message)
+    setNewMessage(message.text || '')
+    inputRef.current?.focus()
+  }
+
+  /**
+   * Leave edit mode and clear the composer
+   */
+  const cancelEdit = () => {
+    if (!editingMessage) return
+
+    setEditingMessage(null)
+    setNewMessage('')
+  }
+
+  /**
+   * Save the composer text as the edited message
+   */
+  const handleSaveEdit = async () => {
+    const text = newMessage.trim()
+    if (!editingMessage || !text || sending) return
+
+    setSending(true)
+
+    try {
+      const response = await editMessage(editingMessage.messageId, text)
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to edit message')
+      }
+
+      replaceMessage(response.message)
+      setEditingMessage(null)
+      setNewMessage('')
+    } catch (error) {
+      console.error(' Error editing message:', error)
+      alert(`Failed to edit message: ${error.message}`)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  /**
+   * Delete one of our messages for everyone (after confirming)
+   * @param {Object} message - Message to delete
+   */
+  const handleDeleteMessage = async (message) => {
+    setMessageMenuId(null)
+    if (!window.confirm('Delete this message for everyone?')) return
+
+    const response = await deleteMessage(message.messageId)
+
+    if (response.success) {
+      replaceMessage(response.message)
+      if (editingMessage?.messageId === message.messageId) cancelEdit()
+    } else {
+      alert(`Failed to delete message: ${response.error}`)
+    }
+  }
+
+  /**
+   * Scroll a loaded message into view and flash it
+   * @param {string} messageId - Message ID
+   * @returns {boolean} Whether the message is on screen
+   */
+  const highlightMessage = (messageId) => {
+    const element = document.getElementById(`message-${messageId}`)
+    if (!element) return false
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    setHighlightedMessageId(messageId)
+    setTimeout(() => {
+      setHighlightedMessageId(prev => (prev === messageId ? null : prev))
+    }, HIGHLIGHT_DURATION)
+
+    return true
+  }
+
+  /**
+   * Jump to a message (a quoted original or a search result)
+   * If it isn't loaded, replaces the list with the page around it
+   * @param {string} messageId - Message ID
+   */
+  const jumpToMessage = async (messageId) => {
+    if (highlightMessage(messageId) || loadingOlder) return
+
+    setLoadingOlder(true)
+
+    try {
+      const identifier = getConversationId()
+      const response = await getMessages(identifier, { around: messageId, limit: PAGE_SIZE })
+
+      if (!response.success) {
+        alert('The original message is no longer available')
+        return
+      }
+
+      pendingJumpRef.current = messageId
+      setMessages(response.messages || [])
+      setHasMore(response.hasMore)
+      setNextCursor(response.nextCursor)
+      setHasNewer(response.hasNewer)
+      setNewerCursor(response.newerCursor)
+      hasNewerRef.current = response.hasNewer
+    } catch (error) {
+      console.error(' Error jumping to message:', error)
+    } finally {
+      setLoadingOlder(false)
+    }
+  }
+
+  /**
+   * Scroll to a message picked in the search panel
+   * On narrow screens the panel covers the chat, so it closes
+   * @param {Object} result - Search result
+   */
+  const handleSearchResultSelect = (result) => {
+    if (isMobile) setShowSearch(false)
+    jumpToMessage(result.messageId)
+  }
+
+  /**
+   * Go to the latest messages (reloads them when an older stretch is showing)
+   */
+  const handleJumpToLatest = () => {
+    if (hasNewer) {
+      loadMessages()
+    } else {
+      scrollToBottom()
+    }
+  }
+
+  /**
+   * Swipe right on a bubble to reply (touch devices)
+   * @param {TouchEvent} e - Touch event
+   * @param {Object} message - Message under the finger
+   */
+  const handleSwipeStart = (e, message) => {
+    const touch = e.touches[0]
+    swipeStartRef.current = { message, x: touch.clientX, y: touch.clientY }
+  }
+
+  const handleSwipeMove = (e) => {
+    const start = swipeStartRef.current
+    if (!start) return
+
+    const touch = e.touches[0]
+    const deltaX = touch.clientX - start.x
+    const deltaY = touch.clientY - start.y
+
+    // Vertical movement is scrolling, not a swipe
+    if (Math.abs(deltaY) > Math.abs(deltaX)) {
+      swipeStartRef.current = null
+      setSwipe(null)
+      return
+    }
+
+    setSwipe({ messageId: start.message.messageId, offset: Math.min(Math.max(deltaX, 0), SWIPE_MAX_OFFSET) })
+  }
+
+  const handleSwipeEnd = () => {
+    const start = swipeStartRef.current
+    if (start && swipe?.messageId === start.message.messageId && swipe.offset >= SWIPE_REPLY_THRESHOLD) {
+      startReply(start.message)
+    }
+
+    swipeStartRef.current = null
+    setSwipe(null)
+  }
+
   /**
    * Handle closing the chat (navigate back)
    */
@@ -313,6 +1143,40 @@ const formatMessageDate = (timestamp) => {
     }
   }
 
+  /**
+   * Load older messages when the user scrolls up near the top,
+   * and newer ones when scrolling down near the bottom
+   * @param {Event} e - Scroll event
+   */
+  const handleMessagesScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget
+    const scrollingUp = scrollTop < lastScrollTopRef.current
+    lastScrollTopRef.current = scrollTop
+
+    if (scrollingUp && scrollTop < LOAD_OLDER_THRESHOLD) {
+      loadOlderMessages()
+    } else if (!scrollingUp && scrollHeight - scrollTop - clientHeight < LOAD_NEWER_THRESHOLD) {
+      loadNewerMessages()
+    }
+  }
+
+  /**
+   * Toggle the actions menu for a message bubble
+   * @param {string} messageId - Message ID
+   */
+  const toggleMessageMenu = (messageId) => {
+    setMessageMenuId(prev => (prev === messageId ? null : messageId))
+  }
+
+  /**
+   * Open the "Message info" panel for a message
+   * @param {string} messageId - Message ID
+   */
+  const handleShowMessageInfo = (messageId) => {
+    setMessageMenuId(null)
+    setInfoMessageId(messageId)
+  }
+
   /**
    * Handle textarea auto-resize
    * @param {Event} e - Input event
@@ -353,7 +1217,7 @@ const formatMessageDate = (timestamp) => {
           <div className="text-red-500 text-xl mb-4">⚠️ Error</div>
           <div className="text-gray-600 mb-4">{error}</div>
           <button 
-            onClick={loadMessages}
+            onClick={() => loadMessages()}
             className="bg-green-500 text-white px-6 py-2 rounded-lg hover:bg-green-600 transition-colors"
           >
             Try Again
@@ -367,29 +1231,43 @@ const formatMessageDate = (timestamp) => {
   // MAIN RENDER
 
   const messageGroups = groupMessagesByDate(messages)
+  // Outside the service window only templates can be sent
+  const windowClosed = Boolean(serviceWindow?.enforced && !(serviceWindow.expiresAt > now))
+  const attachOptions = windowClosed ? ATTACH_OPTIONS.filter(option => option.key === 'template') : ATTACH_OPTIONS
+  // Looked up on every render so live status updates show in the open panel
+  const infoMessage = infoMessageId 
+    ? messages.find(message => message.messageId === infoMessageId)
+    : null
 
   return (
-    <div className="h-full flex flex-col bg-gray-50">
+    <div className="h-full flex flex-col bg-gray-50 relative">
       {/* CHAT HEADER */}
   
       <div className="bg-white border-b border-gray-200 px-6 py-4">
         <div className="flex items-center justify-between">
           {/* Left side - Back button and contact info */}
-          <div className="flex items-center space-x-4">
+          <button
+            type="button"
+            onClick={() => setShowContactInfo(true)}
+            className="flex items-center space-x-4 min-w-0 text-left cursor-pointer"
+          >
           
 
             {/* Contact avatar */}
-            <div className="w-9 h-9 bg-soft-white border border-gray-300 rounded-full flex items-center justify-center">
+            <div className="w-9 h-9 bg-soft-white border border-gray-300 rounded-full flex items-center justify-center flex-shrink-0">
               <User className="w-5 h-5 text-gray-500" fill="currentColor" />
             </div>
 
-            {/* Contact name */}
-            <div>
-              <h2 className="text-gray-900 text-base font-medium">
+            {/* Contact name (agent's display name, else WhatsApp profile name) */}
+            <div className="min-w-0">
+              <h2 className="text-gray-900 text-base font-medium truncate">
                 {conversation.contactName || 'Unknown Contact'}
               </h2>
+              {conversation.displayName && conversation.profileName && conversation.profileName !== conversation.displayName && (
+                <p className="text-xs text-gray-500 truncate">~{conversation.profileName}</p>
+              )}
             </div>
-          </div>
+          </button>
 
           {/* Right side - Action buttons */}
           <div className="flex items-center space-x-2">
@@ -399,7 +1277,10 @@ const formatMessageDate = (timestamp) => {
             </button>
             
             {/* Search button */}
-            <button className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-full transition-colors cursor-pointer">
+            <button
+              onClick={() => setShowSearch(true)}
+              className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-full transition-colors cursor-pointer"
+            >
               <Search className="w-5 h-5 " />
             </button>
             
@@ -440,12 +1321,20 @@ const formatMessageDate = (timestamp) => {
         {/* Messages container */}
         <div
           ref={chatContainerRef}
+          onScroll={handleMessagesScroll}
           className="flex-1 overflow-y-auto overflow-x-hidden px-6 py-4 space-y-4 scroll-smooth"
           style={{
             maxHeight: 'calc(100vh - 150px)',
             overflowAnchor: 'none'
           }}
         >
+          {/* Older messages loading indicator */}
+          {loadingOlder && (
+            <div className="flex justify-center py-2">
+              <LoadingSpinner type="circular" size="small" text="" />
+            </div>
+          )}
+
           {messageGroups.length === 0 ? (
             // Empty state
             <div className="flex items-center justify-center h-full">
@@ -476,25 +1365,145 @@ const formatMessageDate = (timestamp) => {
                     return (
                       <div
                         key={messageKey}
-                        className={`flex ${message.isOutgoing ? 'justify-end' : 'justify-start'} mb-1`}
+                        id={message.messageId ? `message-${message.messageId}` : undefined}
+                        className={`relative flex ${message.isOutgoing ? 'justify-end' : 'justify-start'} ${message.reactions?.length ? 'mb-5' : 'mb-1'}`}
+                        onTouchStart={message.messageId && !message.deletedAt ? (e) => handleSwipeStart(e, message) : undefined}
+                        onTouchMove={handleSwipeMove}
+                        onTouchEnd={handleSwipeEnd}
+                        style={swipe?.messageId === message.messageId ? { transform: `translateX(${swipe.offset}px)` } : undefined}
                       >
+                        {/* Reply hint while swiping */}
+                        {swipe?.messageId === message.messageId && (
+                          <div
+                            className="absolute top-1/2 -translate-y-1/2 -left-8 p-1 bg-white/80 rounded-full text-gray-500"
+                            style={{ opacity: swipe.offset / SWIPE_REPLY_THRESHOLD }}
+                          >
+                            <Reply className="w-4 h-4" />
+                          </div>
+                        )}
+
                         {/* Message bubble */}
                         <div
                           className={`
-                            relative max-w-xs lg:max-w-md px-3 py-1 rounded-lg break-words
+                            group relative max-w-xs lg:max-w-md px-3 py-1 rounded-lg break-words
                             ${message.isOutgoing 
                               ? 'bg-mint-cream text-black' 
                               : 'bg-white text-gray-800'
                             }
+                            ${highlightedMessageId === message.messageId ? 'ring-2 ring-forest-green/60' : ''}
                           `}
                           style={{ wordWrap: 'break-word', overflowWrap: 'break-word' }}
                         >
+                          {/* Quick reactions */}
+                          {message.messageId && !message.deletedAt && (
+                            <ReactionPicker
+                              currentEmoji={message.reactions?.find(reaction => reaction.from === BUSINESS_REACTOR)?.emoji}
+                              isOutgoing={message.isOutgoing}
+                              onReact={(emoji) => handleReact(message.messageId, emoji)}
+                            />
+                          )}
+
+                          {/* Message actions menu */}
+                          {message.messageId && !message.deletedAt && (
+                            <div
+                              className="absolute top-0 right-0 z-10"
+                              ref={messageMenuId === message.messageId ? messageMenuRef : null}
+                            >
+                              <button
+                                onClick={() => toggleMessageMenu(message.messageId)}
+                                className={`
+                                  p-0.5 rounded-full text-gray-500 bg-inherit cursor-pointer transition-opacity
+                                  ${messageMenuId === message.messageId ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'}
+                                `}
+                              >
+                                <ChevronDown className="w-4 h-4" />
+                              </button>
+
+                              {messageMenuId === message.messageId && (
+                                <div className="absolute right-0 top-full mt-1 w-44 bg-white border border-gray-200 rounded-lg shadow-lg px-2 py-2">
+                                  <button
+                                    onClick={() => startReply(message)}
+                                    className="w-full flex items-center px-2 py-2 text-sm text-gray-700 hover:bg-soft-white transition-colors cursor-pointer text-left rounded-lg"
+                                  >
+                                    <Reply className="w-4 h-4 mr-3" />
+                                    Reply
+                                  </button>
+                                  {canEditMessage(message) && (
+                                    <button
+                                      onClick={() => startEdit(message)}
+                                      className="w-full flex items-center px-2 py-2 text-sm text-gray-700 hover:bg-soft-white transition-colors cursor-pointer text-left rounded-lg"
+                                    >
+                                      <Pencil className="w-4 h-4 mr-3" />
+                                      Edit
+                                    </button>
+                                  )}
+                                  {canDeleteMessage(message) && (
+                                    <button
+                                      onClick={() => handleDeleteMessage(message)}
+                                      className="w-full flex items-center px-2 py-2 text-sm text-gray-700 hover:bg-soft-white transition-colors cursor-pointer text-left rounded-lg"
+                                    >
+                                      <Trash2 className="w-4 h-4 mr-3" />
+                                      Delete
+                                    </button>
+                                  )}
+                                  {message.isOutgoing && (
+                                    <button
+                                      onClick={() => handleShowMessageInfo(message.messageId)}
+                                      className="w-full flex items-center px-2 py-2 text-sm text-gray-700 hover:bg-soft-white transition-colors cursor-pointer text-left rounded-lg"
+                                    >
+                                      <Info className="w-4 h-4 mr-3" />
+                                      Message info
+                                    </button>
+                                  )}
+                                </div>
+                              )}
+                            </div>
+                          )}
+
+                          {/* Quoted message (click to jump to the original) */}
+                          {message.context && !message.deletedAt && (
+                            <QuotedMessage
+                              quoted={message.context.quoted}
+                              onClick={() => jumpToMessage(message.context.messageId)}
+                              className="mt-1 mb-1"
+                            />
+                          )}
+
+                          {/* Attachment (image, video, audio, document) */}
+                          {message.media && (
+                            <MessageMedia type={message.messageType} media={message.media} />
+                          )}
+
+                          {/* Shared location or contact cards */}
+                          {message.location && (
+                            <LocationCard location={message.location} />
+                          )}
+                          {message.contacts && (
+                            <ContactCard contacts={message.contacts} onStartChat={onStartChat} />
+                          )}
+
+                          {/* Interactive or template header */}
+                          {(message.interactive?.header || message.template?.header) && (
+                            <p className="text-sm font-semibold">{message.interactive?.header || message.template.header}</p>
+                          )}
+
                           {/* Message text and time in same line */}
                           <div className="flex items-end justify-between">
                             <div className="text-sm whitespace-pre-wrap leading-5 pr-2">
-                              {message.text || 'No content'}
+                              {message.deletedAt ? (
+                                // Deleted for everyone - only a placeholder is left
+                                <span className="flex items-center italic text-gray-500">
+                                  <Ban className="w-4 h-4 mr-1 flex-shrink-0" />
+                                  {message.isOutgoing ? 'You deleted this message' : 'This message was deleted'}
+                                </span>
+                              ) : message.location || message.contacts
+                                ? ''
+                                : message.text || (message.media ? '' : 'No content')}
                             </div>
                             <div className="flex items-center space-x-1 flex-shrink-0">
+                              {message.editedAt && !message.deletedAt && (
+                                <span className="text-xxs leading-none text-gray-500 italic">Edited</span>
+                              )}
                               <span className="text-xxs leading-none text-gray-600">
                                 {formatMessageTime(message.timestamp)}
                               </span>
@@ -505,6 +1514,19 @@ const formatMessageDate = (timestamp) => {
                               )}
                             </div>
                           </div>
+
+                          {/* Interactive footer, buttons/list, or reply label */}
+                          {message.interactive && (
+                            <MessageInteractive interactive={message.interactive} />
+                          )}
+
+                          {/* Template footer and buttons */}
+                          {message.template && (
+                            <MessageTemplate template={message.template} />
+                          )}
+
+                          {/* Reaction badges */}
+                          <MessageReactions reactions={message.reactions} isOutgoing={message.isOutgoing} />
                         </div>
                       </div>
                     )
@@ -514,17 +1536,100 @@ const formatMessageDate = (timestamp) => {
             ))
           )}
           
+          {/* Newer messages loading indicator */}
+          {loadingNewer && (
+            <div className="flex justify-center py-2">
+              <LoadingSpinner type="circular" size="small" text="" />
+            </div>
+          )}
+
           {/* Scroll anchor */}
           <div ref={messagesEndRef} style={{ height: '1px' }} />
         </div>
+
+        {/* Back to the latest messages (shown while an older stretch is open) */}
+        {hasNewer && (
+          <div className="relative">
+            <button
+              onClick={handleJumpToLatest}
+              className="absolute right-6 bottom-2 p-2 bg-white text-gray-600 hover:text-gray-800 rounded-full shadow-md cursor-pointer"
+            >
+              <ChevronDown className="w-5 h-5" />
+            </button>
+          </div>
+        )}
+        {/* SERVICE WINDOW */}
+        <ServiceWindowBanner
+          serviceWindow={serviceWindow}
+          now={now}
+          onSendTemplate={() => setShowTemplatePicker(true)}
+        />
+
         {/* MESSAGE INPUT AREA */}
 
         <div className="px-4 py-3 flex-shrink-0">
+          {/* Message being edited */}
+          {editingMessage && (
+            <div className="flex items-center bg-white rounded-lg px-2 py-2 mb-2 shadow-sm">
+              <Pencil className="w-4 h-4 mx-2 text-forest-green flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <p className="text-xs font-medium text-forest-green">Edit message</p>
+                <p className="text-xs text-gray-600 truncate">{editingMessage.text}</p>
+              </div>
+              <button
+                onClick={cancelEdit}
+                className="ml-2 p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-full transition-colors cursor-pointer"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+
+          {/* Message being replied to */}
+          {replyingTo && (
+            <div className="flex items-center bg-white rounded-lg px-2 py-2 mb-2 shadow-sm">
+              <QuotedMessage quoted={replyingTo} className="flex-1 min-w-0" />
+              <button
+                onClick={() => setReplyingTo(null)}
+                className="ml-2 p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-full transition-colors cursor-pointer"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+
           <div className="flex items-end space-x-3 bg-white rounded-full px-2 py-1 shadow-sm max-w-full">
             {/* Attachment buttons */}
-            <button className="pb-3 text-gray-600 hover:bg-gray-100 rounded-full p-2 transition-colors flex-shrink-0 cursor-pointer">
-              <Plus className="w-5 h-5" />
-            </button>
+            <div className="relative flex-shrink-0" ref={attachMenuRef}>
+              <button
+                onClick={() => setShowAttachMenu(!showAttachMenu)}
+                className={`pb-3 text-gray-600 hover:bg-gray-100 rounded-full p-2 transition-colors flex-shrink-0 cursor-pointer ${showAttachMenu ? 'bg-gray-100' : ''}`}
+              >
+                <Plus className="w-5 h-5" />
+              </button>
+
+              {showAttachMenu && (
+                <div className="absolute left-0 bottom-full mb-2 w-52 bg-white border border-gray-200 rounded-lg shadow-lg px-2 py-2 z-50">
+                  {attachOptions.map((option) => (
+                    <button
+                      key={option.key}
+                      onClick={() => handleAttachOptionSelect(option)}
+                      className="w-full flex items-center px-2 py-2 text-sm text-gray-700 hover:bg-soft-white transition-colors cursor-pointer text-left rounded-lg"
+                    >
+                      <option.icon className="w-4 h-4 mr-3" />
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <input
+                ref={fileInputRef}
+                type="file"
+                className="hidden"
+                onChange={handleFileSelected}
+              />
+            </div>
             <button className="pb-3 text-gray-600 hover:bg-gray-100 rounded-full p-2 transition-colors flex-shrink-0 cursor-pointer">
               <Sticker className="w-5 h-5" />
             </button>
@@ -533,11 +1638,12 @@ const formatMessageDate = (timestamp) => {
             <div className="flex-1 flex items-end min-w-0">
               <div className="flex-1 relative">
                 <textarea
+                  ref={inputRef}
                   value={newMessage}
                   onChange={(e) => setNewMessage(e.target.value)}
-                  placeholder="Type a message"
+                  placeholder={windowClosed ? 'Service window closed - send a template' : 'Type a message'}
                   rows="1"
-                  disabled={sending}
+                  disabled={sending || (windowClosed && !editingMessage)}
                   className="w-full px-2 py-2 bg-transparent border-0 rounded-lg resize-none focus:outline-none text-sm leading-5 disabled:opacity-50 max-h-20 overflow-y-auto"
                   onKeyPress={handleKeyPress}
                   onInput={handleTextareaInput}
@@ -568,6 +1674,71 @@ const formatMessageDate = (timestamp) => {
           </div>
         </div>
       </div>
+
+      {/* ATTACHMENT PREVIEW */}
+      {pendingAttachment && (
+        <AttachmentPreview
+          file={pendingAttachment.file}
+          type={pendingAttachment.type}
+          sending={sending}
+          onSend={handleSendAttachment}
+          onCancel={() => setPendingAttachment(null)}
+        />
+      )}
+
+      {/* INTERACTIVE COMPOSER */}
+      {showInteractiveComposer && (
+        <InteractiveComposer
+          sending={sending}
+          onSend={handleSendInteractive}
+          onCancel={() => setShowInteractiveComposer(false)}
+        />
+      )}
+
+      {/* TEMPLATE PICKER */}
+      {showTemplatePicker && (
+        <TemplatePicker
+          sending={sending}
+          onSend={handleSendTemplate}
+          onCancel={() => setShowTemplatePicker(false)}
+        />
+      )}
+
+      {/* CONTACT INFO PANEL */}
+      {showContactInfo && (
+        <div className="absolute inset-y-0 right-0 w-full sm:w-96 z-40 shadow-lg border-l border-gray-200">
+          <ContactInfoPanel
+            conversation={conversation}
+            onClose={() => setShowContactInfo(false)}
+            onSaved={(contact) => onConversationUpdate?.({
+              ...conversation,
+              contactName: contact.name,
+              displayName: contact.displayName
+            })}
+          />
+        </div>
+      )}
+
+      {/* MESSAGE SEARCH PANEL */}
+      {showSearch && (
+        <div className="absolute inset-y-0 right-0 w-full sm:w-96 z-40 shadow-lg border-l border-gray-200">
+          <MessageSearchPanel
+            conversation={conversation}
+            onClose={() => setShowSearch(false)}
+            onSelect={handleSearchResultSelect}
+          />
+        </div>
+      )}
+
+      {/* MESSAGE INFO PANEL */}
+      {infoMessage && (
+        <div className="absolute inset-y-0 right-0 w-full sm:w-96 z-40 shadow-lg border-l border-gray-200">
+          <MessageInfoPanel
+            message={infoMessage}
+            onClose={() => setInfoMessageId(null)}
+          />
+        </div>
+      )}
     </div>
   )
 }
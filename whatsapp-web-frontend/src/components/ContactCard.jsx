@@ -0,0 +1,63 @@
+/**
+ * ContactCard Component
+ * Contact cards shared in a contacts message, each with a "Message" action
+ * that opens a chat with the contact's number.
+ */
+
+import React from 'react'
+import { User, MessageSquare } from 'lucide-react'
+
+const ContactCard = ({ contacts, onStartChat }) => {
+  if (!contacts?.length) return null
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * WhatsApp ID to chat with - the one WhatsApp gave us, else the digits of the number
+   * @param {Object} phone - Phone entry from the card
+   */
+  const getChatId = (phone) => phone?.waId || phone?.phone?.replace(/\D/g, '') || null
+
+
+  // RENDER
+
+  return (
+    <div className="w-64 max-w-full my-1 space-y-1">
+      {contacts.map((contact, index) => {
+        const phone = contact.phones?.[0]
+        const chatId = getChatId(phone)
+
+        return (
+          <div key={index} className="bg-white/60 rounded-md overflow-hidden">
+            <div className="flex items-center px-2 py-2">
+              <div className="w-10 h-10 bg-gray-300 rounded-full flex items-center justify-center flex-shrink-0">
+                <User className="w-6 h-6 text-white" />
+              </div>
+              <div className="ml-3 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{contact.name || phone?.phone || 'Contact'}</p>
+                {phone?.phone && <p className="text-xs text-gray-500 truncate">{phone.phone}</p>}
+                {contact.emails?.[0]?.email && (
+                  <p className="text-xs text-gray-500 truncate">{contact.emails[0].email}</p>
+                )}
+              </div>
+            </div>
+
+            {chatId && onStartChat && (
+              <button
+                type="button"
+                onClick={() => onStartChat({ waId: chatId, name: contact.name })}
+                className="w-full flex items-center justify-center space-x-2 py-2 border-t border-black/10 text-sm text-sky-600 hover:bg-black/5 cursor-pointer"
+              >
+                <MessageSquare className="w-4 h-4" />
+                <span>Message</span>
+              </button>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default ContactCard
@@ -0,0 +1,189 @@
+/**
+ * ContactInfoPanel Component
+ * WhatsApp-style "Contact info" drawer: the customer's number, their
+ * WhatsApp profile name (and earlier ones), plus an agent-set display
+ * name and notes.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { X, User, History } from 'lucide-react'
+import { format } from 'date-fns'
+import { getContact, updateContact } from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+
+// Same limits as the backend
+const DISPLAY_NAME_LENGTH = 100
+const NOTES_LENGTH = 2000
+
+const ContactInfoPanel = ({ conversation, onClose, onSaved }) => {
+
+  // STATE MANAGEMENT
+  const [contact, setContact] = useState(null)
+  const [displayName, setDisplayName] = useState('')
+  const [notes, setNotes] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+
+  // EFFECTS
+
+  /**
+   * Load the saved contact when the panel opens (or the chat changes)
+   */
+  useEffect(() => {
+    const loadContact = async () => {
+      setLoading(true)
+      setError(null)
+
+      const response = await getContact(conversation.wa_id)
+
+      if (response.success) {
+        setContact(response.contact)
+        setDisplayName(response.contact?.displayName || '')
+        setNotes(response.contact?.notes || '')
+      } else {
+        setError(response.error || 'Failed to load contact')
+      }
+      setLoading(false)
+    }
+
+    loadContact()
+  }, [conversation.wa_id])
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Format when a profile name was first seen (e.g. "06/08/2025, 12:00")
+   * @param {number} timestamp - Milliseconds
+   */
+  const formatSeenAt = (timestamp) => {
+    const date = new Date(timestamp)
+    return isNaN(date.getTime()) ? '' : format(date, 'dd/MM/yyyy, HH:mm')
+  }
+
+  /**
+   * Save the display name and notes
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (saving) return
+
+    setSaving(true)
+    setError(null)
+
+    const response = await updateContact(conversation.wa_id, { displayName, notes })
+
+    if (response.success) {
+      setContact(response.contact)
+      onSaved?.(response.contact)
+    } else {
+      setError(response.error || 'Failed to save contact')
+    }
+    setSaving(false)
+  }
+
+  const isDirty = (contact?.displayName || '') !== displayName.trim() || (contact?.notes || '') !== notes
+  const profileName = contact?.profileName || conversation.profileName
+  // Newest first; the current name is shown above
+  const earlierNames = [...(contact?.profileNameHistory || [])].reverse().slice(1)
+
+
+  // RENDER
+
+  return (
+    <div className="h-full flex flex-col bg-soft-white">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4 flex items-center space-x-4">
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-full transition-colors cursor-pointer"
+        >
+          <X className="w-5 h-5" />
+        </button>
+        <h2 className="text-gray-900 text-base font-medium">Contact info</h2>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {/* Avatar, name and number */}
+        <div className="bg-white px-6 py-6 flex flex-col items-center">
+          <div className="w-20 h-20 bg-soft-white border border-gray-300 rounded-full flex items-center justify-center">
+            <User className="w-10 h-10 text-gray-500" fill="currentColor" />
+          </div>
+          <p className="mt-3 text-lg text-gray-900">{conversation.contactName || 'Unknown Contact'}</p>
+          <p className="text-sm text-gray-500">+{conversation.phoneNumber || conversation.wa_id}</p>
+          {profileName && (
+            <p className="text-xs text-gray-500 mt-1">~{profileName}</p>
+          )}
+        </div>
+
+        {loading ? (
+          <div className="py-10"><LoadingSpinner type="circular" size="small" text="Loading contact..." /></div>
+        ) : (
+          <>
+            {/* Agent-editable details */}
+            <form onSubmit={handleSubmit} className="mt-2 bg-white px-6 py-4 space-y-3">
+              <label className="block">
+                <span className="text-xs text-forest-green">Display name</span>
+                <input
+                  type="text"
+                  value={displayName}
+                  onChange={(e) => setDisplayName(e.target.value)}
+                  maxLength={DISPLAY_NAME_LENGTH}
+                  placeholder={profileName || 'Name shown in your chats'}
+                  className="w-full mt-1 px-3 py-2 bg-soft-white rounded-lg text-sm focus:outline-none"
+                />
+              </label>
+
+              <label className="block">
+                <span className="text-xs text-forest-green">Notes</span>
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  maxLength={NOTES_LENGTH}
+                  rows={4}
+                  placeholder="Only visible to your team"
+                  className="w-full mt-1 px-3 py-2 bg-soft-white rounded-lg text-sm resize-none focus:outline-none"
+                />
+              </label>
+
+              {error && <p className="text-xs text-red-500">{error}</p>}
+
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={saving || !isDirty}
+                  className="px-4 py-2 bg-green-500 hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white text-sm rounded-full transition-colors cursor-pointer"
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </form>
+
+            {/* Earlier WhatsApp profile names */}
+            {earlierNames.length > 0 && (
+              <div className="mt-2 bg-white px-6 py-4">
+                <h3 className="flex items-center text-xs font-medium text-gray-500 uppercase mb-2">
+                  <History className="w-3.5 h-3.5 mr-1" />
+                  Previous profile names
+                </h3>
+                <ul className="space-y-1">
+                  {earlierNames.map((entry, index) => (
+                    <li key={`${entry.name}-${entry.seenAt}-${index}`} className="flex justify-between text-xs text-gray-600">
+                      <span className="truncate">{entry.name}</span>
+                      <span className="ml-3 flex-shrink-0">{formatSeenAt(entry.seenAt)}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ContactInfoPanel
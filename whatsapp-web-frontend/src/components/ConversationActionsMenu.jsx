@@ -0,0 +1,141 @@
+/**
+ * ConversationActionsMenu Component
+ * Hover chevron on a sidebar chat that opens its menu: archive, mute,
+ * pin and favourite (saved on the server for everyone).
+ */
+
+import React, { useState, useEffect, useRef } from 'react'
+import { ChevronDown, Archive, ArchiveRestore, BellOff, Bell, Pin, PinOff, Star, StarOff } from 'lucide-react'
+
+// Mute lengths offered (null duration = until unmuted)
+const MUTE_OPTIONS = [
+  { label: '8 hours', duration: 8 * 60 * 60 * 1000 },
+  { label: '1 week', duration: 7 * 24 * 60 * 60 * 1000 },
+  { label: 'Always', duration: null }
+]
+
+const ConversationActionsMenu = ({ conversation, isMuted, onAction }) => {
+
+  // STATE MANAGEMENT
+  const [open, setOpen] = useState(false)
+  const [showMuteOptions, setShowMuteOptions] = useState(false)
+
+  // Reference to the menu for click outside detection
+  const menuRef = useRef(null)
+
+
+  // EFFECTS
+
+  /**
+   * Close the menu when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false)
+        setShowMuteOptions(false)
+      }
+    }
+
+    if (open) {
+      document.addEventListener('mousedown', handleClickOutside)
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [open])
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Apply a state change and close the menu
+   * @param {Object} changes - { favourite?, pinned?, archived?, mutedUntil? }
+   */
+  const handleAction = (changes) => {
+    setOpen(false)
+    setShowMuteOptions(false)
+    onAction(changes)
+  }
+
+  /**
+   * Mute for one of MUTE_OPTIONS
+   * @param {number|null} duration - Milliseconds, null for always
+   */
+  const handleMute = (duration) => {
+    handleAction({ mutedUntil: duration ? Date.now() + duration : 'always' })
+  }
+
+  const itemClass = 'w-full flex items-center px-2 py-2 text-sm text-gray-700 hover:bg-soft-white transition-colors cursor-pointer text-left rounded-lg'
+
+
+  // RENDER
+
+  return (
+    // Clicks here shouldn't open the chat underneath
+    <div className="relative" ref={menuRef} onClick={(e) => e.stopPropagation()}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`p-0.5 text-gray-500 hover:text-gray-700 rounded-full cursor-pointer transition-opacity ${open ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'}`}
+      >
+        <ChevronDown className="w-4 h-4" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-1 w-56 bg-white border border-gray-200 rounded-lg shadow-lg px-2 py-2 z-50">
+          <button onClick={() => handleAction({ archived: !conversation.archived })} className={itemClass}>
+            {conversation.archived
+              ? <><ArchiveRestore className="w-4 h-4 mr-3" />Unarchive chat</>
+              : <><Archive className="w-4 h-4 mr-3" />Archive chat</>}
+          </button>
+
+          {isMuted ? (
+            <button onClick={() => handleAction({ mutedUntil: null })} className={itemClass}>
+              <Bell className="w-4 h-4 mr-3" />
+              Unmute notifications
+            </button>
+          ) : (
+            <>
+              <button onClick={() => setShowMuteOptions(!showMuteOptions)} className={itemClass}>
+                <BellOff className="w-4 h-4 mr-3" />
+                Mute notifications
+              </button>
+              {showMuteOptions && (
+                <div className="pl-9">
+                  {MUTE_OPTIONS.map((option) => (
+                    <button
+                      key={option.label}
+                      onClick={() => handleMute(option.duration)}
+                      className="w-full px-2 py-1.5 text-sm text-gray-600 hover:bg-soft-white transition-colors cursor-pointer text-left rounded-lg"
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+
+          {/* Archived chats can't be pinned */}
+          {!conversation.archived && (
+            <button onClick={() => handleAction({ pinned: !conversation.pinned })} className={itemClass}>
+              {conversation.pinned
+                ? <><PinOff className="w-4 h-4 mr-3" />Unpin chat</>
+                : <><Pin className="w-4 h-4 mr-3" />Pin chat</>}
+            </button>
+          )}
+
+          <button onClick={() => handleAction({ favourite: !conversation.favourite })} className={itemClass}>
+            {conversation.favourite
+              ? <><StarOff className="w-4 h-4 mr-3" />Remove from favourites</>
+              : <><Star className="w-4 h-4 mr-3" />Add to favourites</>}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ConversationActionsMenu
@@ -0,0 +1,314 @@
+/**
+ * InteractiveComposer Component
+ * Full-panel editor for interactive messages: up to 3 reply buttons,
+ * or a list menu with up to 10 rows. Shows a live bubble preview.
+ */
+
+import React, { useState } from 'react'
+import { X, Plus, Trash2, SendHorizontal } from 'lucide-react'
+import MessageInteractive from './MessageInteractive'
+
+// Cloud API limits (the backend enforces the same ones)
+const MAX_BUTTONS = 3
+const MAX_ROWS = 10
+const BUTTON_TITLE_LENGTH = 20
+const ROW_TITLE_LENGTH = 24
+const ROW_DESCRIPTION_LENGTH = 72
+
+const InteractiveComposer = ({ sending, onSend, onCancel }) => {
+
+  // STATE MANAGEMENT
+  const [kind, setKind] = useState('button')
+  const [header, setHeader] = useState('')
+  const [body, setBody] = useState('')
+  const [footer, setFooter] = useState('')
+  const [buttons, setButtons] = useState(['', ''])
+  const [listButton, setListButton] = useState('Options')
+  const [sectionTitle, setSectionTitle] = useState('')
+  const [rows, setRows] = useState([{ title: '', description: '' }])
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Build a reply id from an option title (what comes back in the reply webhook)
+   * @param {string} title - Option title
+   * @param {number} index - Position, keeps ids unique
+   */
+  const toOptionId = (title, index) => {
+    const slug = title.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')
+    return `${index + 1}_${slug || 'option'}`
+  }
+
+  /**
+   * Build the Cloud API interactive payload from the form
+   */
+  const buildInteractive = () => {
+    const interactive = {
+      type: kind,
+      body: { text: body.trim() }
+    }
+    if (header.trim()) interactive.header = { type: 'text', text: header.trim() }
+    if (footer.trim()) interactive.footer = { text: footer.trim() }
+
+    if (kind === 'button') {
+      interactive.action = {
+        buttons: buttons
+          .filter(title => title.trim())
+          .map((title, index) => ({ type: 'reply', reply: { id: toOptionId(title, index), title: title.trim() } }))
+      }
+    } else {
+      interactive.action = {
+        button: listButton.trim(),
+        sections: [{
+          title: sectionTitle.trim() || undefined,
+          rows: rows
+            .filter(row => row.title.trim())
+            .map((row, index) => ({
+              id: toOptionId(row.title, index),
+              title: row.title.trim(),
+              description: row.description.trim() || undefined
+            }))
+        }]
+      }
+    }
+
+    return interactive
+  }
+
+  /**
+   * Preview in the stored message shape (what MessageInteractive renders)
+   */
+  const buildPreview = () => {
+    const interactive = buildInteractive()
+
+    return {
+      type: kind,
+      footer: interactive.footer?.text,
+      buttons: interactive.action.buttons?.map(button => button.reply),
+      listButton: interactive.action.button,
+      sections: interactive.action.sections
+    }
+  }
+
+  const filledButtons = buttons.filter(title => title.trim()).length
+  const filledRows = rows.filter(row => row.title.trim()).length
+  const canSend = body.trim() && (kind === 'button' ? filledButtons > 0 : filledRows > 0 && listButton.trim())
+
+  /**
+   * Update one row of the list
+   * @param {number} index - Row position
+   * @param {Object} changes - Fields to change
+   */
+  const updateRow = (index, changes) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+  }
+
+  /**
+   * Send the interactive message
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (sending || !canSend) return
+
+    onSend(buildInteractive())
+  }
+
+
+  // RENDER
+
+  const inputClass = 'w-full px-3 py-2 bg-white rounded-lg text-sm focus:outline-none'
+
+  return (
+    <div className="absolute inset-0 z-30 bg-soft-white flex flex-col">
+      {/* Header */}
+      <div className="px-6 py-4 flex items-center space-x-4">
+        <button
+          onClick={onCancel}
+          disabled={sending}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded-full transition-colors cursor-pointer"
+        >
+          <X className="w-5 h-5" />
+        </button>
+        <span className="text-sm text-gray-700">Interactive message</span>
+
+        <div className="ml-auto flex bg-gray-200 rounded-full p-0.5 text-sm">
+          {['button', 'list'].map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setKind(option)}
+              className={`px-3 py-1 rounded-full cursor-pointer ${kind === option ? 'bg-white text-forest-green shadow-sm' : 'text-gray-600'}`}
+            >
+              {option === 'button' ? 'Buttons' : 'List'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex-1 flex flex-col min-h-0">
+        <div className="flex-1 overflow-y-auto px-6 pb-4 grid gap-6 md:grid-cols-2">
+          {/* Editor */}
+          <div className="space-y-3">
+            <input
+              type="text"
+              value={header}
+              onChange={(e) => setHeader(e.target.value)}
+              maxLength={60}
+              placeholder="Header (optional)"
+              className={inputClass}
+            />
+            <textarea
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              maxLength={1024}
+              rows={3}
+              placeholder="Message body"
+              className={`${inputClass} resize-none`}
+              autoFocus
+            />
+            <input
+              type="text"
+              value={footer}
+              onChange={(e) => setFooter(e.target.value)}
+              maxLength={60}
+              placeholder="Footer (optional)"
+              className={inputClass}
+            />
+
+            {kind === 'button' ? (
+              <div className="space-y-2">
+                <p className="text-xs text-gray-500">Reply buttons</p>
+                {buttons.map((title, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <input
+                      type="text"
+                      value={title}
+                      onChange={(e) => setButtons(prev => prev.map((b, i) => (i === index ? e.target.value : b)))}
+                      maxLength={BUTTON_TITLE_LENGTH}
+                      placeholder={`Button ${index + 1}`}
+                      className={inputClass}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setButtons(prev => prev.filter((_, i) => i !== index))}
+                      disabled={buttons.length === 1}
+                      className="p-2 text-gray-400 hover:text-red-500 disabled:opacity-30 cursor-pointer"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                {buttons.length < MAX_BUTTONS && (
+                  <button
+                    type="button"
+                    onClick={() => setButtons(prev => [...prev, ''])}
+                    className="flex items-center space-x-1 text-sm text-forest-green cursor-pointer"
+                  >
+                    <Plus className="w-4 h-4" />
+                    <span>Add button</span>
+                  </button>
+                )}
+              </div>
+            ) : (
+              <div className="space-y-2">
+                <div className="flex space-x-2">
+                  <input
+                    type="text"
+                    value={listButton}
+                    onChange={(e) => setListButton(e.target.value)}
+                    maxLength={20}
+                    placeholder="Menu button label"
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    value={sectionTitle}
+                    onChange={(e) => setSectionTitle(e.target.value)}
+                    maxLength={24}
+                    placeholder="Section title (optional)"
+                    className={inputClass}
+                  />
+                </div>
+                <p className="text-xs text-gray-500">Rows</p>
+                {rows.map((row, index) => (
+                  <div key={index} className="flex items-start space-x-2">
+                    <div className="flex-1 space-y-1">
+                      <input
+                        type="text"
+                        value={row.title}
+                        onChange={(e) => updateRow(index, { title: e.target.value })}
+                        maxLength={ROW_TITLE_LENGTH}
+                        placeholder={`Row ${index + 1} title`}
+                        className={inputClass}
+                      />
+                      <input
+                        type="text"
+                        value={row.description}
+                        onChange={(e) => updateRow(index, { description: e.target.value })}
+                        maxLength={ROW_DESCRIPTION_LENGTH}
+                        placeholder="Description (optional)"
+                        className={`${inputClass} text-xs`}
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+                      disabled={rows.length === 1}
+                      className="p-2 text-gray-400 hover:text-red-500 disabled:opacity-30 cursor-pointer"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                {rows.length < MAX_ROWS && (
+                  <button
+                    type="button"
+                    onClick={() => setRows(prev => [...prev, { title: '', description: '' }])}
+                    className="flex items-center space-x-1 text-sm text-forest-green cursor-pointer"
+                  >
+                    <Plus className="w-4 h-4" />
+                    <span>Add row</span>
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* Preview */}
+          <div className="flex justify-end items-start">
+            <div className="max-w-xs w-full bg-mint-cream rounded-lg px-2 py-1 shadow-sm">
+              {header.trim() && (
+                <p className="text-sm font-semibold text-gray-900">{header}</p>
+              )}
+              <p className="text-sm text-gray-900 whitespace-pre-wrap break-words">
+                {body || <span className="text-gray-400">Message body</span>}
+              </p>
+              <MessageInteractive interactive={buildPreview()} />
+            </div>
+          </div>
+        </div>
+
+        {/* Send */}
+        <div className="px-6 py-4 flex justify-end">
+          <button
+            type="submit"
+            disabled={sending || !canSend}
+            className="p-3 bg-green-500 hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white rounded-full transition-colors flex-shrink-0 cursor-pointer"
+          >
+            {sending ? (
+              <div className="w-5 h-5 flex items-center justify-center">
+                <div className="w-3 h-3 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+              </div>
+            ) : (
+              <SendHorizontal className="w-5 h-5" />
+            )}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default InteractiveComposer
@@ -0,0 +1,85 @@
+/**
+ * LocationCard Component
+ * Static map card for location messages: the OpenStreetMap tile around the
+ * pin with a marker on top, plus the place name and address.
+ * Clicking opens the full map in a new tab.
+ */
+
+import React from 'react'
+import { MapPin } from 'lucide-react'
+
+// Zoom level of the map tile (street level)
+const TILE_ZOOM = 15
+const TILE_SIZE = 256
+
+const LocationCard = ({ location }) => {
+  if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+    return null
+  }
+
+  const { latitude, longitude, name, address } = location
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Web Mercator tile containing the pin, and the pin's position inside it
+   * @returns {Object} { x, y, left, top } - Tile indices and pixel offsets
+   */
+  const getTilePosition = () => {
+    const scale = 2 ** TILE_ZOOM
+    const latRad = latitude * Math.PI / 180
+    const tileX = (longitude + 180) / 360 * scale
+    const tileY = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale
+
+    return {
+      x: Math.floor(tileX),
+      y: Math.floor(tileY),
+      left: (tileX % 1) * TILE_SIZE,
+      top: (tileY % 1) * TILE_SIZE
+    }
+  }
+
+  const tile = getTilePosition()
+  const tileUrl = `https://tile.openstreetmap.org/${TILE_ZOOM}/${tile.x}/${tile.y}.png`
+  const mapUrl = location.url ||
+    `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=17/${latitude}/${longitude}`
+
+
+  // RENDER
+
+  return (
+    <a
+      href={mapUrl}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="block w-64 max-w-full my-1 rounded-md overflow-hidden bg-white/60 hover:opacity-90 transition-opacity"
+    >
+      {/* Map tile, shifted so the pin sits in the middle of the card */}
+      <div className="relative w-full h-36 overflow-hidden bg-gray-200">
+        <img
+          src={tileUrl}
+          alt="Map"
+          loading="lazy"
+          className="absolute max-w-none"
+          style={{
+            width: TILE_SIZE,
+            height: TILE_SIZE,
+            left: `calc(50% - ${tile.left}px)`,
+            top: `calc(50% - ${tile.top}px)`
+          }}
+        />
+        <MapPin className="absolute left-1/2 top-1/2 w-7 h-7 -translate-x-1/2 -translate-y-full text-red-500 fill-red-500/30" />
+      </div>
+
+      {(name || address) && (
+        <div className="px-2 py-1.5">
+          {name && <p className="text-sm text-gray-900 truncate">{name}</p>}
+          {address && <p className="text-xs text-gray-500 truncate">{address}</p>}
+        </div>
+      )}
+    </a>
+  )
+}
+
+export default LocationCard
@@ -0,0 +1,132 @@
+/**
+ * MessageInfoPanel Component
+ * WhatsApp-style "Message info" drawer showing when an outgoing message
+ * was sent, delivered and read.
+ */
+
+import React from 'react'
+import { X, Check, CheckCheck, AlertCircle } from 'lucide-react'
+import { format } from 'date-fns'
+
+const MessageInfoPanel = ({ message, onClose }) => {
+
+  // CONSTANTS
+
+  // Rows shown in the panel, most significant first (as in WhatsApp)
+  const STATUS_ROWS = [
+    { status: 'read', label: 'Read', icon: <CheckCheck className="w-4 h-4 text-blue-500" /> },
+    { status: 'delivered', label: 'Delivered', icon: <CheckCheck className="w-4 h-4 text-gray-500" /> },
+    { status: 'sent', label: 'Sent', icon: <Check className="w-4 h-4 text-gray-500" /> }
+  ]
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Format a status timestamp (e.g. "06/08/2025, 12:00")
+   * @param {number} timestamp - Milliseconds
+   * @returns {string} Formatted date and time, or empty string if invalid
+   */
+  const formatStatusTime = (timestamp) => {
+    try {
+      if (!timestamp) return ''
+
+      const date = new Date(timestamp)
+      if (isNaN(date.getTime())) return ''
+
+      return format(date, 'dd/MM/yyyy, HH:mm')
+    } catch (error) {
+      console.error('Error formatting status time:', error)
+      return ''
+    }
+  }
+
+  /**
+   * Find the earliest time a status was reached
+   * @param {string} status - Status name
+   * @returns {Object|undefined} History entry
+   */
+  const getFirstEntry = (status) => {
+    const entries = (message.statusHistory || []).filter(entry => entry.status === status)
+    return entries.sort((a, b) => a.timestamp - b.timestamp)[0]
+  }
+
+  const failedEntry = getFirstEntry('failed')
+  const timeline = [...(message.statusHistory || [])].sort((a, b) => a.timestamp - b.timestamp)
+
+
+  // RENDER
+
+  return (
+    <div className="h-full flex flex-col bg-soft-white">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4 flex items-center space-x-4">
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-full transition-colors cursor-pointer"
+        >
+          <X className="w-5 h-5" />
+        </button>
+        <h2 className="text-gray-900 text-base font-medium">Message info</h2>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        {/* Message preview */}
+        <div className="px-6 py-6 flex justify-end">
+          <div className="max-w-xs px-3 py-1 rounded-lg bg-mint-cream text-black text-sm whitespace-pre-wrap break-words">
+            {message.text || (message.media ? `[${message.messageType}]` : 'No content')}
+          </div>
+        </div>
+
+        {/* Status rows */}
+        <div className="bg-white">
+          {failedEntry && (
+            <div className="px-6 py-4 border-b border-gray-100">
+              <div className="flex items-center space-x-2 text-red-600">
+                <AlertCircle className="w-4 h-4" />
+                <span className="text-sm font-medium">Failed</span>
+              </div>
+              <p className="text-xs text-gray-500 mt-1 ml-6">
+                {formatStatusTime(failedEntry.timestamp)}
+                {failedEntry.error?.title && ` · ${failedEntry.error.title}`}
+              </p>
+            </div>
+          )}
+
+          {STATUS_ROWS.map(({ status, label, icon }) => {
+            const entry = getFirstEntry(status)
+
+            return (
+              <div key={status} className="px-6 py-4 border-b border-gray-100">
+                <div className="flex items-center space-x-2">
+                  {icon}
+                  <span className="text-sm text-gray-900">{label}</span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1 ml-6">
+                  {entry ? formatStatusTime(entry.timestamp) : '—'}
+                </p>
+              </div>
+            )
+          })}
+        </div>
+
+        {/* Full timeline, for settling "did they see it?" questions */}
+        {timeline.length > 0 && (
+          <div className="px-6 py-4">
+            <h3 className="text-xs font-medium text-gray-500 uppercase mb-2">Timeline</h3>
+            <ul className="space-y-1">
+              {timeline.map((entry, index) => (
+                <li key={`${entry.status}-${entry.timestamp}-${index}`} className="flex justify-between text-xs text-gray-600">
+                  <span className="capitalize">{entry.status}</span>
+                  <span>{formatStatusTime(entry.timestamp)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MessageInfoPanel
@@ -0,0 +1,124 @@
+/**
+ * MessageInteractive Component
+ * Renders the footer and actions of an interactive message inside a bubble:
+ * reply buttons or a list menu trigger (opens the list sheet, read-only),
+ * and a small "replied" label for customer button/list replies.
+ */
+
+import React, { useState } from 'react'
+import { List, Reply, X } from 'lucide-react'
+
+// Labels for the customer reply types
+const REPLY_LABELS = {
+  button_reply: 'Button reply',
+  list_reply: 'List reply',
+  quick_reply: 'Quick reply'
+}
+
+const MessageInteractive = ({ interactive }) => {
+
+  // STATE MANAGEMENT
+  const [showList, setShowList] = useState(false)
+
+  if (!interactive) return null
+
+
+  // RENDER
+
+  // Customer reply - the title is already the message text
+  if (REPLY_LABELS[interactive.type]) {
+    return (
+      <div className="mt-1 flex items-center space-x-1 text-xxs text-gray-500">
+        <Reply className="w-3 h-3" />
+        <span>{REPLY_LABELS[interactive.type]}</span>
+        {interactive.replyDescription && (
+          <span className="truncate">· {interactive.replyDescription}</span>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <>
+      {interactive.footer && (
+        <p className="text-xs text-gray-500 mt-1">{interactive.footer}</p>
+      )}
+
+      {/* Reply buttons */}
+      {interactive.type === 'button' && interactive.buttons?.length > 0 && (
+        <div className="mt-2 -mx-2 -mb-1 border-t border-black/10 divide-y divide-black/10">
+          {interactive.buttons.map((button) => (
+            <div
+              key={button.id}
+              className="flex items-center justify-center space-x-1 py-2 text-sm text-sky-600"
+            >
+              <Reply className="w-4 h-4" />
+              <span>{button.title}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* List menu trigger */}
+      {interactive.type === 'list' && (
+        <div className="mt-2 -mx-2 -mb-1 border-t border-black/10">
+          <button
+            type="button"
+            onClick={() => setShowList(true)}
+            className="w-full flex items-center justify-center space-x-2 py-2 text-sm text-sky-600 hover:bg-black/5 rounded-b-lg cursor-pointer"
+          >
+            <List className="w-4 h-4" />
+            <span>{interactive.listButton}</span>
+          </button>
+        </div>
+      )}
+
+      {/* List sheet */}
+      {showList && (
+        <div
+          className="fixed inset-0 z-40 bg-black/40 flex items-end sm:items-center justify-center"
+          onClick={() => setShowList(false)}
+        >
+          <div
+            className="bg-white w-full sm:w-96 max-h-[70vh] rounded-t-xl sm:rounded-xl shadow-lg flex flex-col"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="px-4 py-3 flex items-center border-b border-gray-100">
+              <button
+                type="button"
+                onClick={() => setShowList(false)}
+                className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-full cursor-pointer"
+              >
+                <X className="w-5 h-5" />
+              </button>
+              <span className="flex-1 text-center font-medium text-gray-800">{interactive.listButton}</span>
+            </div>
+
+            <div className="overflow-y-auto py-2">
+              {interactive.sections?.map((section, index) => (
+                <div key={section.title || index}>
+                  {section.title && (
+                    <p className="px-4 pt-3 pb-1 text-xs font-medium text-forest-green uppercase">{section.title}</p>
+                  )}
+                  {section.rows.map((row) => (
+                    <div key={row.id} className="px-4 py-2 flex items-center justify-between">
+                      <div className="min-w-0">
+                        <p className="text-sm text-gray-800">{row.title}</p>
+                        {row.description && (
+                          <p className="text-xs text-gray-500 truncate">{row.description}</p>
+                        )}
+                      </div>
+                      <span className="ml-3 w-4 h-4 rounded-full border-2 border-gray-300 flex-shrink-0"></span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default MessageInteractive
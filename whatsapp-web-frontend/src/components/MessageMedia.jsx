@@ -0,0 +1,110 @@
+/**
+ * MessageMedia Component
+ * Renders the attachment part of image, video, audio and document messages.
+ * Media we only know by WhatsApp media ID (no URL yet) shows a placeholder.
+ */
+
+import React from 'react'
+import { Image, Video, Headphones, Mic, FileText, Download } from 'lucide-react'
+import { getMediaUrl } from '../services/api'
+
+const MessageMedia = ({ type, media }) => {
+  if (!media) return null
+
+  const url = getMediaUrl(media.url)
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Short file type label for document chips (e.g. "PDF")
+   * @returns {string} Extension or mime subtype in upper case
+   */
+  const getFileTypeLabel = () => {
+    const extension = media.filename?.split('.').pop()
+    if (extension && extension !== media.filename) return extension.toUpperCase()
+
+    return media.mimeType?.split('/').pop()?.toUpperCase() || 'FILE'
+  }
+
+  /**
+   * Placeholder shown when the file itself isn't available
+   * @param {JSX.Element} icon - Icon to show
+   * @param {string} label - Text under the icon
+   */
+  const renderPlaceholder = (icon, label) => (
+    <div className="w-64 h-40 max-w-full bg-gray-100 rounded-md flex flex-col items-center justify-center text-gray-500 my-1">
+      {icon}
+      <span className="text-xs mt-2">{label}</span>
+    </div>
+  )
+
+
+  // RENDER BY TYPE
+
+  switch (type) {
+    case 'image':
+      return url ? (
+        <a href={url} target="_blank" rel="noopener noreferrer" className="block my-1">
+          <img
+            src={url}
+            alt={media.caption || 'Photo'}
+            className="rounded-md max-h-72 max-w-full object-cover"
+            loading="lazy"
+          />
+        </a>
+      ) : (
+        renderPlaceholder(<Image className="w-8 h-8" />, 'Photo')
+      )
+
+    case 'video':
+      return url ? (
+        <video src={url} controls preload="metadata" className="rounded-md max-h-72 max-w-full my-1" />
+      ) : (
+        renderPlaceholder(<Video className="w-8 h-8" />, 'Video')
+      )
+
+    case 'audio':
+      return (
+        <div className="flex items-center space-x-2 my-1 min-w-[220px]">
+          <div className="w-9 h-9 rounded-full bg-gray-200 flex items-center justify-center text-gray-600 flex-shrink-0">
+            {media.voice ? <Mic className="w-4 h-4" /> : <Headphones className="w-4 h-4" />}
+          </div>
+          {url ? (
+            <audio src={url} controls preload="metadata" className="h-9 max-w-full" />
+          ) : (
+            <span className="text-sm text-gray-500">
+              {media.voice ? 'Voice message' : 'Audio'}
+            </span>
+          )}
+        </div>
+      )
+
+    case 'document':
+      return (
+        <div className="flex items-center space-x-3 bg-black/5 rounded-md px-3 py-2 my-1 min-w-[220px]">
+          <FileText className="w-8 h-8 text-red-500 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <p className="text-sm truncate">{media.filename || 'Document'}</p>
+            <p className="text-xxs text-gray-500">{getFileTypeLabel()}</p>
+          </div>
+          {url && (
+            <a
+              href={url}
+              download={media.filename}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="p-1.5 rounded-full border border-gray-300 text-gray-500 hover:bg-gray-100 flex-shrink-0"
+            >
+              <Download className="w-4 h-4" />
+            </a>
+          )}
+        </div>
+      )
+
+    default:
+      return null
+  }
+}
+
+export default MessageMedia
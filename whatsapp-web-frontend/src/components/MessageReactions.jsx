@@ -0,0 +1,54 @@
+/**
+ * MessageReactions Component
+ * Emoji badges that hang off the bottom of a message bubble,
+ * one per distinct emoji with a count when more than one person used it.
+ */
+
+import React from 'react'
+import { BUSINESS_REACTOR } from '../services/api'
+
+const MessageReactions = ({ reactions, isOutgoing }) => {
+  if (!reactions?.length) return null
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Group reactions by emoji, keeping first-reacted order
+   * @returns {Array} [{ emoji, count, mine }]
+   */
+  const groupReactions = () => {
+    const groups = new Map()
+
+    ;[...reactions]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(({ emoji, from }) => {
+        const group = groups.get(emoji) || { emoji, count: 0, mine: false }
+        group.count += 1
+        group.mine = group.mine || from === BUSINESS_REACTOR
+        groups.set(emoji, group)
+      })
+
+    return [...groups.values()]
+  }
+
+
+  // RENDER
+
+  return (
+    <div className={`absolute -bottom-4 ${isOutgoing ? 'right-2' : 'left-2'} flex space-x-1`}>
+      {groupReactions().map(({ emoji, count, mine }) => (
+        <span
+          key={emoji}
+          title={mine ? 'You reacted' : 'Customer reacted'}
+          className={`flex items-center px-1.5 h-6 rounded-full text-sm shadow-sm border ${mine ? 'bg-mint-cream border-green-200' : 'bg-white border-gray-100'}`}
+        >
+          {emoji}
+          {count > 1 && <span className="ml-1 text-xxs text-gray-600">{count}</span>}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+export default MessageReactions
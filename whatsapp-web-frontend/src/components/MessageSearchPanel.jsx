@@ -0,0 +1,178 @@
+/**
+ * MessageSearchPanel Component
+ * WhatsApp-style "Search messages" drawer for the open chat. Lists
+ * matching messages newest first; picking one scrolls the chat to it.
+ */
+
+import React, { useState, useEffect, useRef } from 'react'
+import { X, Search } from 'lucide-react'
+import { format } from 'date-fns'
+import { searchMessages } from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+import SearchSnippet from './SearchSnippet'
+
+// Search starts at this many characters, after typing pauses (ms)
+const MIN_SEARCH_LENGTH = 2
+const SEARCH_DEBOUNCE = 300
+
+const MessageSearchPanel = ({ conversation, onClose, onSelect }) => {
+
+  // STATE MANAGEMENT
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [terms, setTerms] = useState([])
+  const [cursor, setCursor] = useState(null)
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Latest search, so a slow response can't overwrite a newer one
+  const requestRef = useRef(0)
+
+  const trimmedQuery = query.trim()
+
+
+  // EFFECTS
+
+  /**
+   * Search this chat once typing pauses
+   */
+  useEffect(() => {
+    const requestId = ++requestRef.current
+    setResults([])
+    setCursor(null)
+    setError(null)
+
+    if (trimmedQuery.length < MIN_SEARCH_LENGTH) {
+      setSearching(false)
+      return
+    }
+
+    setSearching(true)
+    const timer = setTimeout(async () => {
+      const response = await searchMessages(trimmedQuery, { waId: conversation.wa_id })
+      if (requestId !== requestRef.current) return
+
+      if (response.success) {
+        setResults(response.results)
+        setTerms(response.terms)
+        setCursor(response.hasMore ? response.nextCursor : null)
+      } else {
+        setError(response.error || 'Search failed')
+      }
+      setSearching(false)
+    }, SEARCH_DEBOUNCE)
+
+    return () => clearTimeout(timer)
+  }, [trimmedQuery, conversation.wa_id])
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Format a result's date (e.g. "06/08/2025")
+   * @param {number} timestamp - Milliseconds
+   */
+  const formatResultDate = (timestamp) => {
+    const date = new Date(timestamp)
+    return isNaN(date.getTime()) ? '' : format(date, 'dd/MM/yyyy')
+  }
+
+  /**
+   * Load the next page of results
+   */
+  const loadMoreResults = async () => {
+    if (!cursor || searching) return
+
+    const requestId = requestRef.current
+    setSearching(true)
+
+    const response = await searchMessages(trimmedQuery, { waId: conversation.wa_id, before: cursor })
+    if (requestId !== requestRef.current) return
+
+    if (response.success) {
+      setResults(prev => [...prev, ...response.results])
+      setCursor(response.hasMore ? response.nextCursor : null)
+    }
+    setSearching(false)
+  }
+
+
+  // RENDER
+
+  return (
+    <div className="h-full flex flex-col bg-soft-white">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 px-6 py-4 flex items-center space-x-4">
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-full transition-colors cursor-pointer"
+        >
+          <X className="w-5 h-5" />
+        </button>
+        <h2 className="text-gray-900 text-base font-medium">Search messages</h2>
+      </div>
+
+      {/* Search input */}
+      <div className="bg-white px-6 pb-4">
+        <div className="relative">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search..."
+            className="w-full pl-9 pr-3 py-2 bg-soft-white rounded-lg text-sm focus:outline-none"
+            autoFocus
+          />
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="flex-1 overflow-y-auto">
+        {trimmedQuery.length < MIN_SEARCH_LENGTH && (
+          <p className="text-sm text-gray-500 text-center px-6 py-10">
+            Search for messages with {conversation.contactName || 'this contact'}
+          </p>
+        )}
+
+        {!searching && error && (
+          <p className="text-sm text-red-500 text-center px-6 py-10">{error}</p>
+        )}
+
+        {!searching && !error && trimmedQuery.length >= MIN_SEARCH_LENGTH && results.length === 0 && (
+          <p className="text-sm text-gray-500 text-center px-6 py-10">No messages found</p>
+        )}
+
+        {results.map((result) => (
+          <button
+            key={result.messageId}
+            type="button"
+            onClick={() => onSelect(result)}
+            className="w-full text-left bg-white border-b border-gray-100 px-6 py-3 hover:bg-gray-50 cursor-pointer"
+          >
+            <p className="text-xs text-gray-500 mb-1">{formatResultDate(result.timestamp)}</p>
+            <SearchSnippet
+              text={`${result.isOutgoing ? 'You: ' : ''}${result.snippet}`}
+              terms={terms}
+              className="text-sm text-gray-700 line-clamp-2"
+            />
+          </button>
+        ))}
+
+        {searching ? (
+          <div className="py-6"><LoadingSpinner type="circular" size="small" text="" /></div>
+        ) : cursor && (
+          <button
+            type="button"
+            onClick={loadMoreResults}
+            className="w-full py-3 text-sm text-forest-green hover:underline cursor-pointer"
+          >
+            More results
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default MessageSearchPanel
@@ -0,0 +1,54 @@
+/**
+ * MessageTemplate Component
+ * Renders the footer and buttons of a template message inside a bubble.
+ * Quick replies, website links and call buttons each get their own row.
+ */
+
+import React from 'react'
+import { Reply, ExternalLink, Phone } from 'lucide-react'
+
+// Icon for each template button type
+const BUTTON_ICONS = {
+  QUICK_REPLY: Reply,
+  URL: ExternalLink,
+  PHONE_NUMBER: Phone
+}
+
+const MessageTemplate = ({ template }) => {
+  if (!template) return null
+
+
+  // RENDER
+
+  return (
+    <>
+      {template.footer && (
+        <p className="text-xs text-gray-500 mt-1">{template.footer}</p>
+      )}
+
+      {template.buttons?.length > 0 && (
+        <div className="mt-2 -mx-2 -mb-1 border-t border-black/10 divide-y divide-black/10">
+          {template.buttons.map((button, index) => {
+            const Icon = BUTTON_ICONS[button.type] || Reply
+            const href = button.type === 'URL' ? button.url : button.type === 'PHONE_NUMBER' ? `tel:${button.phoneNumber}` : null
+            const className = 'w-full flex items-center justify-center space-x-1 py-2 text-sm text-sky-600'
+
+            return href ? (
+              <a key={index} href={href} target="_blank" rel="noopener noreferrer" className={`${className} hover:bg-black/5`}>
+                <Icon className="w-4 h-4" />
+                <span>{button.text}</span>
+              </a>
+            ) : (
+              <div key={index} className={className}>
+                <Icon className="w-4 h-4" />
+                <span>{button.text}</span>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </>
+  )
+}
+
+export default MessageTemplate
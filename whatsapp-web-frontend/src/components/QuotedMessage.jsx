@@ -0,0 +1,58 @@
+/**
+ * QuotedMessage Component
+ * The quote block of a reply: coloured bar, sender and a one-line preview.
+ * Used above reply bubbles (click jumps to the original) and above the
+ * composer while replying.
+ */
+
+import React from 'react'
+
+// Preview labels for quoted messages without text
+const TYPE_LABELS = {
+  image: '📷 Photo',
+  video: '🎥 Video',
+  audio: '🎵 Audio',
+  document: '📄 Document',
+  location: '📍 Location',
+  contacts: '👤 Contact'
+}
+
+const QuotedMessage = ({ quoted, onClick, className = '' }) => {
+
+  // HELPER FUNCTIONS
+
+  /**
+   * One-line preview of the quoted message
+   */
+  const getPreview = () => {
+    if (!quoted) return 'Original message not available'
+    if (quoted.deleted) return '🚫 This message was deleted'
+    return quoted.text || TYPE_LABELS[quoted.messageType] || 'Message'
+  }
+
+  const sender = !quoted ? '' : quoted.isOutgoing ? 'You' : (quoted.contactName || 'Customer')
+
+
+  // RENDER
+
+  return (
+    <div
+      onClick={onClick}
+      className={`
+        flex rounded-md overflow-hidden bg-black/5 text-left
+        ${onClick ? 'cursor-pointer hover:bg-black/10' : ''}
+        ${className}
+      `}
+    >
+      <div className={`w-1 flex-shrink-0 ${quoted?.isOutgoing ? 'bg-forest-green' : 'bg-purple-500'}`}></div>
+      <div className="px-2 py-1 min-w-0">
+        {sender && (
+          <p className={`text-xs font-medium ${quoted.isOutgoing ? 'text-forest-green' : 'text-purple-600'}`}>{sender}</p>
+        )}
+        <p className="text-xs text-gray-600 truncate">{getPreview()}</p>
+      </div>
+    </div>
+  )
+}
+
+export default QuotedMessage
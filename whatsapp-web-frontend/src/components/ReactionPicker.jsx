@@ -0,0 +1,90 @@
+/**
+ * ReactionPicker Component
+ * Smiley button shown next to a bubble on hover; opens a row of quick
+ * reactions. Picking our current reaction again removes it.
+ */
+
+import React, { useState, useEffect, useRef } from 'react'
+import { Smile } from 'lucide-react'
+
+// Quick reactions, same set WhatsApp offers
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏']
+
+const ReactionPicker = ({ currentEmoji, isOutgoing, onReact }) => {
+
+  // STATE MANAGEMENT
+  const [open, setOpen] = useState(false)
+  const pickerRef = useRef(null)
+
+
+  // EFFECTS
+
+  /**
+   * Close the picker when clicking outside
+   */
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (pickerRef.current && !pickerRef.current.contains(event.target)) {
+        setOpen(false)
+      }
+    }
+
+    if (open) {
+      document.addEventListener('mousedown', handleClickOutside)
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [open])
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * React with an emoji, or remove the reaction if it's already ours
+   * @param {string} emoji - Picked emoji
+   */
+  const handlePick = (emoji) => {
+    setOpen(false)
+    onReact(emoji === currentEmoji ? '' : emoji)
+  }
+
+
+  // RENDER
+
+  return (
+    <div
+      ref={pickerRef}
+      className={`absolute top-1/2 -translate-y-1/2 ${isOutgoing ? '-left-9' : '-right-9'} z-10`}
+    >
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className={`
+          p-1 rounded-full bg-white/80 text-gray-500 hover:text-gray-700 shadow-sm cursor-pointer transition-opacity
+          ${open ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'}
+        `}
+      >
+        <Smile className="w-4 h-4" />
+      </button>
+
+      {open && (
+        <div className={`absolute bottom-full mb-2 ${isOutgoing ? 'right-0' : 'left-0'} flex items-center space-x-1 bg-white rounded-full shadow-lg border border-gray-100 px-2 py-1`}>
+          {QUICK_REACTIONS.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              onClick={() => handlePick(emoji)}
+              className={`w-8 h-8 flex items-center justify-center text-lg rounded-full hover:bg-gray-100 cursor-pointer ${emoji === currentEmoji ? 'bg-gray-200' : ''}`}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ReactionPicker
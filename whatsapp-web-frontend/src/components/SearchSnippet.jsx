@@ -0,0 +1,42 @@
+/**
+ * SearchSnippet Component
+ * Message text from a search result with the matched words highlighted.
+ */
+
+import React from 'react'
+
+/**
+ * Escape a search term for use inside a regular expression
+ * @param {string} term - Search term
+ */
+const escapeRegExp = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const SearchSnippet = ({ text, terms = [], className = '' }) => {
+
+  // HELPER FUNCTIONS
+
+  const words = terms.filter(Boolean).map(escapeRegExp)
+  // Longest first so a phrase wins over one of its words
+  words.sort((a, b) => b.length - a.length)
+  const pattern = words.length > 0 ? new RegExp(`(${words.join('|')})`, 'gi') : null
+
+
+  // RENDER
+
+  if (!text) return null
+
+  return (
+    <p className={className}>
+      {pattern
+        ? text.split(pattern).map((part, index) => (
+            // split() with a capture group puts the matches at odd indexes
+            index % 2 === 1
+              ? <mark key={index} className="bg-transparent text-forest-green font-semibold">{part}</mark>
+              : <React.Fragment key={index}>{part}</React.Fragment>
+          ))
+        : text}
+    </p>
+  )
+}
+
+export default SearchSnippet
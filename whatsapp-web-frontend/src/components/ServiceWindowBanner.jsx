@@ -0,0 +1,66 @@
+/**
+ * ServiceWindowBanner Component
+ * Shows how long is left in the 24-hour customer service window, or that
+ * it has closed and only a template can be sent.
+ */
+
+import React from 'react'
+import { Clock, LayoutTemplate } from 'lucide-react'
+
+// Below this much time left the countdown turns amber (ms)
+const WARNING_THRESHOLD = 60 * 60 * 1000
+
+const ServiceWindowBanner = ({ serviceWindow, now, onSendTemplate }) => {
+  if (!serviceWindow?.enforced) return null
+
+  const remaining = serviceWindow.expiresAt ? serviceWindow.expiresAt - now : 0
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Time left as "5h 12m" (or "12m" in the last hour)
+   * @param {number} ms - Milliseconds left
+   */
+  const formatRemaining = (ms) => {
+    const totalMinutes = Math.max(1, Math.ceil(ms / 60000))
+    const hours = Math.floor(totalMinutes / 60)
+    const minutes = totalMinutes % 60
+
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`
+  }
+
+
+  // RENDER
+
+  if (remaining <= 0) {
+    return (
+      <div className="mx-4 mb-2 px-3 py-2 bg-white rounded-lg shadow-sm flex items-center text-sm">
+        <Clock className="w-4 h-4 text-gray-500 mr-2 flex-shrink-0" />
+        <span className="flex-1 text-gray-700">
+          {serviceWindow.lastInboundAt
+            ? 'The 24-hour service window has closed. Only template messages can be sent.'
+            : "This customer hasn't messaged you yet. Only template messages can be sent."}
+        </span>
+        {onSendTemplate && (
+          <button
+            onClick={onSendTemplate}
+            className="ml-3 flex items-center space-x-1 px-3 py-1 bg-forest-green text-white rounded-full text-xs cursor-pointer hover:opacity-90 flex-shrink-0"
+          >
+            <LayoutTemplate className="w-3 h-3" />
+            <span>Send template</span>
+          </button>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className={`mx-4 mb-2 flex items-center justify-center text-xs ${remaining < WARNING_THRESHOLD ? 'text-amber-600' : 'text-gray-500'}`}>
+      <Clock className="w-3 h-3 mr-1" />
+      <span>Service window closes in {formatRemaining(remaining)}</span>
+    </div>
+  )
+}
+
+export default ServiceWindowBanner
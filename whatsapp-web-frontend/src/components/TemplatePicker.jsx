@@ -0,0 +1,225 @@
+/**
+ * TemplatePicker Component
+ * Full-panel picker for template messages: choose an approved template,
+ * fill in its {{1}}, {{2}}, ... placeholders and check the rendered
+ * preview before sending.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { X, Search, SendHorizontal } from 'lucide-react'
+import { getTemplates } from '../services/api'
+import LoadingSpinner from './LoadingSpinner'
+import MessageTemplate from './MessageTemplate'
+
+// Numbered placeholder, e.g. {{1}}
+const PLACEHOLDER_PATTERN = /\{\{\s*(\d+)\s*\}\}/g
+
+const TemplatePicker = ({ sending, onSend, onCancel }) => {
+
+  // STATE MANAGEMENT
+  const [templates, setTemplates] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [search, setSearch] = useState('')
+  const [selected, setSelected] = useState(null)
+  const [headerParams, setHeaderParams] = useState([])
+  const [bodyParams, setBodyParams] = useState([])
+
+
+  // EFFECTS
+
+  /**
+   * Load approved templates when the picker opens
+   */
+  useEffect(() => {
+    const loadTemplates = async () => {
+      const response = await getTemplates()
+
+      if (response.success) {
+        setTemplates(response.templates)
+      } else {
+        setError(response.error || 'Failed to load templates')
+      }
+      setLoading(false)
+    }
+
+    loadTemplates()
+  }, [])
+
+
+  // HELPER FUNCTIONS
+
+  /**
+   * Fill placeholders with the entered values; empty ones stay as {{n}}
+   * @param {string} text - Template text
+   * @param {Array} values - Values for {{1}}, {{2}}, ...
+   */
+  const fillPlaceholders = (text, values) => {
+    if (!text) return text
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, number) => values[Number(number) - 1]?.trim() || placeholder)
+  }
+
+  /**
+   * Select a template and reset the parameter fields to its placeholder count
+   * @param {Object} template - Template from the API
+   */
+  const handleSelect = (template) => {
+    setSelected(template)
+    setHeaderParams(Array(template.headerParams).fill(''))
+    setBodyParams(Array(template.bodyParams).fill(''))
+  }
+
+  /**
+   * Send the selected template with the entered values
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!selected || sending || !allFilled) return
+
+    onSend({
+      name: selected.name,
+      language: selected.language,
+      headerParams: headerParams.map(value => value.trim()),
+      bodyParams: bodyParams.map(value => value.trim())
+    })
+  }
+
+  const query = search.trim().toLowerCase()
+  const filteredTemplates = templates.filter(template =>
+    !query || template.name.includes(query) || template.body.toLowerCase().includes(query)
+  )
+  const allFilled = [...headerParams, ...bodyParams].every(value => value.trim())
+
+  /**
+   * Inputs for one part's placeholders
+   * @param {string} label - Part name shown in the placeholder text
+   * @param {Array} values - Current values
+   * @param {Function} setValues - State setter
+   */
+  const renderParamInputs = (label, values, setValues) => values.map((value, index) => (
+    <input
+      key={`${label}-${index}`}
+      type="text"
+      value={value}
+      onChange={(e) => setValues(prev => prev.map((v, i) => (i === index ? e.target.value : v)))}
+      placeholder={`${label} {{${index + 1}}}`}
+      className="w-full px-3 py-2 bg-white rounded-lg text-sm focus:outline-none"
+    />
+  ))
+
+
+  // RENDER
+
+  return (
+    <div className="absolute inset-0 z-30 bg-soft-white flex flex-col">
+      {/* Header */}
+      <div className="px-6 py-4 flex items-center space-x-4">
+        <button
+          onClick={selected ? () => setSelected(null) : onCancel}
+          disabled={sending}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded-full transition-colors cursor-pointer"
+        >
+          <X className="w-5 h-5" />
+        </button>
+        <span className="text-sm text-gray-700 truncate">
+          {selected ? `${selected.name} · ${selected.language}` : 'Send a template'}
+        </span>
+      </div>
+
+      {!selected ? (
+        // Template list
+        <div className="flex-1 flex flex-col min-h-0 px-6 pb-4">
+          <div className="relative mb-3">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search templates"
+              className="w-full pl-9 pr-3 py-2 bg-white rounded-lg text-sm focus:outline-none"
+              autoFocus
+            />
+          </div>
+
+          <div className="flex-1 overflow-y-auto space-y-2">
+            {loading && (
+              <div className="py-10"><LoadingSpinner type="circular" size="small" text="Loading templates..." /></div>
+            )}
+
+            {!loading && error && (
+              <p className="text-sm text-red-500 text-center py-10">{error}</p>
+            )}
+
+            {!loading && !error && filteredTemplates.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-10">
+                {templates.length === 0 ? 'No approved templates yet' : 'No templates match your search'}
+              </p>
+            )}
+
+            {filteredTemplates.map((template) => (
+              <button
+                key={template.id}
+                type="button"
+                onClick={() => handleSelect(template)}
+                className="w-full text-left bg-white rounded-lg px-4 py-3 hover:bg-gray-50 cursor-pointer"
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-800">{template.name}</span>
+                  <span className="text-xxs text-gray-500 uppercase">{template.category} · {template.language}</span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1 line-clamp-2">{template.body}</p>
+              </button>
+            ))}
+          </div>
+        </div>
+      ) : (
+        // Parameters and preview
+        <form onSubmit={handleSubmit} className="flex-1 flex flex-col min-h-0">
+          <div className="flex-1 overflow-y-auto px-6 pb-4 grid gap-6 md:grid-cols-2">
+            <div className="space-y-2">
+              {headerParams.length + bodyParams.length === 0 ? (
+                <p className="text-sm text-gray-500">This template has no variables.</p>
+              ) : (
+                <>
+                  {renderParamInputs('Header', headerParams, setHeaderParams)}
+                  {renderParamInputs('Body', bodyParams, setBodyParams)}
+                </>
+              )}
+            </div>
+
+            <div className="flex justify-end items-start">
+              <div className="max-w-xs w-full bg-mint-cream rounded-lg px-2 py-1 shadow-sm">
+                {selected.header && (
+                  <p className="text-sm font-semibold text-gray-900">{fillPlaceholders(selected.header, headerParams)}</p>
+                )}
+                <p className="text-sm text-gray-900 whitespace-pre-wrap break-words">
+                  {fillPlaceholders(selected.body, bodyParams)}
+                </p>
+                <MessageTemplate template={selected} />
+              </div>
+            </div>
+          </div>
+
+          <div className="px-6 py-4 flex justify-end">
+            <button
+              type="submit"
+              disabled={sending || !allFilled}
+              className="p-3 bg-green-500 hover:bg-green-600 disabled:bg-gray-300 disabled:cursor-not-allowed text-white rounded-full transition-colors flex-shrink-0 cursor-pointer"
+            >
+              {sending ? (
+                <div className="w-5 h-5 flex items-center justify-center">
+                  <div className="w-3 h-3 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                </div>
+              ) : (
+                <SendHorizontal className="w-5 h-5" />
+              )}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default TemplatePicker
@@ -13,6 +13,20 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000'
 // Request timeout in milliseconds (10 seconds)
 const REQUEST_TIMEOUT = 10000
 
+// Upload timeout in milliseconds (2 minutes)
+const UPLOAD_TIMEOUT = 120000
+
+// Business number the conversation endpoints talk to (null = the backend's default)
+let activeNumberId = null
+
+// Error codes the backend returns alongside `error`
+export const ERROR_CODES = {
+  SERVICE_WINDOW_CLOSED: 'SERVICE_WINDOW_CLOSED'
+}
+
+// Reactor id the backend uses for our own reactions (reaction.from)
+export const BUSINESS_REACTOR = 'business'
+
 
 // AXIOS INSTANCE SETUP
 
@@ -97,9 +111,27 @@ const transformApiError = (error) => {
     message = error.message
   }
 
-  return new Error(message)
+  // Keep the HTTP status and the server's machine-readable code (e.g. SERVICE_WINDOW_CLOSED)
+  const transformedError = new Error(message)
+  transformedError.status = error.response?.status
+  if (error.response?.data?.code) {
+    transformedError.code = error.response.data.code
+  }
+
+  return transformedError
+}
+
+
+// Endpoint path for the active business number
+// (e.g. /api/numbers/123/conversations, or /api/conversations for the default)
+
+const numberPath = (path) => {
+  const base = activeNumberId ? `/api/numbers/${encodeURIComponent(activeNumberId)}` : '/api'
+  return `${base}${path}`
 }
 
+const conversationsPath = (path = '') => numberPath(`/conversations${path}`)
+
 
 // Validate required parameters for API calls
 
@@ -112,9 +144,9 @@ const validateParams = (params, required) => {
 }
 
 
-//Create standardized API response object
+//Create standardized API response object (failed ones can carry an error code)
 
-const createResponse = (success, data = null, error = null) => {
+const createResponse = (success, data = null, error = null, code = null) => {
   const response = { success }
   
   if (success && data !== null) {
@@ -125,6 +157,10 @@ const createResponse = (success, data = null, error = null) => {
     response.error = error
   }
   
+  if (!success && code) {
+    response.code = code
+  }
+  
   return response
 }
 
@@ -133,20 +169,61 @@ const createResponse = (success, data = null, error = null) => {
 
 
 /**
- * Get all conversations from the backend
+ * Switch the business number conversation requests are made for
+ * @param {string|null} phoneNumberId - Cloud API phone number ID, null for the default
+ */
+export const setActiveNumber = (phoneNumberId) => {
+  activeNumberId = phoneNumberId || null
+}
+
+/**
+ * Get the business numbers this backend serves, default first
+ * Response format:
+ * {
+ *   success: boolean,
+ *   numbers: Array<{ phoneNumberId, displayPhoneNumber, displayName, isDefault }>
+ * }
+ */
+export const getBusinessNumbers = async () => {
+  try {
+    const response = await api.get('/api/numbers')
+    
+    if (!response.data.success || !Array.isArray(response.data.numbers)) {
+      throw new Error(response.data.error || 'Invalid response from server')
+    }
+    
+    return createResponse(true, { numbers: response.data.numbers })
+  } catch (error) {
+    console.error(' Failed to fetch business numbers:', error.message)
+    
+    return createResponse(false, null, error.message)
+  }
+}
+
+
+/**
+ * Get a page of conversations from the backend, pinned first, then latest first
+ * Pass the previous response's nextCursor as `before` to load the next page,
+ * and a `filter` ('all', 'unread', 'favourites' or 'archived') to narrow the list
  * 
  * Response format:
  * {
  *   success: boolean,
  *   conversations: Array,
- *   total: number
+ *   total: number,
+ *   archivedCount: number,
+ *   hasMore: boolean,
+ *   nextCursor: string | null
  * }
  */
-export const getConversations = async () => {
+export const getConversations = async ({ before = null, limit = 50, filter = 'all' } = {}) => {
   try {
     console.log(' Fetching conversations from backend...')
     
-    const response = await api.get('/api/conversations')
+    const params = { limit, filter }
+    if (before) params.before = before
+    
+    const response = await api.get(conversationsPath(), { params })
     
     // Validate response structure
     if (!response.data?.conversations) {
@@ -159,7 +236,10 @@ export const getConversations = async () => {
     
     return createResponse(true, {
       conversations,
-      total: conversations.length
+      total: conversations.length,
+      archivedCount: response.data.archivedCount || 0,
+      hasMore: Boolean(response.data.hasMore),
+      nextCursor: response.data.nextCursor || null
     })
   } catch (error) {
     console.error('Failed to fetch conversations:', error.message)
@@ -169,24 +249,35 @@ export const getConversations = async () => {
 }
 
 /**
- * Get messages for a specific conversation
+ * Get a page of messages for a specific conversation
+ * Pass the previous response's nextCursor as `before` to load older messages,
+ * its newerCursor as `after` to load newer ones, or a messageId as `around`
+ * to open the conversation at that message
  * Response format:
  * {
  *   success: boolean,
- *   messages: Array,
- *   total: number
+ *   messages: Array (oldest first),
+ *   total: number,
+ *   serviceWindow: { enforced, isOpen, lastInboundAt, expiresAt, durationMs },
+ *   hasMore: boolean,
+ *   nextCursor: string | null,
+ *   hasNewer: boolean,
+ *   newerCursor: string | null
  * }
  */
-export const getMessages = async (waId, page = 1, limit = 50) => {
+export const getMessages = async (waId, { before = null, after = null, around = null, limit = 50 } = {}) => {
   try {
     // Validate required parameters
     validateParams({ waId }, ['waId'])
     
     console.log(` Fetching messages for conversation: ${waId}`)
     
-    const response = await api.get(`/api/conversations/${waId}/messages`, {
-      params: { page, limit }
-    })
+    const params = { limit }
+    if (before) params.before = before
+    if (after) params.after = after
+    if (around) params.around = around
+    
+    const response = await api.get(conversationsPath(`/${waId}/messages`), { params })
     
     // Check if backend returned success response
     if (!response.data.success) {
@@ -199,7 +290,12 @@ export const getMessages = async (waId, page = 1, limit = 50) => {
     
     return createResponse(true, {
       messages,
-      total: messages.length
+      total: messages.length,
+      serviceWindow: response.data.serviceWindow || null,
+      hasMore: Boolean(response.data.hasMore),
+      nextCursor: response.data.nextCursor || null,
+      hasNewer: Boolean(response.data.hasNewer),
+      newerCursor: response.data.newerCursor || null
     })
   } catch (error) {
     console.error(` Failed to fetch messages for ${waId}:`, error.message)
@@ -208,16 +304,80 @@ export const getMessages = async (waId, page = 1, limit = 50) => {
   }
 }
 
+/**
+ * Search message text on the active business number, newest first
+ * Pass waId to search one conversation, and the previous response's
+ * nextCursor as `before` for the next page
+ * Response format:
+ * {
+ *   success: boolean,
+ *   results: Array<{ messageId, wa_id, contactName, snippet, timestamp, isOutgoing }>,
+ *   terms: Array<string> (words to highlight in the snippets),
+ *   hasMore: boolean,
+ *   nextCursor: string | null
+ * }
+ */
+export const searchMessages = async (query, { waId = null, before = null, limit = 20 } = {}) => {
+  try {
+    validateParams({ query }, ['query'])
+    
+    const params = { q: query, limit }
+    if (waId) params.waId = waId
+    if (before) params.before = before
+    
+    const response = await api.get(numberPath('/search'), { params })
+    
+    if (!response.data.success || !Array.isArray(response.data.results)) {
+      throw new Error(response.data.error || 'Invalid response from server')
+    }
+    
+    return createResponse(true, {
+      results: response.data.results,
+      terms: response.data.terms || [],
+      hasMore: Boolean(response.data.hasMore),
+      nextCursor: response.data.nextCursor || null
+    })
+  } catch (error) {
+    console.error(` Failed to search messages for "${query}":`, error.message)
+    
+    return createResponse(false, null, error.message)
+  }
+}
+
+/**
+ * Post a message payload to a conversation
+ * Shared by the text and media senders below
+ */
+const postMessage = async (phoneNumber, payload) => {
+  const response = await api.post(conversationsPath(`/${phoneNumber}/messages`), payload)
+  
+  // Debug log for troubleshooting
+  console.log(' Backend response:', response.data)
+  
+  // Validate backend response
+  if (!response.data.success || !response.data.message) {
+    throw new Error(response.data.error || 'Invalid response from server')
+  }
+  
+  return response.data.message
+}
+
+/**
+ * Reply context for a message quoting `replyTo` (a message ID)
+ */
+const buildContext = (replyTo) => (replyTo ? { context: { message_id: replyTo } } : {})
+
 /**
  * Send a new message to a conversation
  * Note: This is a demo function that saves to database only (doesn't send via WhatsApp)
+ * Pass { replyTo: messageId } to quote an earlier message
  * Response format:
  * {
  *   success: boolean,
  *   message: Object
  * }
  */
-export const sendMessage = async (phoneNumber, text, contactName = 'Unknown') => {
+export const sendMessage = async (phoneNumber, text, contactName = 'Unknown', { replyTo } = {}) => {
   try {
     // Validate required parameters
     validateParams({ phoneNumber, text }, ['phoneNumber', 'text'])
@@ -230,26 +390,386 @@ export const sendMessage = async (phoneNumber, text, contactName = 'Unknown') =>
     
     console.log(` Sending message to ${contactName} (${phoneNumber})`)
     
-    const response = await api.post(`/api/conversations/${phoneNumber}/messages`, {
+    const sentMessage = await postMessage(phoneNumber, {
       text: messageText,
-      contactName
+      contactName,
+      ...buildContext(replyTo)
     })
     
-    // Debug log for troubleshooting
-    console.log(' Backend response:', response.data)
+    console.log(' Message sent successfully')
     
-    // Validate backend response
-    if (!response.data.success || !response.data.message) {
+    return createResponse(true, { message: sentMessage })
+  } catch (error) {
+    console.error(` Failed to send message to ${phoneNumber}:`, error.message)
+    
+    return createResponse(false, null, error.message, error.code)
+  }
+}
+
+/**
+ * Upload a file for sending as a media message
+ * Pass `type` to force a message type (e.g. send a photo as a document)
+ * Response format:
+ * {
+ *   success: boolean,
+ *   media: { id, type, mimeType, size, sha256, filename, url }
+ * }
+ */
+export const uploadMedia = async (file, type = null) => {
+  try {
+    validateParams({ file }, ['file'])
+    
+    const formData = new FormData()
+    formData.append('file', file)
+    if (type) formData.append('type', type)
+    
+    console.log(` Uploading ${file.name} (${file.size} bytes)`)
+    
+    const response = await api.post('/api/media', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      // Uploads can take a while on slow connections
+      timeout: UPLOAD_TIMEOUT
+    })
+    
+    if (!response.data.success || !response.data.media) {
       throw new Error(response.data.error || 'Invalid response from server')
     }
     
-    const sentMessage = response.data.message
+    return createResponse(true, { media: response.data.media })
+  } catch (error) {
+    console.error(` Failed to upload ${file?.name}:`, error.message)
     
-    console.log(' Message sent successfully')
+    return createResponse(false, null, error.message)
+  }
+}
+
+/**
+ * Send an uploaded file as an image, video, audio or document message
+ * Response format:
+ * {
+ *   success: boolean,
+ *   message: Object
+ * }
+ */
+export const sendMediaMessage = async (phoneNumber, { type, mediaId, caption = '', replyTo }, contactName = 'Unknown') => {
+  try {
+    validateParams({ phoneNumber, type, mediaId }, ['phoneNumber', 'type', 'mediaId'])
+    
+    console.log(` Sending ${type} to ${contactName} (${phoneNumber})`)
+    
+    const payload = {
+      type,
+      media: { id: mediaId },
+      contactName,
+      ...buildContext(replyTo)
+    }
+    if (caption.trim()) payload.caption = caption.trim()
+    
+    const sentMessage = await postMessage(phoneNumber, payload)
+    
+    console.log(' Media message sent successfully')
     
     return createResponse(true, { message: sentMessage })
   } catch (error) {
-    console.error(` Failed to send message to ${phoneNumber}:`, error.message)
+    console.error(` Failed to send ${type} to ${phoneNumber}:`, error.message)
+    
+    return createResponse(false, null, error.message, error.code)
+  }
+}
+
+/**
+ * Send an interactive button or list message
+ * `interactive` uses the Cloud API shape:
+ * { type: 'button' | 'list', header?, body: { text }, footer?, action }
+ * Response format:
+ * {
+ *   success: boolean,
+ *   message: Object
+ * }
+ */
+export const sendInteractiveMessage = async (phoneNumber, interactive, contactName = 'Unknown', { replyTo } = {}) => {
+  try {
+    validateParams({ phoneNumber, interactive }, ['phoneNumber', 'interactive'])
+    
+    console.log(` Sending interactive ${interactive.type} to ${contactName} (${phoneNumber})`)
+    
+    const sentMessage = await postMessage(phoneNumber, {
+      type: 'interactive',
+      interactive,
+      contactName,
+      ...buildContext(replyTo)
+    })
+    
+    console.log(' Interactive message sent successfully')
+    
+    return createResponse(true, { message: sentMessage })
+  } catch (error) {
+    console.error(` Failed to send interactive message to ${phoneNumber}:`, error.message)
+    
+    return createResponse(false, null, error.message, error.code)
+  }
+}
+
+/**
+ * Get approved message templates
+ * Response format:
+ * {
+ *   success: boolean,
+ *   templates: Array
+ * }
+ */
+export const getTemplates = async () => {
+  try {
+    const response = await api.get('/api/templates', { params: { status: 'APPROVED' } })
+    
+    if (!response.data.success || !Array.isArray(response.data.templates)) {
+      throw new Error(response.data.error || 'Invalid response from server')
+    }
+    
+    return createResponse(true, { templates: response.data.templates })
+  } catch (error) {
+    console.error(' Failed to fetch templates:', error.message)
+    
+    return createResponse(false, null, error.message)
+  }
+}
+
+/**
+ * Send a message from a template, filling in its placeholders
+ * headerParams/bodyParams are the values for {{1}}, {{2}}, ... in order
+ * Response format:
+ * {
+ *   success: boolean,
+ *   message: Object
+ * }
+ */
+export const sendTemplateMessage = async (phoneNumber, { name, language, headerParams = [], bodyParams = [] }, contactName = 'Unknown', { replyTo } = {}) => {
+  try {
+    validateParams({ phoneNumber, name }, ['phoneNumber', 'name'])
+    
+    console.log(` Sending template ${name} to ${contactName} (${phoneNumber})`)
+    
+    const toParameters = (values) => values.map(text => ({ type: 'text', text }))
+    const components = []
+    if (headerParams.length) components.push({ type: 'header', parameters: toParameters(headerParams) })
+    if (bodyParams.length) components.push({ type: 'body', parameters: toParameters(bodyParams) })
+    
+    const sentMessage = await postMessage(phoneNumber, {
+      type: 'template',
+      template: { name, language: { code: language }, components },
+      contactName,
+      ...buildContext(replyTo)
+    })
+    
+    console.log(' Template message sent successfully')
+    
+    return createResponse(true, { message: sentMessage })
+  } catch (error) {
+    console.error(` Failed to send template ${name} to ${phoneNumber}:`, error.message)
+    
+    return createResponse(false, null, error.message, error.code)
+  }
+}
+
+/**
+ * React to a message as the business
+ * Pass an empty emoji to remove our reaction
+ * Response format:
+ * {
+ *   success: boolean,
+ *   message: Object
+ * }
+ */
+export const reactToMessage = async (messageId, emoji) => {
+  try {
+    validateParams({ messageId }, ['messageId'])
+    
+    const response = await api.post(`/api/messages/${encodeURIComponent(messageId)}/reactions`, { emoji })
+    
+    if (!response.data.success || !response.data.message) {
+      throw new Error(response.data.error || 'Invalid response from server')
+    }
+    
+    return createResponse(true, { message: response.data.message })
+  } catch (error) {
+    console.error(` Failed to react to ${messageId}:`, error.message)
+    
+    return createResponse(false, null, error.message)
+  }
+}
+
+/**
+ * Edit the text (or caption) of a message the business sent
+ * Allowed for 15 minutes after sending
+ * Response format:
+ * {
+ *   success: boolean,
+ *   message: Object
+ * }
+ */
+export const editMessage = async (messageId, text) => {
+  try {
+    validateParams({ messageId, text }, ['messageId', 'text'])
+    
+    const response = await api.patch(`/api/messages/${encodeURIComponent(messageId)}`, { text })
+    
+    if (!response.data.success || !response.data.message) {
+      throw new Error(response.data.error || 'Invalid response from server')
+    }
+    
+    return createResponse(true, { message: response.data.message })
+  } catch (error) {
+    console.error(` Failed to edit ${messageId}:`, error.message)
+    
+    return createResponse(false, null, error.message)
+  }
+}
+
+/**
+ * Delete a message the business sent, for everyone
+ * Allowed for 60 hours after sending; the message becomes a placeholder
+ * Response format:
+ * {
+ *   success: boolean,
+ *   message: Object
+ * }
+ */
+export const deleteMessage = async (messageId) => {
+  try {
+    validateParams({ messageId }, ['messageId'])
+    
+    const response = await api.delete(`/api/messages/${encodeURIComponent(messageId)}`)
+    
+    if (!response.data.success || !response.data.message) {
+      throw new Error(response.data.error || 'Invalid response from server')
+    }
+    
+    return createResponse(true, { message: response.data.message })
+  } catch (error) {
+    console.error(` Failed to delete ${messageId}:`, error.message)
+    
+    return createResponse(false, null, error.message)
+  }
+}
+
+/**
+ * Get a contact's saved details (profile name history, display name, notes)
+ * Response format:
+ * {
+ *   success: boolean,
+ *   contact: Object | null
+ * }
+ */
+export const getContact = async (waId) => {
+  try {
+    validateParams({ waId }, ['waId'])
+    
+    const response = await api.get(`/api/contacts/${encodeURIComponent(waId)}`)
+    
+    if (!response.data.success || !response.data.contact) {
+      throw new Error(response.data.error || 'Invalid response from server')
+    }
+    
+    return createResponse(true, { contact: response.data.contact })
+  } catch (error) {
+    // No webhook for this number yet - nothing saved, not an error
+    if (error.status === 404) {
+      return createResponse(true, { contact: null })
+    }
+    
+    console.error(` Failed to fetch contact ${waId}:`, error.message)
+    
+    return createResponse(false, null, error.message)
+  }
+}
+
+/**
+ * Set a contact's display name and/or notes (empty clears them)
+ * Response format:
+ * {
+ *   success: boolean,
+ *   contact: Object
+ * }
+ */
+export const updateContact = async (waId, { displayName, notes }) => {
+  try {
+    validateParams({ waId }, ['waId'])
+    
+    const response = await api.patch(`/api/contacts/${encodeURIComponent(waId)}`, { displayName, notes })
+    
+    if (!response.data.success || !response.data.contact) {
+      throw new Error(response.data.error || 'Invalid response from server')
+    }
+    
+    return createResponse(true, { contact: response.data.contact })
+  } catch (error) {
+    console.error(` Failed to update contact ${waId}:`, error.message)
+    
+    return createResponse(false, null, error.message)
+  }
+}
+
+/**
+ * Mark every incoming message in a conversation as read
+ * Response format:
+ * {
+ *   success: boolean,
+ *   updated: number,
+ *   unreadCount: number
+ * }
+ */
+export const markConversationRead = async (waId) => {
+  try {
+    // Validate required parameters
+    validateParams({ waId }, ['waId'])
+    
+    const response = await api.post(conversationsPath(`/${waId}/read`))
+    
+    if (!response.data.success) {
+      throw new Error(response.data.error || 'Failed to mark conversation as read')
+    }
+    
+    return createResponse(true, {
+      updated: response.data.updated,
+      unreadCount: response.data.unreadCount
+    })
+  } catch (error) {
+    console.error(` Failed to mark ${waId} as read:`, error.message)
+    
+    return createResponse(false, null, error.message)
+  }
+}
+
+/**
+ * Favourite, pin, archive or mute a conversation
+ * @param {string} waId - Conversation wa_id
+ * @param {Object} changes - { favourite?, pinned?, archived?, mutedUntil? }
+ *   (mutedUntil: time in milliseconds, 'always', or null to unmute)
+ * Response format:
+ * {
+ *   success: boolean,
+ *   state: { favourite, pinned, pinnedAt, archived, mutedUntil },
+ *   conversation: Object (updated summary),
+ *   archivedCount: number
+ * }
+ */
+export const updateConversationState = async (waId, changes) => {
+  try {
+    validateParams({ waId }, ['waId'])
+    
+    const response = await api.patch(conversationsPath(`/${waId}/state`), changes)
+    
+    if (!response.data.success) {
+      throw new Error(response.data.error || 'Failed to update conversation')
+    }
+    
+    return createResponse(true, {
+      state: response.data.state,
+      conversation: response.data.conversation,
+      archivedCount: response.data.archivedCount || 0
+    })
+  } catch (error) {
+    console.error(` Failed to update conversation ${waId}:`, error.message)
     
     return createResponse(false, null, error.message)
   }
@@ -297,6 +817,16 @@ export const isBackendReachable = async () => {
 }
 
 
+// Resolve a media URL from the backend (e.g. /api/media/:id) to an absolute URL
+
+export const getMediaUrl = (url) => {
+  if (!url) return null
+  if (/^(https?:|blob:|data:)/.test(url)) return url
+  
+  return `${API_BASE_URL}${url}`
+}
+
+
 // Get current API configuration for debugging
 
 
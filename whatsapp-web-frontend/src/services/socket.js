@@ -0,0 +1,56 @@
+/**
+ * Socket Service Module
+ * Real-time connection to the backend for live message and status updates.
+ */
+
+import { io } from 'socket.io-client'
+import { getApiConfig } from './api.js'
+
+// CONFIGURATION
+
+// Event names emitted by the backend (services/realtime.js)
+export const SOCKET_EVENTS = {
+  MESSAGE_NEW: 'message:new',
+  MESSAGE_STATUS: 'message:status',
+  MESSAGE_REACTION: 'message:reaction',
+  MESSAGE_UPDATED: 'message:updated',
+  CONVERSATION_UPDATED: 'conversation:updated'
+}
+
+// Shared socket instance, created on first use
+let socket = null
+
+
+// SOCKET FUNCTIONS
+
+/**
+ * Get the shared socket connection, connecting on first call
+ */
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(getApiConfig().baseURL, {
+      transports: ['websocket', 'polling']
+    })
+
+    socket.on('connect', () => {
+      console.log(`🔌 Socket connected: ${socket.id}`)
+    })
+
+    socket.on('disconnect', (reason) => {
+      console.log(`🔌 Socket disconnected: ${reason}`)
+    })
+  }
+
+  return socket
+}
+
+/**
+ * Subscribe to a socket event
+ * Returns an unsubscribe function for use in effect cleanups
+ */
+export const subscribe = (event, handler) => {
+  const connection = getSocket()
+  connection.on(event, handler)
+
+  return () => connection.off(event, handler)
+}